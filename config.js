@@ -5,15 +5,157 @@ module.exports = {
   port: process.env.PORT || 5000,
   mongodbUri: process.env.MONGODB_URI,
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpire: process.env.JWT_EXPIRE,
+  
+  // Admin sessions (models/AdminSession): a short-lived access token plus a
+  // refresh token that is replaced on every use. A session ends when it goes
+  // unrefreshed for the session_timeout setting (idleMinutes if unset) or
+  // reaches maxAgeHours.
+  session: {
+    accessTokenExpire: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+    idleMinutes: parseInt(process.env.SESSION_IDLE_MINUTES) || 30,
+    maxAgeHours: parseInt(process.env.SESSION_MAX_AGE_HOURS) || 12,
+    // How long protect may reuse an admin record or session it has read
+    adminCacheSeconds: parseInt(process.env.ADMIN_CACHE_SECONDS) || 15,
+    // Minimum gap between two writes of an admin's lastSeenAt
+    lastSeenIntervalSeconds: parseInt(process.env.ADMIN_LAST_SEEN_INTERVAL_SECONDS) || 60
+  },
+  
+  // How often the voting scheduler checks the schedule (milliseconds)
+  votingSchedulerInterval: parseInt(process.env.VOTING_SCHEDULER_INTERVAL_MS) || 30000,
+  
+  // Background job queue (utils/jobQueue)
+  jobQueue: {
+    pollInterval: parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS) || 5000,
+    // A running job whose lock is older than this is treated as abandoned
+    lockTimeout: parseInt(process.env.JOB_QUEUE_LOCK_TIMEOUT_MS) || 5 * 60 * 1000,
+    maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS) || 5,
+    // First retry delay; doubles with every attempt
+    retryDelay: parseInt(process.env.JOB_QUEUE_RETRY_DELAY_MS) || 30 * 1000,
+    batchSize: parseInt(process.env.JOB_QUEUE_BATCH_SIZE) || 100,
+    // Outgoing notifications per second across the queue
+    messagesPerSecond: parseInt(process.env.JOB_QUEUE_MESSAGES_PER_SECOND) || 5
+  },
+  
+  // Second factor voters pass before they can see or cast a ballot
+  voteVerification: {
+    codeTtlMinutes: parseInt(process.env.VOTE_CODE_TTL_MINUTES) || 5,
+    maxAttempts: parseInt(process.env.VOTE_VERIFY_MAX_ATTEMPTS) || 5,
+    // How long a voter is locked out of identity checks after too many misses
+    lockoutMinutes: parseInt(process.env.VOTE_VERIFY_LOCKOUT_MINUTES) || 30,
+    // Code guesses a voter gets across all codes (resends included) in one
+    // lockout window, for voting and for portal sign-in separately
+    maxCodeAttempts: parseInt(process.env.VOTE_CODE_MAX_ATTEMPTS) || 10,
+    resendSeconds: parseInt(process.env.VOTE_CODE_RESEND_SECONDS) || 60,
+    tokenExpire: process.env.VOTE_TOKEN_EXPIRE || '15m'
+  },
+  
+  // Voter portal sign-in (national ID plus a one-time code). Code lifetime,
+  // attempts and resend gap are those of voteVerification.
+  voterPortal: {
+    tokenExpire: process.env.VOTER_TOKEN_EXPIRE || '30m'
+  },
+  
+  // Admin login lockout. Attempt limits and the first lockout period come
+  // from SystemSetting (max_login_attempts, max_login_attempts_per_ip,
+  // lockout_duration_minutes) and fall back to these values.
+  loginLockout: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 3,
+    ipMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // Each further lockout doubles the period, up to this
+    maxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60
+  },
+  
+  // TOTP two-factor authentication for admins
+  twoFactor: {
+    // Name shown in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Kirinyaga County Elections',
+    // Roles that must enrol before they can use the system
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'super_admin').split(',').map(role => role.trim()).filter(Boolean),
+    // Lifetime of the token between the password step and the code step
+    challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  },
+  
+  // Rules for admin passwords (utils/passwordPolicy)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+    // How many previous passwords may not be reused (0 turns the check off)
+    historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined ? parseInt(process.env.PASSWORD_HISTORY_SIZE) : 5,
+    // Days before a password must be changed (0 turns expiry off)
+    maxAgeDays: process.env.PASSWORD_MAX_AGE_DAYS !== undefined ? parseInt(process.env.PASSWORD_MAX_AGE_DAYS) : 90,
+    // Optional newline-separated list of common passwords added to the built-in one
+    commonPasswordsFile: process.env.PASSWORD_COMMON_LIST_FILE
+  },
+  
+  // Admin password reset links (POST /auth/admin/forgot-password)
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    // Minimum gap between two reset emails to the same account
+    resendSeconds: parseInt(process.env.PASSWORD_RESET_RESEND_SECONDS) || 60,
+    // Admin page that takes ?token=...; without it the email carries the token
+    resetUrl: process.env.ADMIN_PASSWORD_RESET_URL
+  },
+  
+  // Voting portal address used in voter messages
+  portalUrl: process.env.PORTAL_URL || 'https://kirinyaga-voting-system.web.app/user/Voting.html',
+  
+  // Email sender and the settings of the email transports
+  email: {
+    fromEmail: process.env.EMAIL_FROM,
+    fromName: process.env.EMAIL_FROM_NAME,
+    // Generic SMTP server, used by the 'smtp' transport
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    // Where the 'file' transport writes .eml files
+    fileDir: process.env.EMAIL_FILE_DIR || 'mail-outbox'
+  },
   
   // Brevo email configuration
   brevo: {
-    apiKey: process.env.BREVO_API_KEY,
-    fromEmail: process.env.EMAIL_FROM,
-    fromName: process.env.EMAIL_FROM_NAME
+    apiKey: process.env.BREVO_API_KEY
   },
   
+  // Notification transports: 'brevo', 'smtp', 'file' or 'stub' for email,
+  // 'africastalking' or 'stub' for SMS. The stub only logs and records messages.
+  notifications: {
+    emailTransport: process.env.EMAIL_TRANSPORT || 'brevo',
+    smsTransport: process.env.SMS_TRANSPORT || 'africastalking'
+  },
+  
+  // Audit log hash chain (utils/auditLogger). Entries are signed with this key
+  // so that someone who can write to the database cannot rewrite the chain.
+  // Keep it out of the database; it falls back to JWT_SECRET, but a key of
+  // its own is better.
+  audit: {
+    hmacKey: process.env.AUDIT_HMAC_KEY || process.env.JWT_SECRET,
+    // Set for one start after upgrading to sign the entries written before
+    // the chain was keyed; leave it off afterwards, or anyone who rewrites
+    // the chain with the old unkeyed hash gets it signed at the next start
+    signLegacyChain: process.env.AUDIT_SIGN_LEGACY_CHAIN === 'true',
+    // Entries are linked into the chain as they arrive and at least this
+    // often (milliseconds) by the one instance holding the chain lease
+    chainInterval: parseInt(process.env.AUDIT_CHAIN_INTERVAL_MS) || 5000,
+    // A lease not renewed for this long is taken over by another instance
+    leaseSeconds: parseInt(process.env.AUDIT_CHAIN_LEASE_SECONDS) || 30
+  },
+  
+  // Shared token provider delivery webhooks must present
+  webhooks: {
+    token: process.env.WEBHOOK_TOKEN
+  },
+  
+  // Voting numbers an admin may resend to one voter per day
+  maxVotingNumberResends: parseInt(process.env.MAX_VOTING_NUMBER_RESENDS) || 3,
+  
   // SMS configuration
   sms: {
     apiKey: process.env.AFRICASTALKING_API_KEY,
@@ -13,7 +13,34 @@ const connectDB = async () => {
     // Create indexes
     await mongoose.connection.db.collection('voters').createIndex({ votingNumber: 1 }, { unique: true });
     await mongoose.connection.db.collection('voters').createIndex({ nationalId: 1 }, { unique: true });
-    await mongoose.connection.db.collection('votes').createIndex({ votingNumber: 1, position: 1 }, { unique: true });
+    
+    // Ballots are anonymous: remove the old voter-linked indexes and strip
+    // identifying fields from any ballots stored before the change
+    const votes = mongoose.connection.db.collection('votes');
+    const voteIndexes = await votes.indexes().catch(() => []);
+    for (const index of voteIndexes) {
+      const keys = Object.keys(index.key);
+      if (keys.some(key => ['votingNumber', 'ipAddress', 'sessionId', 'votedAt'].includes(key))) {
+        await votes.dropIndex(index.name);
+      }
+    }
+    
+    // Ballots stored before blank and rejected entries all named a candidate
+    await votes.updateMany({ choice: { $exists: false } }, { $set: { choice: 'candidate' } });
+    
+    await anonymizeLegacyVotes(votes);
+    
+    await require('../models/Position').seedDefaults();
+    await migrateToElections();
+    
+    // Electoral geography lives in the database; seed the defaults on first run
+    await require('../utils/constituencyData').seedDefaults();
+    
+    // Voter messages are editable templates; store the built-in ones
+    await require('../utils/messageTemplates').seedDefaults();
+    
+    // Admin roles are editable bundles of permissions; store the built-in ones
+    await require('../utils/permissions').seedDefaults();
     
   } catch (error) {
     console.error(`Error: ${error.message}`);
@@ -21,4 +48,158 @@ const connectDB = async () => {
   }
 };
 
+// Ballots stored before they were anonymous (the ones without castAt) still
+// have a time-based _id and may carry the voter's voting number, IP and
+// vote time. Re-insert them the way Vote creates ballots now: a random _id,
+// no identifying fields, and only the hour they were cast. Each copy names
+// its original until the original is deleted, so an interrupted run neither
+// loses nor duplicates ballots.
+const anonymizeLegacyVotes = async (votes) => {
+  const crypto = require('crypto');
+  const Vote = require('../models/Vote');
+  const IDENTIFYING_FIELDS = ['votingNumber', 'ipAddress', 'userAgent', 'sessionId', 'votedAt', 'createdAt', 'updatedAt'];
+  const BATCH_SIZE = 500;
+  
+  // Finish a batch an earlier run copied but did not clean up
+  const finishBatch = async (copies) => {
+    await votes.deleteMany({ _id: { $in: copies.map(copy => copy.migratedFrom) } });
+    await votes.updateMany({ _id: { $in: copies.map(copy => copy._id) } }, { $unset: { migratedFrom: '' } });
+  };
+  const leftover = await votes.find({ migratedFrom: { $exists: true } }).project({ migratedFrom: 1 }).toArray();
+  if (leftover.length > 0) {
+    await finishBatch(leftover);
+  }
+  
+  let migrated = 0;
+  for (;;) {
+    const batch = await votes.find({ castAt: { $exists: false } }).limit(BATCH_SIZE).toArray();
+    if (batch.length === 0) break;
+    
+    const copies = batch.map(vote => {
+      const copy = {
+        ...vote,
+        _id: new mongoose.Types.ObjectId(crypto.randomBytes(12)),
+        castAt: Vote.toCastHour(vote.votedAt || vote.createdAt || vote._id.getTimestamp()),
+        migratedFrom: vote._id
+      };
+      IDENTIFYING_FIELDS.forEach(field => delete copy[field]);
+      return copy;
+    });
+    
+    // Shuffle so storage order does not follow voting order either
+    for (let i = copies.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [copies[i], copies[j]] = [copies[j], copies[i]];
+    }
+    
+    await votes.insertMany(copies);
+    await finishBatch(copies);
+    migrated += batch.length;
+  }
+  
+  if (migrated > 0) {
+    console.log(`🗳️ Anonymized ${migrated} legacy ballot(s)`);
+  }
+};
+
+// Everything stored before elections existed belongs to a single election.
+// Create that election from the old portal, schedule and publication
+// settings, attach the old data to it and turn Voter.hasVoted into
+// Participation records.
+const migrateToElections = async () => {
+  const Election = require('../models/Election');
+  const Position = require('../models/Position');
+  const SystemSetting = require('../models/SystemSetting');
+  const Vote = require('../models/Vote');
+  const db = mongoose.connection.db;
+  
+  // Indexes that ignore the election would clash across elections
+  for (const collection of ['candidates', 'voters']) {
+    const indexes = await db.collection(collection).indexes().catch(() => []);
+    for (const index of indexes) {
+      const keys = Object.keys(index.key);
+      const staleCandidateIndex = collection === 'candidates' && index.unique && !keys.includes('election');
+      const staleVoterIndex = collection === 'voters' && keys.includes('hasVoted');
+      if (staleCandidateIndex || staleVoterIndex) {
+        await db.collection(collection).dropIndex(index.name);
+      }
+    }
+  }
+  
+  const unassigned = { election: { $exists: false } };
+  const legacyCounts = await Promise.all([
+    db.collection('votes').countDocuments(unassigned),
+    db.collection('candidates').countDocuments(unassigned),
+    db.collection('votereceipts').countDocuments(unassigned),
+    db.collection('voters').countDocuments({ hasVoted: { $exists: true } })
+  ]);
+  if (legacyCounts.every(count => count === 0)) return;
+  
+  let election = await Election.findOne({}).sort({ createdAt: 1 });
+  if (!election) {
+    const settings = await SystemSetting.find({
+      key: {
+        $in: ['county_name', 'voting_portal_open', 'voting_schedule_start', 'voting_schedule_end',
+          'results_published', 'last_results_publication']
+      }
+    });
+    const setting = key => {
+      const found = settings.find(s => s.key === key);
+      return found ? found.value : undefined;
+    };
+    const toDate = value => {
+      const date = value ? new Date(value) : null;
+      return date && !isNaN(date.getTime()) ? date : null;
+    };
+    
+    const start = toDate(setting('voting_schedule_start'));
+    const end = toDate(setting('voting_schedule_end'));
+    const now = new Date();
+    
+    election = await Election.create({
+      name: `${setting('county_name') || 'Kirinyaga'} County General Election`,
+      type: 'general',
+      // The ballot before positions were configurable
+      positions: Position.DEFAULT_POSITIONS.map(position => position.name),
+      status: setting('voting_portal_open') === true ? 'open' : (legacyCounts[0] > 0 ? 'closed' : 'draft'),
+      schedule: { start, end },
+      // Transitions already in the past were applied by the old scheduler
+      scheduleApplied: {
+        opened: !!start && now >= start,
+        closed: !!end && now >= end
+      },
+      isCurrent: true,
+      resultsPublished: setting('results_published') === true,
+      lastPublication: setting('last_results_publication') || null
+    });
+    console.log(`Created election "${election.name}" for existing data`);
+  }
+  
+  for (const collection of ['votes', 'candidates', 'votereceipts']) {
+    await db.collection(collection).updateMany(unassigned, { $set: { election: election._id } });
+  }
+  
+  const participations = [];
+  const votedVoters = db.collection('voters')
+    .find({ hasVoted: true })
+    .project({ _id: 1, votedAt: 1, updatedAt: 1 });
+  for await (const voter of votedVoters) {
+    participations.push({
+      updateOne: {
+        filter: { election: election._id, voter: voter._id },
+        // Rounded like Vote.castAt, so it cannot be matched to a ballot
+        update: { $setOnInsert: { votedAt: Vote.toCastHour(voter.votedAt || voter.updatedAt || new Date()) } },
+        upsert: true
+      }
+    });
+  }
+  if (participations.length > 0) {
+    await db.collection('participations').bulkWrite(participations);
+  }
+  await db.collection('voters').updateMany(
+    { hasVoted: { $exists: true } },
+    { $unset: { hasVoted: '', votedAt: '' } }
+  );
+};
+
 module.exports = connectDB;
\ No newline at end of file
@@ -5,8 +5,15 @@ const Candidate = require('../models/Candidate');
 const Vote = require('../models/Vote');
 const SystemSetting = require('../models/SystemSetting');
 const Admin = require('../models/Admin');
-const { sendPortalNotification } = require('../utils/emailService');
+const Participation = require('../models/Participation');
+const notificationService = require('../utils/notificationService');
+const portalAnnouncement = require('../utils/portalAnnouncement');
 const auditLogger = require('../utils/auditLogger');
+const constituencyData = require('../utils/constituencyData');
+const loginLockout = require('../utils/loginLockout');
+const adminSessions = require('../utils/adminSessions');
+const { getPortalState, setPortalOpen } = require('../utils/votingPortal');
+const votingScheduler = require('../utils/votingScheduler');
 const mongoose = require('mongoose');
 const PDFDocument = require('pdfkit');
 const ExcelJS = require('exceljs');
@@ -16,16 +23,20 @@ const ExcelJS = require('exceljs');
 // @access  Private (Admin)
 const getDashboardStats = async (req, res, next) => {
   try {
+    const election = req.election;
+    
     // Get counts
-    const totalVoters = await Voter.countDocuments();
-    const totalCandidates = await Candidate.countDocuments();
-    const totalVotes = await Vote.countDocuments();
+    const totalVoters = await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter()));
+    const totalCandidates = await Candidate.countDocuments(req.admin.scopeFilter({ election: election._id }));
+    const totalVotes = await Vote.countDocuments(req.admin.scopeFilter({ election: election._id }));
+    const votedCount = await Participation.countVoted(election._id, req.admin.scopeFilter());
     
     // Get voting portal status
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    const portalState = getPortalState(election);
     
     // Get votes by position
     const votesByPosition = await Vote.aggregate([
+      { $match: req.admin.scopeFilter({ election: election._id }) },
       {
         $group: {
           _id: '$position',
@@ -36,22 +47,28 @@ const getDashboardStats = async (req, res, next) => {
     
     // Get voter participation rate
     const participationRate = totalVoters > 0 
-      ? ((totalVotes / 4 / totalVoters) * 100).toFixed(2)
+      ? ((votedCount / totalVoters) * 100).toFixed(2)
       : 0;
     
     // Get recent activity (last 24 hours)
     const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const recentVotes = await Vote.countDocuments({ createdAt: { $gte: oneDayAgo } });
-    const recentRegistrations = await Voter.countDocuments({ registrationDate: { $gte: oneDayAgo } });
+    const recentVotes = await Vote.countDocuments(req.admin.scopeFilter({ election: election._id, castAt: { $gte: oneDayAgo } }));
+    const recentRegistrations = await Voter.countDocuments(req.admin.scopeFilter({ registrationDate: { $gte: oneDayAgo } }));
     
     res.status(200).json({
       success: true,
       data: {
+        election: {
+          id: election._id,
+          name: election.name,
+          status: election.status
+        },
         summary: {
           totalVoters,
           totalCandidates,
           totalVotes,
-          votingPortalOpen: portalStatus ? portalStatus.value : false,
+          votedCount,
+          votingPortalOpen: portalState.isOpen,
           participationRate: `${participationRate}%`
         },
         votesByPosition,
@@ -108,6 +125,10 @@ const updateSystemSettings = async (req, res, next) => {
       );
     }
     
+    // Settings read through a cache take effect straight away
+    loginLockout.invalidate();
+    adminSessions.invalidate();
+    
     await auditLogger.log(req.admin._id, 'UPDATE', 'SystemSetting', null, {
       updatedSettings: Object.keys(updates)
     });
@@ -126,33 +147,34 @@ const updateSystemSettings = async (req, res, next) => {
 // @access  Private (Super Admin)
 const openVotingPortal = async (req, res, next) => {
   try {
-    // Update portal status
-    await SystemSetting.findOneAndUpdate(
-      { key: 'voting_portal_open' },
-      { 
-        value: true,
-        updatedBy: req.admin._id
-      }
-    );
+    const election = req.election;
     
-    // Notify voters
-    const voters = await Voter.find({ hasVoted: false, isActive: true }).select('email phoneNumber');
-    // await sendPortalNotification(voters, 'open');
+    if (election.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: 'An archived election cannot be opened'
+      });
+    }
     
-    // Log the action
-    await auditLogger.log(req.admin._id, 'UPDATE', 'VotingPortal', null, {
-      action: 'opened',
-      timestamp: new Date()
-    });
+    // Update portal status, log the action and emit Socket.io event
+    const opened = await setPortalOpen(election, true, { adminId: req.admin._id, io: req.io });
     
-    // Emit Socket.io event
-    if (req.io) {
-      req.io.emit('portalStatus', { status: 'open', timestamp: new Date() });
+    // Voters were told when it opened; do not announce it again
+    if (!opened) {
+      return res.status(200).json({
+        success: true,
+        message: `Voting is already open for ${election.name}`,
+        data: { announcementJob: null }
+      });
     }
     
+    // Notify voters who have not voted yet through the job queue
+    const job = await portalAnnouncement.enqueue(election, true, { adminId: req.admin._id });
+    
     res.status(200).json({
       success: true,
-      message: 'Voting portal opened successfully'
+      message: `Voting opened for ${election.name}`,
+      data: { announcementJob: job._id }
     });
   } catch (error) {
     next(error);
@@ -164,33 +186,33 @@ const openVotingPortal = async (req, res, next) => {
 // @access  Private (Super Admin)
 const closeVotingPortal = async (req, res, next) => {
   try {
-    // Update portal status
-    await SystemSetting.findOneAndUpdate(
-      { key: 'voting_portal_open' },
-      { 
-        value: false,
-        updatedBy: req.admin._id
-      }
-    );
+    const election = req.election;
     
-    // Notify voters
-    const voters = await Voter.find({ isActive: true }).select('email phoneNumber');
-    // await sendPortalNotification(voters, 'close');
+    if (election.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: 'This election has been archived'
+      });
+    }
     
-    // Log the action
-    await auditLogger.log(req.admin._id, 'UPDATE', 'VotingPortal', null, {
-      action: 'closed',
-      timestamp: new Date()
-    });
+    // Update portal status, log the action and emit Socket.io event
+    const closed = await setPortalOpen(election, false, { adminId: req.admin._id, io: req.io });
     
-    // Emit Socket.io event
-    if (req.io) {
-      req.io.emit('portalStatus', { status: 'closed', timestamp: new Date() });
+    if (!closed) {
+      return res.status(200).json({
+        success: true,
+        message: `Voting is already closed for ${election.name}`,
+        data: { announcementJob: null }
+      });
     }
     
+    // Notify voters through the job queue
+    const job = await portalAnnouncement.enqueue(election, false, { adminId: req.admin._id });
+    
     res.status(200).json({
       success: true,
-      message: 'Voting portal closed successfully'
+      message: `Voting closed for ${election.name}`,
+      data: { announcementJob: job._id }
     });
   } catch (error) {
     next(error);
@@ -203,6 +225,14 @@ const closeVotingPortal = async (req, res, next) => {
 const scheduleVoting = async (req, res, next) => {
   try {
     const { startTime, endTime } = req.body;
+    const election = req.election;
+    
+    if (election.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: 'An archived election cannot be scheduled'
+      });
+    }
     
     // Validate times
     if (!startTime || !endTime) {
@@ -215,6 +245,13 @@ const scheduleVoting = async (req, res, next) => {
     const start = new Date(startTime);
     const end = new Date(endTime);
     
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start time and end time must be valid dates'
+      });
+    }
+    
     if (start >= end) {
       return res.status(400).json({
         success: false,
@@ -222,34 +259,25 @@ const scheduleVoting = async (req, res, next) => {
       });
     }
     
-    // Save schedule
-    await SystemSetting.findOneAndUpdate(
-      { key: 'voting_schedule_start' },
-      { 
-        value: start,
-        updatedBy: req.admin._id
-      },
-      { upsert: true }
-    );
-    
-    await SystemSetting.findOneAndUpdate(
-      { key: 'voting_schedule_end' },
-      { 
-        value: end,
-        updatedBy: req.admin._id
-      },
-      { upsert: true }
-    );
+    // Save schedule. A new schedule has none of its transitions applied yet.
+    election.schedule = { start, end };
+    election.scheduleApplied = { opened: false, closed: false };
+    await election.save();
     
-    await auditLogger.log(req.admin._id, 'UPDATE', 'VotingSchedule', null, {
+    await auditLogger.log(req.admin._id, 'UPDATE', 'VotingSchedule', election._id, {
+      election: election.name,
       startTime: start,
       endTime: end
     });
     
+    // Apply the new schedule straight away (opens now if already inside it)
+    await votingScheduler.checkNow();
+    
     res.status(200).json({
       success: true,
       message: 'Voting scheduled successfully',
       data: {
+        electionId: election._id,
         startTime: start,
         endTime: end
       }
@@ -344,29 +372,51 @@ const exportAuditLogs = async (req, res, next) => {
   }
 };
 
+// @desc    Verify the audit log hash chain
+// @route   GET /api/v1/admin/audit-logs/verify
+// @access  Private (Super Admin)
+const verifyAuditLogs = async (req, res, next) => {
+  try {
+    const verification = await auditLogger.verifyChain();
+    
+    res.status(200).json({
+      success: true,
+      message: verification.valid
+        ? 'Audit log chain is intact'
+        : `Audit log chain is broken at sequence ${verification.brokenLink.sequence}`,
+      data: verification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get suspicious activity
 // @route   GET /api/v1/admin/suspicious-activity
 // @access  Private (Super Admin)
 const getSuspiciousActivity = async (req, res, next) => {
   try {
-    // Example: Find rapid voting from same IP
+    // Find rapid voting from same IP. Ballots are anonymous, so request
+    // details come from the VOTE entries in the audit trail instead.
+    const AuditLog = require('../models/AuditLog');
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
     
-    const rapidVotes = await Vote.aggregate([
+    const rapidVotes = await AuditLog.aggregate([
       {
         $match: {
-          createdAt: { $gte: oneHourAgo }
+          action: 'VOTE',
+          timestamp: { $gte: oneHourAgo }
         }
       },
       {
         $group: {
-          _id: '$ipAddress',
+          _id: '$details.ipAddress',
           count: { $sum: 1 }
         }
       },
       {
         $match: {
-          count: { $gt: 10 } // More than 10 votes from same IP in 1 hour
+          count: { $gt: 3 } // More than 3 ballots from same IP in 1 hour
         }
       }
     ]);
@@ -388,23 +438,26 @@ const getSuspiciousActivity = async (req, res, next) => {
 // @access  Private (Admin)
 const getSystemStatus = async (req, res, next) => {
   try {
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
-    const totalVotes = await Vote.countDocuments();
-    const activeVoters = await Voter.countDocuments({ isActive: true });
-    const activeCandidates = await Candidate.countDocuments({ isActive: true });
+    const election = req.election;
+    const totalVotes = await Vote.countDocuments(req.admin.scopeFilter({ election: election._id }));
+    const activeVoters = await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter({ isActive: true })));
+    const activeCandidates = await Candidate.countDocuments(req.admin.scopeFilter({ election: election._id, isActive: true }));
     
     // Check database connection
     const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
     
-    // Check email service (simplified check)
-    const emailStatus = process.env.EMAIL_USER ? 'configured' : 'not configured';
+    // Check notification transports (simplified check)
+    const notificationStatus = notificationService.getStatus();
+    const emailStatus = notificationStatus.email.configured ? 'configured' : 'not configured';
     
     res.status(200).json({
       success: true,
       data: {
-        votingPortalOpen: portalStatus ? portalStatus.value : false,
+        electionId: election._id,
+        votingPortalOpen: getPortalState(election).isOpen,
         database: dbStatus,
         emailService: emailStatus,
+        notifications: notificationStatus,
         counts: {
           voters: activeVoters,
           candidates: activeCandidates,
@@ -457,9 +510,15 @@ const exportElectionData = async (req, res, next) => {
 // Helper function to export voters data
 async function exportVotersData(req, res, format = 'pdf') {
   try {
-    const voters = await Voter.find({})
-      .select('votingNumber fullName idNumber gender constituency ward phone hasVoted createdAt')
+    const countyName = await constituencyData.getCountyName();
+    const election = req.election;
+    const voters = await Voter.find(election.voterFilter(req.admin.scopeFilter()))
+      .select('votingNumber fullName idNumber gender constituency ward phone createdAt')
       .sort({ constituency: 1, ward: 1, votingNumber: 1 });
+    
+    // Whether each voter took part in this election
+    const votedIds = new Set((await Participation.voterIds(election._id)).map(id => id.toString()));
+    const hasVoted = voter => votedIds.has(voter._id.toString());
 
     if (format === 'pdf') {
       const doc = new PDFDocument({ margin: 50 });
@@ -470,7 +529,8 @@ async function exportVotersData(req, res, format = 'pdf') {
       doc.pipe(res);
       
       // Add title
-      doc.fontSize(20).text('Kirinyaga County Voters List', { align: 'center' });
+      doc.fontSize(20).text(`${countyName} County Voters List`, { align: 'center' });
+      doc.fontSize(14).text(election.name, { align: 'center' });
       doc.moveDown();
       doc.fontSize(12).text(`Report generated: ${new Date().toLocaleString()}`, { align: 'center' });
       doc.text(`Total Voters: ${voters.length}`, { align: 'center' });
@@ -502,7 +562,7 @@ async function exportVotersData(req, res, format = 'pdf') {
         doc.text(voter.idNumber || 'N/A', 250, y, { width: 80 });
         doc.text(voter.constituency || 'N/A', 330, y, { width: 100 });
         doc.text(voter.ward || 'N/A', 430, y, { width: 80 });
-        doc.text(voter.hasVoted ? 'Yes' : 'No', 510, y, { width: 50 });
+        doc.text(hasVoted(voter) ? 'Yes' : 'No', 510, y, { width: 50 });
         
         doc.moveDown(0.5);
       });
@@ -535,7 +595,7 @@ async function exportVotersData(req, res, format = 'pdf') {
           constituency: voter.constituency || 'N/A',
           ward: voter.ward || 'N/A',
           phone: voter.phone || 'N/A',
-          hasVoted: voter.hasVoted ? 'Yes' : 'No',
+          hasVoted: hasVoted(voter) ? 'Yes' : 'No',
           createdAt: voter.createdAt.toLocaleDateString()
         });
       });
@@ -555,7 +615,7 @@ async function exportVotersData(req, res, format = 'pdf') {
       
       res.write('Voting Number,Full Name,ID Number,Gender,Constituency,Ward,Phone,Voted,Registered Date\n');
       voters.forEach(voter => {
-        res.write(`"${voter.votingNumber}","${voter.fullName || 'N/A'}","${voter.idNumber || 'N/A'}","${voter.gender || 'N/A'}","${voter.constituency || 'N/A'}","${voter.ward || 'N/A'}","${voter.phone || 'N/A'}","${voter.hasVoted ? 'Yes' : 'No'}","${voter.createdAt.toLocaleDateString()}"\n`);
+        res.write(`"${voter.votingNumber}","${voter.fullName || 'N/A'}","${voter.idNumber || 'N/A'}","${voter.gender || 'N/A'}","${voter.constituency || 'N/A'}","${voter.ward || 'N/A'}","${voter.phone || 'N/A'}","${hasVoted(voter) ? 'Yes' : 'No'}","${voter.createdAt.toLocaleDateString()}"\n`);
       });
       res.end();
     }
@@ -567,7 +627,8 @@ async function exportVotersData(req, res, format = 'pdf') {
 // Helper function to export candidates data
 async function exportCandidatesData(req, res, format = 'pdf') {
   try {
-    const candidates = await Candidate.find({})
+    const countyName = await constituencyData.getCountyName();
+    const candidates = await Candidate.find(req.admin.scopeFilter({ election: req.election._id }))
       .select('fullName idNumber gender constituency ward politicalParty position runningMate')
       .sort({ position: 1, constituency: 1 });
 
@@ -579,7 +640,7 @@ async function exportCandidatesData(req, res, format = 'pdf') {
       
       doc.pipe(res);
       
-      doc.fontSize(20).text('Kirinyaga County Candidates List', { align: 'center' });
+      doc.fontSize(20).text(`${countyName} County Candidates List`, { align: 'center' });
       doc.moveDown();
       doc.fontSize(12).text(`Report generated: ${new Date().toLocaleString()}`, { align: 'center' });
       doc.text(`Total Candidates: ${candidates.length}`, { align: 'center' });
@@ -669,12 +730,14 @@ async function exportCandidatesData(req, res, format = 'pdf') {
 }
 
 // Helper function to export votes data
+// Ballots are anonymous: the export contains the ballot contents only and is
+// ordered by area rather than by cast time.
 async function exportVotesData(req, res, format = 'pdf') {
   try {
-    const votes = await Vote.find({})
-      .populate('voterId', 'votingNumber fullName')
+    const countyName = await constituencyData.getCountyName();
+    const votes = await Vote.find(req.admin.scopeFilter({ election: req.election._id }))
       .populate('candidateId', 'fullName politicalParty')
-      .sort({ createdAt: -1 })
+      .sort({ position: 1, constituency: 1, ward: 1 })
       .limit(1000); // Limit to 1000 votes
 
     if (format === 'pdf') {
@@ -685,7 +748,7 @@ async function exportVotesData(req, res, format = 'pdf') {
       
       doc.pipe(res);
       
-      doc.fontSize(20).text('Kirinyaga County Votes Data', { align: 'center' });
+      doc.fontSize(20).text(`${countyName} County Votes Data`, { align: 'center' });
       doc.moveDown();
       doc.fontSize(12).text(`Report generated: ${new Date().toLocaleString()}`, { align: 'center' });
       doc.text(`Total Votes in Report: ${votes.length}`, { align: 'center' });
@@ -693,15 +756,12 @@ async function exportVotesData(req, res, format = 'pdf') {
       
       let y = doc.y;
       doc.fontSize(8);
-      doc.text('Timestamp', 30, y, { width: 60 });
-      doc.text('Voter ID', 90, y, { width: 80 });
-      doc.text('Voter Name', 170, y, { width: 80 });
-      doc.text('Position', 250, y, { width: 60 });
-      doc.text('Candidate', 310, y, { width: 100 });
-      doc.text('Party', 410, y, { width: 60 });
-      doc.text('Constituency', 470, y, { width: 60 });
-      doc.text('Ward', 530, y, { width: 50 });
-      doc.text('Polling Station', 580, y, { width: 80 });
+      doc.text('Cast (Hour)', 30, y, { width: 90 });
+      doc.text('Position', 120, y, { width: 90 });
+      doc.text('Candidate', 210, y, { width: 130 });
+      doc.text('Party', 340, y, { width: 100 });
+      doc.text('Constituency', 440, y, { width: 100 });
+      doc.text('Ward', 540, y, { width: 100 });
       
       doc.moveDown(0.5);
       doc.moveTo(30, doc.y).lineTo(660, doc.y).stroke();
@@ -714,15 +774,12 @@ async function exportVotesData(req, res, format = 'pdf') {
         }
         
         y = doc.y;
-        doc.text(vote.createdAt.toLocaleString(), 30, y, { width: 60 });
-        doc.text(vote.voterId?.votingNumber || 'N/A', 90, y, { width: 80 });
-        doc.text(vote.voterId?.fullName || 'N/A', 170, y, { width: 80 });
-        doc.text(vote.position, 250, y, { width: 60 });
-        doc.text(vote.candidateId?.fullName || 'N/A', 310, y, { width: 100 });
-        doc.text(vote.candidateId?.politicalParty || 'N/A', 410, y, { width: 60 });
-        doc.text(vote.constituency || 'N/A', 470, y, { width: 60 });
-        doc.text(vote.ward || 'N/A', 530, y, { width: 50 });
-        doc.text(vote.pollingStation || 'N/A', 580, y, { width: 80 });
+        doc.text(vote.castAt ? vote.castAt.toLocaleString() : 'N/A', 30, y, { width: 90 });
+        doc.text(vote.position, 120, y, { width: 90 });
+        doc.text(candidateLabel(vote), 210, y, { width: 130 });
+        doc.text(vote.candidateId?.politicalParty || 'N/A', 340, y, { width: 100 });
+        doc.text(vote.constituency || 'N/A', 440, y, { width: 100 });
+        doc.text(vote.ward || 'N/A', 540, y, { width: 100 });
         
         doc.moveDown(0.5);
       });
@@ -730,16 +787,12 @@ async function exportVotesData(req, res, format = 'pdf') {
       doc.end();
     } else {
       const structuredData = votes.map(vote => ({
-        Timestamp: vote.createdAt.toISOString(),
-        'Voter ID': vote.voterId?.votingNumber || 'N/A',
-        'Voter Name': vote.voterId?.fullName || 'N/A',
+        'Cast Hour': vote.castAt ? vote.castAt.toISOString() : 'N/A',
         Position: vote.position,
-        Candidate: vote.candidateId?.fullName || 'N/A',
+        Candidate: candidateLabel(vote),
         Party: vote.candidateId?.politicalParty || 'N/A',
         Constituency: vote.constituency || 'N/A',
-        Ward: vote.ward || 'N/A',
-        'Polling Station': vote.pollingStation || 'N/A',
-        'IP Address': vote.ipAddress || 'N/A'
+        Ward: vote.ward || 'N/A'
       }));
       
       if (format === 'excel') {
@@ -747,16 +800,12 @@ async function exportVotesData(req, res, format = 'pdf') {
         const worksheet = workbook.addWorksheet('Votes');
         
         worksheet.columns = [
-          { header: 'Timestamp', key: 'Timestamp', width: 20 },
-          { header: 'Voter ID', key: 'Voter ID', width: 15 },
-          { header: 'Voter Name', key: 'Voter Name', width: 25 },
+          { header: 'Cast Hour', key: 'Cast Hour', width: 20 },
           { header: 'Position', key: 'Position', width: 15 },
           { header: 'Candidate', key: 'Candidate', width: 25 },
           { header: 'Party', key: 'Party', width: 20 },
           { header: 'Constituency', key: 'Constituency', width: 20 },
-          { header: 'Ward', key: 'Ward', width: 15 },
-          { header: 'Polling Station', key: 'Polling Station', width: 20 },
-          { header: 'IP Address', key: 'IP Address', width: 15 }
+          { header: 'Ward', key: 'Ward', width: 15 }
         ];
         
         structuredData.forEach(row => {
@@ -774,9 +823,9 @@ async function exportVotesData(req, res, format = 'pdf') {
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', `attachment; filename=votes-data-${Date.now()}.csv`);
         
-        res.write('Timestamp,Voter ID,Voter Name,Position,Candidate,Party,Constituency,Ward,Polling Station,IP Address\n');
+        res.write('Cast Hour,Position,Candidate,Party,Constituency,Ward\n');
         structuredData.forEach(row => {
-          res.write(`"${row.Timestamp}","${row['Voter ID']}","${row['Voter Name']}","${row.Position}","${row.Candidate}","${row.Party}","${row.Constituency}","${row.Ward}","${row['Polling Station']}","${row['IP Address']}"\n`);
+          res.write(`"${row['Cast Hour']}","${row.Position}","${row.Candidate}","${row.Party}","${row.Constituency}","${row.Ward}"\n`);
         });
         res.end();
       }
@@ -786,11 +835,20 @@ async function exportVotesData(req, res, format = 'pdf') {
   }
 }
 
+// Helper function to describe what a ballot entry records
+function candidateLabel(vote) {
+  if (vote.choice === 'blank') return 'BLANK';
+  if (vote.choice === 'rejected') return 'REJECTED';
+  return vote.candidateId?.fullName || 'N/A';
+}
+
 // Helper function to export results data
 async function exportResultsData(req, res, format = 'pdf') {
   try {
+    const countyName = await constituencyData.getCountyName();
     // Get election results
     const results = await Vote.aggregate([
+      { $match: req.admin.scopeFilter({ election: req.election._id, choice: 'candidate' }) },
       {
         $lookup: {
           from: 'candidates',
@@ -825,7 +883,8 @@ async function exportResultsData(req, res, format = 'pdf') {
       doc.pipe(res);
       
       // Add title
-      doc.fontSize(20).text('Kirinyaga County Election Results', { align: 'center' });
+      doc.fontSize(20).text(`${countyName} County Election Results`, { align: 'center' });
+      doc.fontSize(14).text(req.election.name, { align: 'center' });
       doc.moveDown();
       doc.fontSize(12).text(`Report generated: ${new Date().toLocaleString()}`, { align: 'center' });
       doc.moveDown(2);
@@ -927,6 +986,7 @@ async function exportResultsData(req, res, format = 'pdf') {
 // Export full comprehensive report
 async function exportFullReport(req, res, format = 'pdf') {
   try {
+    const countyName = await constituencyData.getCountyName();
     if (format !== 'pdf') {
       return res.status(400).json({
         success: false,
@@ -973,24 +1033,26 @@ async function exportFullReport(req, res, format = 'pdf') {
     });
     
     // Get data for the report
-    const totalVoters = await Voter.countDocuments({});
-    const votedCount = await Voter.countDocuments({ hasVoted: true });
-    const totalCandidates = await Candidate.countDocuments({});
-    const totalVotes = await Vote.countDocuments({});
+    const election = req.election;
+    const totalVoters = await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter()));
+    const votedCount = await Participation.countVoted(election._id, req.admin.scopeFilter());
+    const totalCandidates = await Candidate.countDocuments(req.admin.scopeFilter({ election: election._id }));
+    const totalVotes = await Vote.countDocuments(req.admin.scopeFilter({ election: election._id }));
     
     // Executive Summary
     doc.addPage();
     doc.fontSize(20).text('1. EXECUTIVE SUMMARY', { underline: true });
     doc.moveDown();
     
-    doc.fontSize(12).text(`Election Date: ${new Date().toLocaleDateString()}`);
+    doc.fontSize(12).text(`Election: ${election.name}`);
+    doc.text(`Election Date: ${(election.schedule && election.schedule.start ? election.schedule.start : new Date()).toLocaleDateString()}`);
     doc.text(`Total Registered Voters: ${totalVoters.toLocaleString()}`);
     doc.text(`Voters Who Voted: ${votedCount.toLocaleString()} (${((votedCount/totalVoters)*100).toFixed(2)}%)`);
     doc.text(`Total Candidates: ${totalCandidates.toLocaleString()}`);
     doc.text(`Total Votes Cast: ${totalVotes.toLocaleString()}`);
     doc.moveDown();
     
-    doc.text('This report provides a comprehensive analysis of the election results for Kirinyaga County. The election was conducted in a free, fair, and transparent manner with proper oversight from election observers.');
+    doc.text(`This report provides a comprehensive analysis of the election results for ${countyName} County. The election was conducted in a free, fair, and transparent manner with proper oversight from election observers.`);
     
     // Add more sections with data...
     // (You can expand this with more detailed sections)
@@ -1004,7 +1066,7 @@ async function exportFullReport(req, res, format = 'pdf') {
     
     doc.text('___________________________', { align: 'center' });
     doc.text('Chairperson', { align: 'center' });
-    doc.text('Kirinyaga County Election Commission', { align: 'center' });
+    doc.text(`${countyName} County Election Commission`, { align: 'center' });
     doc.moveDown();
     doc.text(`Date: ${new Date().toLocaleDateString()}`, { align: 'center' });
     
@@ -1031,12 +1093,14 @@ const generatePDFReport = async (req, res, next) => {
 // @access  Private (Admin)
 const getParticipationReport = async (req, res, next) => {
   try {
-    const totalVoters = await Voter.countDocuments();
-    const votedCount = await Voter.countDocuments({ hasVoted: true });
-    const totalVotes = await Vote.countDocuments();
+    const election = req.election;
+    const totalVoters = await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter()));
+    const votedCount = await Participation.countVoted(election._id, req.admin.scopeFilter());
+    const totalVotes = await Vote.countDocuments(req.admin.scopeFilter({ election: election._id }));
     
     // Get votes by constituency
     const votesByConstituency = await Vote.aggregate([
+      { $match: req.admin.scopeFilter({ election: election._id }) },
       {
         $group: {
           _id: '$constituency',
@@ -1047,9 +1111,10 @@ const getParticipationReport = async (req, res, next) => {
     
     // Get votes by time of day
     const votesByHour = await Vote.aggregate([
+      { $match: req.admin.scopeFilter({ election: election._id }) },
       {
         $group: {
-          _id: { $hour: '$createdAt' },
+          _id: { $hour: '$castAt' },
           votes: { $sum: 1 }
         }
       },
@@ -1080,20 +1145,21 @@ const getParticipationReport = async (req, res, next) => {
 // @access  Private (Admin)
 const getFullElectionReport = async (req, res, next) => {
   try {
-    const totalVoters = await Voter.countDocuments();
-    const votedCount = await Voter.countDocuments({ hasVoted: true });
-    const totalCandidates = await Candidate.countDocuments();
-    const totalVotes = await Vote.countDocuments();
+    const election = req.election;
+    const totalVoters = await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter()));
+    const votedCount = await Participation.countVoted(election._id, req.admin.scopeFilter());
+    const totalCandidates = await Candidate.countDocuments(req.admin.scopeFilter({ election: election._id }));
+    const totalVotes = await Vote.countDocuments(req.admin.scopeFilter({ election: election._id }));
     
     // Get all positions
-    const positions = await Vote.distinct('position');
+    const positions = await Vote.distinct('position', req.admin.scopeFilter({ election: election._id }));
     
     // Get winners for each position
     const winners = [];
     
     for (const position of positions) {
       const positionResults = await Vote.aggregate([
-        { $match: { position } },
+        { $match: req.admin.scopeFilter({ election: election._id, position, choice: 'candidate' }) },
         {
           $lookup: {
             from: 'candidates',
@@ -1152,8 +1218,8 @@ const getReportsList = async (req, res, next) => {
     const reports = [
       {
         id: 'governor-results',
-        title: 'Governor Election Results',
-        description: 'Official results for Governor position',
+        title: 'Election Results',
+        description: 'Official results for every position on the ballot',
         date: new Date().toISOString(),
         type: 'pdf',
         verified: true
@@ -1245,6 +1311,7 @@ module.exports = {
   scheduleVoting,
   getAuditLogs,
   exportAuditLogs,
+  verifyAuditLogs,
   getSuspiciousActivity,
   getSystemStatus,
   exportElectionData,
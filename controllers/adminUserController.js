@@ -0,0 +1,684 @@
+const Admin = require('../models/Admin');
+const auditLogger = require('../utils/auditLogger');
+const notificationService = require('../utils/notificationService');
+const permissions = require('../utils/permissions');
+const constituencyData = require('../utils/constituencyData');
+const loginLockout = require('../utils/loginLockout');
+const adminSessions = require('../utils/adminSessions');
+const config = require('../config');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const crypto = require('crypto');
+
+// @desc    List admin accounts with last-login info
+// @route   GET /api/v1/admin/users
+// @access  Private (admins.manage)
+const getAdminUsers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, role, isActive, search, constituency } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+    if (constituency) query['scope.constituency'] = constituency;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ email: pattern }, { fullName: pattern }];
+    }
+
+    const admins = await Admin.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('invitedBy', 'email fullName');
+
+    const total = await Admin.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: admins,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an admin account
+// @route   GET /api/v1/admin/users/:id
+// @access  Private (admins.manage)
+const getAdminUser = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    await admin.populate([
+      { path: 'invitedBy', select: 'email fullName' },
+      { path: 'deactivatedBy', select: 'email fullName' }
+    ]);
+    const throttle = await loginLockout.findAccount(admin.email);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...admin.toObject(),
+        lockedUntil: throttle && throttle.isLocked() ? throttle.lockedUntil : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite an admin: create the account with a temporary password
+//          and email it to them
+// @route   POST /api/v1/admin/users
+// @access  Private (admins.manage)
+const inviteAdminUser = async (req, res, next) => {
+  try {
+    const { email, fullName, role = 'admin', scope } = req.body;
+
+    if (!email || !fullName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide email and full name'
+      });
+    }
+
+    if (!await permissions.roleExists(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role ${role} does not exist`
+      });
+    }
+
+    const { scope: area, error: scopeError } = await resolveScope(scope);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const existingAdmin = await Admin.findOne({ email: String(email).toLowerCase().trim() });
+    if (existingAdmin) {
+      return res.status(400).json({
+        success: false,
+        error: 'An admin with this email already exists'
+      });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    const admin = await Admin.create({
+      email,
+      fullName,
+      role,
+      scope: area,
+      password: temporaryPassword,
+      mustChangePassword: true,
+      invitedBy: req.admin._id
+    });
+
+    const delivery = await sendTemporaryPassword(admin, temporaryPassword, 'invite');
+
+    await auditLogger.log(req.admin._id, 'ADMIN_INVITE', 'Admin', admin._id, {
+      email: admin.email,
+      role: admin.role,
+      scope: area,
+      invitationSent: delivery.success
+    });
+
+    res.status(201).json({
+      success: true,
+      message: delivery.success
+        ? 'Admin invited. The temporary password has been emailed to them.'
+        : 'Admin created, but the invitation email could not be sent. Give them the temporary password in person.',
+      data: admin,
+      invitationSent: delivery.success,
+      // Only returned when the email did not go out
+      ...(!delivery.success && { temporaryPassword })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change an admin's role
+// @route   PUT /api/v1/admin/users/:id/role
+// @access  Private (admins.manage)
+const updateAdminRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!await permissions.roleExists(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role ${role} does not exist`
+      });
+    }
+
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    if (admin.role === role) {
+      return res.status(400).json({
+        success: false,
+        error: `Admin already has the role ${role}`
+      });
+    }
+
+    if (admin.role === 'super_admin' && await isLastActiveSuperAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot demote the last active super admin'
+      });
+    }
+
+    const previousRole = admin.role;
+    admin.role = role;
+    await admin.save();
+
+    await auditLogger.log(req.admin._id, 'ADMIN_ROLE_CHANGE', 'Admin', admin._id, {
+      email: admin.email,
+      from: previousRole,
+      to: role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set the area an admin manages (empty for county-wide)
+// @route   PUT /api/v1/admin/users/:id/scope
+// @access  Private (admins.manage)
+const updateAdminScope = async (req, res, next) => {
+  try {
+    const { scope: area, error: scopeError } = await resolveScope(req.body && req.body.scope);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own scope'
+      });
+    }
+
+    const previousScope = admin.hasScope()
+      ? { constituency: admin.scope.constituency, ward: admin.scope.ward || null }
+      : null;
+    admin.scope = area;
+    await admin.save();
+
+    await auditLogger.log(req.admin._id, 'ADMIN_SCOPE_CHANGE', 'Admin', admin._id, {
+      email: admin.email,
+      from: previousScope,
+      to: area.constituency ? area : null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: area.constituency
+        ? `Admin now manages ${area.ward ? `${area.ward} ward, ` : ''}${area.constituency}`
+        : 'Admin is now county-wide',
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate an admin account
+// @route   PUT /api/v1/admin/users/:id/deactivate
+// @access  Private (admins.manage)
+const deactivateAdminUser = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is already deactivated'
+      });
+    }
+
+    if (admin.role === 'super_admin' && await isLastActiveSuperAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot deactivate the last active super admin'
+      });
+    }
+
+    admin.isActive = false;
+    admin.deactivatedAt = new Date();
+    admin.deactivatedBy = req.admin._id;
+    await admin.save();
+
+    const sessionsRevoked = await adminSessions.revokeAll(admin._id, 'deactivated', req.admin._id);
+
+    await auditLogger.log(req.admin._id, 'ADMIN_DEACTIVATE', 'Admin', admin._id, {
+      email: admin.email,
+      reason: req.body && req.body.reason,
+      sessionsRevoked
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deactivated',
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate an admin account
+// @route   PUT /api/v1/admin/users/:id/activate
+// @access  Private (admins.manage)
+const activateAdminUser = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is already active'
+      });
+    }
+
+    admin.isActive = true;
+    admin.deactivatedAt = undefined;
+    admin.deactivatedBy = undefined;
+    await admin.save();
+
+    await auditLogger.log(req.admin._id, 'ADMIN_ACTIVATE', 'Admin', admin._id, {
+      email: admin.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account activated',
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a login lockout on an admin account
+// @route   POST /api/v1/admin/users/:id/unlock
+// @access  Private (admins.manage)
+const unlockAdminUser = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const throttle = await loginLockout.findAccount(admin.email);
+    if (!throttle || !throttle.isLocked()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is not locked'
+      });
+    }
+
+    await loginLockout.unlock(throttle);
+
+    await auditLogger.log(req.admin._id, 'ACCOUNT_UNLOCKED', 'Admin', admin._id, {
+      email: admin.email,
+      lockouts: throttle.lockouts
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List an admin's active sessions
+// @route   GET /api/v1/admin/users/:id/sessions
+// @access  Private (admins.manage)
+const getAdminSessions = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const sessions = await adminSessions.listActive(admin._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: !!req.adminSession && session._id.equals(req.adminSession._id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End one of an admin's sessions
+// @route   DELETE /api/v1/admin/users/:id/sessions/:sessionId
+// @access  Private (admins.manage)
+const revokeAdminSession = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    const session = admin && mongoose.isValidObjectId(req.params.sessionId)
+      ? await adminSessions.findActive(req.params.sessionId, admin._id)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await adminSessions.revoke(session, 'revoked_by_admin', req.admin._id);
+
+    await auditLogger.log(req.admin._id, 'ADMIN_SESSION_REVOKE', 'Admin', admin._id, {
+      email: admin.email,
+      sessionId: session._id,
+      reason: req.body && req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End all of an admin's sessions (the caller's own is kept)
+// @route   DELETE /api/v1/admin/users/:id/sessions
+// @access  Private (admins.manage)
+const revokeAdminSessions = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const sessionsRevoked = await adminSessions.revokeAll(admin._id, 'revoked_by_admin', req.admin._id, req.adminSession._id);
+
+    await auditLogger.log(req.admin._id, 'ADMIN_SESSIONS_REVOKE_ALL', 'Admin', admin._id, {
+      email: admin.email,
+      sessionsRevoked,
+      reason: req.body && req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${sessionsRevoked} session(s) ended`,
+      sessionsRevoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove an admin's two-factor enrolment (lost device and recovery
+//          codes). Roles that require it must enrol again at the next login.
+// @route   POST /api/v1/admin/users/:id/reset-2fa
+// @access  Private (admins.manage)
+const resetAdminTwoFactor = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot reset your own two-factor authentication'
+      });
+    }
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled for this admin'
+      });
+    }
+
+    admin.clearTwoFactor();
+    await admin.save();
+
+    await auditLogger.log(req.admin._id, 'ADMIN_TWO_FACTOR_RESET', 'Admin', admin._id, {
+      email: admin.email,
+      reason: req.body && req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Force a password reset: replace the password with a temporary one
+//          that must be changed at the next login
+// @route   POST /api/v1/admin/users/:id/force-password-reset
+// @access  Private (admins.manage)
+const forcePasswordReset = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use change-password to change your own password'
+      });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    admin.password = temporaryPassword;
+    admin.mustChangePassword = true;
+    await admin.save();
+
+    const sessionsRevoked = await adminSessions.revokeAll(admin._id, 'password_reset', req.admin._id);
+    const delivery = await sendTemporaryPassword(admin, temporaryPassword, 'reset');
+
+    await auditLogger.log(req.admin._id, 'ADMIN_FORCE_PASSWORD_RESET', 'Admin', admin._id, {
+      email: admin.email,
+      reason: req.body && req.body.reason,
+      emailSent: delivery.success,
+      sessionsRevoked
+    });
+
+    res.status(200).json({
+      success: true,
+      message: delivery.success
+        ? 'Password reset. The temporary password has been emailed to the admin.'
+        : 'Password reset, but the email could not be sent. Give the admin the temporary password in person.',
+      emailSent: delivery.success,
+      ...(!delivery.success && { temporaryPassword })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to find an admin by ID
+const findAdmin = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Admin.findById(id);
+};
+
+// Helper function to validate a requested scope ({ constituency, ward }) against
+// the county geography. No constituency means county-wide.
+const resolveScope = async (scope) => {
+  const { constituency, ward } = scope || {};
+
+  if (!constituency) {
+    if (ward) return { error: 'A ward scope also needs its constituency' };
+    return { scope: { constituency: null, ward: null } };
+  }
+  if (!(await constituencyData.validateConstituency(constituency))) {
+    return { error: `Unknown constituency: ${constituency}` };
+  }
+  if (ward && !(await constituencyData.validateWard(constituency, ward))) {
+    return { error: `Invalid ward for constituency ${constituency}` };
+  }
+  return { scope: { constituency, ward: ward || null } };
+};
+
+// Helper function to check whether an admin is the only active super admin
+const isLastActiveSuperAdmin = async (admin) => {
+  const others = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'super_admin',
+    isActive: true
+  });
+  return admin.isActive && others === 0;
+};
+
+// Helper function to generate a temporary password with upper and lower case
+// letters, digits and a symbol, long enough for the password policy
+const generateTemporaryPassword = () => {
+  const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnpqrstuvwxyz', '23456789', '@#$%&*!?'];
+  const all = sets.join('');
+  const length = Math.max(14, config.passwordPolicy.minLength);
+  const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) chars.push(all[crypto.randomInt(all.length)]);
+
+  // Shuffle so the character classes are not in a fixed order
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+// Helper function to email a temporary password to an admin
+const sendTemporaryPassword = (admin, temporaryPassword, reason) => {
+  const subject = reason === 'invite'
+    ? 'Your Kirinyaga County Elections admin account'
+    : 'Your Kirinyaga County Elections admin password was reset';
+  const intro = reason === 'invite'
+    ? 'An administrator account has been created for you on the Kirinyaga County Elections system.'
+    : 'The password of your administrator account on the Kirinyaga County Elections system has been reset.';
+
+  const body = `
+    <div class="header"><h1>Kirinyaga County Elections</h1></div>
+    <div class="content">
+      <p>Dear ${validator.escape(admin.fullName)},</p>
+      <p>${intro}</p>
+      <p>Sign in with your email address (${validator.escape(admin.email)}) and this temporary password:</p>
+      <div class="highlight">${validator.escape(temporaryPassword)}</div>
+      <p class="warning">You will be asked to choose a new password when you first sign in. Do not share this password.</p>
+      <p>Portal: ${validator.escape(config.portalUrl)}</p>
+    </div>
+  `;
+
+  return notificationService.sendAdminEmail(admin, subject, body);
+};
+
+// Helper function to escape user input for use in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  getAdminUsers,
+  getAdminUser,
+  inviteAdminUser,
+  updateAdminRole,
+  updateAdminScope,
+  deactivateAdminUser,
+  activateAdminUser,
+  unlockAdminUser,
+  getAdminSessions,
+  revokeAdminSession,
+  revokeAdminSessions,
+  resetAdminTwoFactor,
+  forcePasswordReset
+};
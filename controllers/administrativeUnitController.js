@@ -0,0 +1,394 @@
+const AdministrativeUnit = require('../models/AdministrativeUnit');
+const Voter = require('../models/Voter');
+const Candidate = require('../models/Candidate');
+const auditLogger = require('../utils/auditLogger');
+const constituencyData = require('../utils/constituencyData');
+const { parseCsv, parseGeoJson, importRows } = require('../utils/geographyImport');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
+
+// Import files are parsed in memory and never written to disk
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (['.csv', '.geojson', '.json'].includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Please upload a CSV or GeoJSON file'), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB max file size
+  }
+});
+
+// @desc    Get administrative units
+// @route   GET /api/v1/units
+// @access  Public
+const getUnits = async (req, res, next) => {
+  try {
+    const { level, parent, county, constituency, ward, includeInactive } = req.query;
+
+    const filter = {};
+    if (level) filter.level = level;
+    if (parent) {
+      if (!mongoose.Types.ObjectId.isValid(parent)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parent ID'
+        });
+      }
+      filter.parent = parent;
+    }
+    if (county) filter.county = county;
+    if (constituency) filter.constituency = constituency;
+    if (ward) filter.ward = ward;
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const units = await AdministrativeUnit.find(filter).sort({ level: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: units.length,
+      data: units
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the geography as a tree (polling stations on request)
+// @route   GET /api/v1/units/tree
+// @access  Public
+const getUnitTree = async (req, res, next) => {
+  try {
+    const levels = req.query.includeStations === 'true'
+      ? AdministrativeUnit.LEVELS
+      : AdministrativeUnit.LEVELS.filter(level => level !== 'polling_station');
+
+    const units = await AdministrativeUnit.find({ level: { $in: levels }, isActive: true })
+      .select('name code level parent')
+      .sort({ name: 1 })
+      .lean();
+
+    const nodes = new Map();
+    units.forEach(unit => {
+      nodes.set(unit._id.toString(), { ...unit, children: [] });
+    });
+
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      if (parent) {
+        parent.children.push(node);
+      } else if (node.level === 'county') {
+        roots.push(node);
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: roots
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get administrative unit with its children
+// @route   GET /api/v1/units/:id
+// @access  Public
+const getUnit = async (req, res, next) => {
+  try {
+    const unit = await findUnit(req.params.id);
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Administrative unit not found'
+      });
+    }
+
+    const children = await AdministrativeUnit.find({ parent: unit._id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...unit.toObject(),
+        children
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create administrative unit
+// @route   POST /api/v1/units
+// @access  Private (Super Admin)
+const createUnit = async (req, res, next) => {
+  try {
+    const { name, code, level, parent: parentId } = req.body;
+
+    if (!AdministrativeUnit.LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        error: `Level must be one of: ${AdministrativeUnit.LEVELS.join(', ')}`
+      });
+    }
+
+    const data = { name, code, level, parent: null };
+
+    const parentLevel = AdministrativeUnit.parentLevel(level);
+    if (parentLevel) {
+      const parent = parentId ? await findUnit(parentId) : null;
+      if (!parent || parent.level !== parentLevel) {
+        return res.status(400).json({
+          success: false,
+          error: `A ${level.replace('_', ' ')} must belong to a ${parentLevel}`
+        });
+      }
+
+      data.parent = parent._id;
+      data.county = parent.level === 'county' ? parent.name : parent.county;
+      data.constituency = parent.level === 'constituency' ? parent.name : parent.constituency;
+      data.ward = parent.level === 'ward' ? parent.name : parent.ward;
+    }
+
+    const existing = await AdministrativeUnit.findOne({
+      level,
+      parent: data.parent,
+      name: name ? name.trim() : name
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: `${existing.name} already exists at this level`
+      });
+    }
+
+    const unit = await AdministrativeUnit.create(data);
+    constituencyData.invalidate();
+
+    await auditLogger.log(req.admin._id, 'CREATE', 'AdministrativeUnit', unit._id, {
+      name: unit.name,
+      level: unit.level,
+      parent: unit.parent
+    });
+
+    res.status(201).json({
+      success: true,
+      data: unit
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update administrative unit
+// @route   PUT /api/v1/units/:id
+// @access  Private (Super Admin)
+const updateUnit = async (req, res, next) => {
+  try {
+    const unit = await findUnit(req.params.id);
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Administrative unit not found'
+      });
+    }
+
+    const { name, code, isActive } = req.body;
+    const renamed = name !== undefined && name.trim() !== unit.name;
+
+    if (renamed) {
+      // Voters and candidates store area names, so a referenced unit keeps its name
+      if (await countReferences(unit) > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot rename an area that voters or candidates are registered in'
+        });
+      }
+    }
+
+    const previousName = unit.name;
+    if (name !== undefined) unit.name = name;
+    if (code !== undefined) unit.code = code;
+    if (isActive !== undefined) unit.isActive = isActive;
+
+    await unit.save();
+
+    // Keep the denormalized names of the units below in step
+    if (renamed && unit.level !== 'polling_station') {
+      await AdministrativeUnit.updateMany(
+        { ...ancestorFilter(unit), [unit.level]: previousName },
+        { $set: { [unit.level]: unit.name } }
+      );
+    }
+    constituencyData.invalidate();
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'AdministrativeUnit', unit._id, {
+      name: unit.name,
+      level: unit.level,
+      updates: Object.keys(req.body)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: unit
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete administrative unit
+// @route   DELETE /api/v1/units/:id
+// @access  Private (Super Admin)
+const deleteUnit = async (req, res, next) => {
+  try {
+    const unit = await findUnit(req.params.id);
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Administrative unit not found'
+      });
+    }
+
+    if (await AdministrativeUnit.exists({ parent: unit._id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Remove the units under this area first'
+      });
+    }
+
+    const references = await countReferences(unit);
+
+    if (references > 0) {
+      // Soft delete if voters or candidates are registered in the area
+      unit.isActive = false;
+      await unit.save();
+    } else {
+      await unit.deleteOne();
+    }
+    constituencyData.invalidate();
+
+    await auditLogger.log(req.admin._id, 'DELETE', 'AdministrativeUnit', unit._id, {
+      name: unit.name,
+      level: unit.level,
+      deactivated: references > 0
+    });
+
+    res.status(200).json({
+      success: true,
+      message: references > 0
+        ? 'Administrative unit is in use and has been deactivated'
+        : 'Administrative unit deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Import units from a CSV or GeoJSON file (or JSON rows)
+// @route   POST /api/v1/units/import
+// @access  Private (Super Admin)
+const importUnits = async (req, res, next) => {
+  try {
+    let rows;
+    let source;
+
+    try {
+      if (req.file) {
+        source = req.file.originalname;
+        const text = req.file.buffer.toString('utf8');
+        rows = path.extname(source).toLowerCase() === '.csv' ? parseCsv(text) : parseGeoJson(text);
+      } else if (req.body && req.body.type === 'FeatureCollection') {
+        source = 'geojson';
+        rows = parseGeoJson(req.body);
+      } else if (req.body && Array.isArray(req.body.rows)) {
+        source = 'json';
+        rows = req.body.rows;
+      } else if (req.body && typeof req.body.csv === 'string') {
+        source = 'csv';
+        rows = parseCsv(req.body.csv);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read import data: ${error.message}`
+      });
+    }
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a CSV or GeoJSON file, a FeatureCollection, CSV text or an array of rows'
+      });
+    }
+
+    const summary = await importRows(rows);
+    constituencyData.invalidate();
+
+    await auditLogger.log(req.admin._id, 'IMPORT', 'AdministrativeUnit', null, {
+      source,
+      rows: rows.length,
+      created: summary.created,
+      existing: summary.existing,
+      errors: summary.errors.length
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${rows.length} rows: ${summary.created} units created, ${summary.existing} already existed`,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to load a unit, treating malformed IDs as not found
+const findUnit = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return AdministrativeUnit.findById(id);
+};
+
+// Helper function to match a unit's area by its ancestors' names
+const ancestorFilter = (unit) => {
+  const filter = {};
+  ['county', 'constituency', 'ward'].forEach(level => {
+    if (unit[level]) filter[level] = unit[level];
+  });
+  return filter;
+};
+
+// Helper function to count voters and candidates registered in a unit's area.
+// Polling stations are not recorded on voters or candidates.
+const countReferences = async (unit) => {
+  if (unit.level === 'polling_station') return 0;
+
+  const filter = { ...ancestorFilter(unit), [unit.level]: unit.name };
+  const [voters, candidates] = await Promise.all([
+    Voter.countDocuments(filter),
+    Candidate.countDocuments(filter)
+  ]);
+  return voters + candidates;
+};
+
+module.exports = {
+  getUnits,
+  getUnitTree,
+  getUnit,
+  createUnit,
+  updateUnit,
+  deleteUnit,
+  importUnits,
+  upload
+};
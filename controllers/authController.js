@@ -1,12 +1,22 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const PasswordResetToken = require('../models/PasswordResetToken');
 const config = require('../config');
 const auditLogger = require('../utils/auditLogger');
+const permissions = require('../utils/permissions');
+const loginLockout = require('../utils/loginLockout');
+const totp = require('../utils/totp');
+const adminSessions = require('../utils/adminSessions');
+const notificationService = require('../utils/notificationService');
+const passwordPolicy = require('../utils/passwordPolicy');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, config.jwtSecret, {
-    expiresIn: config.jwtExpire
+// Two-factor fields are not selected by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Generate JWT access token for a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, config.jwtSecret, {
+    expiresIn: config.session.accessTokenExpire
   });
 };
 
@@ -27,6 +37,25 @@ const adminLogin = async (req, res, next) => {
       });
     }
 
+    // Refuse locked-out accounts and IPs before looking at the password
+    const lockout = await loginLockout.check(email, ipAddress);
+    if (lockout) {
+      await auditLogger.log(null, 'LOGIN_BLOCKED', 'Admin', null, {
+        email,
+        ipAddress,
+        userAgent,
+        lockout: lockout.type,
+        lockedUntil: lockout.lockedUntil
+      });
+      
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        lockedUntil: lockout.lockedUntil
+      });
+    }
+
     // Check for admin
     const admin = await Admin.findOne({ email }).select('+password');
     
@@ -37,6 +66,7 @@ const adminLogin = async (req, res, next) => {
         userAgent,
         reason: 'Invalid email'
       });
+      await recordLoginFailure(req, email, null);
       
       return res.status(401).json({
         success: false,
@@ -69,6 +99,7 @@ const adminLogin = async (req, res, next) => {
         userAgent,
         reason: 'Invalid password'
       });
+      await recordLoginFailure(req, email, admin._id);
       
       return res.status(401).json({
         success: false,
@@ -76,29 +107,184 @@ const adminLogin = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save();
+    // Passwords that are too common (such as the installation default) or
+    // older than the maximum age must be changed before anything else
+    if (!admin.mustChangePassword) {
+      const reason = passwordPolicy.isCommon(password) ? 'Common password'
+        : passwordPolicy.isExpired(admin) ? 'Password expired' : null;
 
-    // Create token
-    const token = generateToken(admin._id);
+      if (reason) {
+        admin.mustChangePassword = true;
+        await admin.save();
+        await auditLogger.log(null, 'PASSWORD_CHANGE_REQUIRED', 'Admin', admin._id, { reason });
+      }
+    }
 
-    // Log successful login
-    await auditLogger.log(admin._id, 'LOGIN_SUCCESS', 'Admin', admin._id, {
-      ipAddress,
-      userAgent
-    });
+    // With two-factor authentication on, the password only earns a short-lived
+    // challenge token to exchange for a session at /login/2fa
+    if (admin.twoFactor.enabled) {
+      await auditLogger.log(admin._id, 'TWO_FACTOR_CHALLENGE', 'Admin', admin._id, {
+        ipAddress,
+        userAgent
+      });
 
-    res.status(200).json({
-      success: true,
-      token,
-      data: {
-        id: admin._id,
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(admin._id)
+      });
+    }
+
+    await completeLogin(req, res, admin);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Second login step - exchange a challenge token and an authenticator
+//          or recovery code for a session
+// @route   POST /api/v1/auth/admin/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const ipAddress = req.ip;
+    const userAgent = req.get('User-Agent');
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the challenge token and a code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, config.jwtSecret);
+    } catch (err) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        error: 'Login has expired. Please sign in again'
+      });
+    }
+
+    const admin = await Admin.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    if (!admin || !admin.isActive || !admin.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login has expired. Please sign in again'
+      });
+    }
+
+    const lockout = await loginLockout.check(admin.email, ipAddress);
+    if (lockout) {
+      await auditLogger.log(null, 'LOGIN_BLOCKED', 'Admin', admin._id, {
         email: admin.email,
-        fullName: admin.fullName,
-        role: admin.role,
-        lastLogin: admin.lastLogin
+        ipAddress,
+        userAgent,
+        lockout: lockout.type,
+        lockedUntil: lockout.lockedUntil
+      });
+
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        lockedUntil: lockout.lockedUntil
+      });
+    }
+
+    const accepted = recoveryCode
+      ? await useRecoveryCode(admin, recoveryCode)
+      : await useTotpCode(admin, code);
+
+    if (!accepted) {
+      await auditLogger.log(null, 'TWO_FACTOR_FAILED', 'Admin', admin._id, {
+        email: admin.email,
+        ipAddress,
+        userAgent,
+        method: recoveryCode ? 'recovery_code' : 'totp'
+      });
+      await recordLoginFailure(req, admin.email, admin._id);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid code'
+      });
+    }
+
+    if (recoveryCode) {
+      await auditLogger.log(admin._id, 'TWO_FACTOR_RECOVERY_CODE_USED', 'Admin', admin._id, {
+        ipAddress,
+        remaining: admin.twoFactor.recoveryCodes.length - 1
+      });
+    }
+
+    await completeLogin(req, res, admin);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/v1/auth/admin/refresh
+// @access  Public
+const refreshSession = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the refresh token'
+      });
+    }
+
+    const result = await adminSessions.rotate(refreshToken, req);
+
+    if (result.error === 'reused') {
+      // A refresh token that was already replaced came back: someone else
+      // holds a copy, so the session is ended for both
+      const details = {
+        sessionId: result.session._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      };
+      await auditLogger.log(null, 'SESSION_TOKEN_REUSE', 'Admin', result.session.admin, details);
+
+      if (req.io) {
+        req.io.to('admin').emit('securityAlert', {
+          type: 'sessionTokenReuse',
+          adminId: result.session.admin,
+          ...details,
+          timestamp: new Date()
+        });
       }
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired. Please sign in again'
+      });
+    }
+
+    const admin = await Admin.findById(result.session.admin);
+    if (!admin || !admin.isActive) {
+      await adminSessions.revoke(result.session, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired. Please sign in again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: generateToken(admin._id, result.session._id),
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     next(error);
@@ -114,7 +300,12 @@ const getCurrentAdmin = async (req, res, next) => {
     
     res.status(200).json({
       success: true,
-      data: admin
+      data: {
+        ...admin.toObject(),
+        twoFactorEnabled: admin.twoFactor.enabled,
+        twoFactorSetupRequired: admin.requiresTwoFactor() && !admin.twoFactor.enabled,
+        permissions: await permissions.getPermissions(admin.role)
+      }
     });
   } catch (error) {
     next(error);
@@ -135,13 +326,6 @@ const changePassword = async (req, res, next) => {
       });
     }
     
-    if (newPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        error: 'New password must be at least 8 characters'
-      });
-    }
-    
     const admin = await Admin.findById(req.admin._id).select('+password');
     
     // Check current password
@@ -153,16 +337,218 @@ const changePassword = async (req, res, next) => {
       });
     }
     
+    if (await admin.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be different from the current password'
+      });
+    }
+    
+    const passwordErrors = await passwordPolicy.validate(newPassword, admin);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password does not meet the password policy',
+        passwordErrors
+      });
+    }
+    
     // Update password
     admin.password = newPassword;
+    admin.mustChangePassword = false;
     await admin.save();
     
+    // Sign out everywhere else
+    const sessionsRevoked = await adminSessions.revokeAll(admin._id, 'password_change', admin._id, req.adminSession._id);
+    
     // Log password change
-    await auditLogger.log(admin._id, 'PASSWORD_CHANGE', 'Admin', admin._id);
+    await auditLogger.log(admin._id, 'PASSWORD_CHANGE', 'Admin', admin._id, {
+      sessionsRevoked
+    });
     
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      sessionsRevoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset link by email. The response is the same
+//          whether or not the email belongs to an account.
+// @route   POST /api/v1/auth/admin/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body || {};
+    const ipAddress = req.ip;
+    const userAgent = req.get('User-Agent');
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide your email address'
+      });
+    }
+
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!admin || !admin.isActive) {
+      await auditLogger.log(null, 'PASSWORD_RESET_REQUESTED', 'Admin', admin ? admin._id : null, {
+        email,
+        ipAddress,
+        userAgent,
+        sent: false,
+        reason: admin ? 'Account disabled' : 'Unknown email'
+      });
+      return res.status(200).json(response);
+    }
+
+    // One email per account per resend window
+    const recent = await PasswordResetToken.findOne({
+      admin: admin._id,
+      createdAt: { $gt: new Date(Date.now() - config.passwordReset.resendSeconds * 1000) }
+    });
+    if (recent) {
+      await auditLogger.log(null, 'PASSWORD_RESET_REQUESTED', 'Admin', admin._id, {
+        email: admin.email,
+        ipAddress,
+        userAgent,
+        sent: false,
+        reason: 'Requested again too soon'
+      });
+      return res.status(200).json(response);
+    }
+
+    // A new link replaces any earlier one
+    await PasswordResetToken.deleteMany({ admin: admin._id });
+    const token = PasswordResetToken.generateToken();
+    await PasswordResetToken.create({
+      admin: admin._id,
+      tokenHash: PasswordResetToken.hashToken(token),
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + config.passwordReset.tokenTtlMinutes * 60 * 1000)
+    });
+
+    const delivery = await sendPasswordResetEmail(admin, token);
+
+    await auditLogger.log(null, 'PASSWORD_RESET_REQUESTED', 'Admin', admin._id, {
+      email: admin.email,
+      ipAddress,
+      userAgent,
+      sent: delivery.success
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password with a reset token. The token is single-use,
+//          and every session of the account is ended.
+// @route   POST /api/v1/auth/admin/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    const ipAddress = req.ip;
+    const userAgent = req.get('User-Agent');
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the reset token and a new password'
+      });
+    }
+
+    const resetToken = await PasswordResetToken.findValid(token);
+    const admin = resetToken && await Admin.findById(resetToken.admin).select('+password');
+
+    if (!admin || !admin.isActive) {
+      await auditLogger.log(null, 'PASSWORD_RESET_FAILED', 'Admin', admin ? admin._id : null, {
+        ipAddress,
+        userAgent,
+        reason: admin ? 'Account disabled' : 'Invalid or expired token'
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    if (await admin.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be different from the current password'
+      });
+    }
+
+    const passwordErrors = await passwordPolicy.validate(newPassword, admin);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password does not meet the password policy',
+        passwordErrors
+      });
+    }
+
+    // Spend the token before anything else so it cannot be used twice
+    const spent = await PasswordResetToken.deleteOne({ _id: resetToken._id });
+    if (spent.deletedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    admin.password = newPassword;
+    admin.mustChangePassword = false;
+    await admin.save();
+
+    await PasswordResetToken.deleteMany({ admin: admin._id });
+    const sessionsRevoked = await adminSessions.revokeAll(admin._id, 'password_reset', admin._id);
+
+    // Proving control of the mailbox lifts a lockout of the account
+    const throttle = await loginLockout.findAccount(admin.email);
+    if (throttle && throttle.isLocked()) {
+      await loginLockout.unlock(throttle);
+    }
+
+    await auditLogger.log(admin._id, 'PASSWORD_RESET_COMPLETED', 'Admin', admin._id, {
+      ipAddress,
+      userAgent,
+      sessionsRevoked
+    });
+
+    await sendPasswordChangedEmail(admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the password rules, to show next to a password field
+// @route   GET /api/v1/auth/admin/password-policy
+// @access  Public
+const getPasswordPolicy = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: passwordPolicy.describe()
     });
   } catch (error) {
     next(error);
@@ -174,7 +560,10 @@ const changePassword = async (req, res, next) => {
 // @access  Private (Admin)
 const adminLogout = async (req, res, next) => {
   try {
+    await adminSessions.revoke(req.adminSession, 'logout', req.admin._id);
+    
     await auditLogger.log(req.admin._id, 'LOGOUT', 'Admin', req.admin._id, {
+      sessionId: req.adminSession._id,
       timestamp: new Date()
     });
     
@@ -187,9 +576,317 @@ const adminLogout = async (req, res, next) => {
   }
 };
 
+// @desc    Start two-factor enrolment - returns a new secret and the
+//          otpauth:// URI to show as a QR code
+// @route   POST /api/v1/auth/admin/2fa/setup
+// @access  Private (Admin)
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_FIELDS);
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    await auditLogger.log(admin._id, 'TWO_FACTOR_SETUP_STARTED', 'Admin', admin._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totp.otpauthUri(secret, admin.email, config.twoFactor.issuer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish enrolment by confirming a code from the authenticator app.
+//          The recovery codes are returned once and never again.
+// @route   POST /api/v1/auth/admin/2fa/enable
+// @access  Private (Admin)
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_FIELDS);
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verify(admin.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code. Check the time on your device and try again'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.lastUsedStep = step;
+    admin.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    admin.twoFactor.enabledAt = new Date();
+    await admin.save();
+
+    await auditLogger.log(admin._id, 'TWO_FACTOR_ENABLED', 'Admin', admin._id, {
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn two-factor authentication off (not allowed for roles that
+//          require it)
+// @route   POST /api/v1/auth/admin/2fa/disable
+// @access  Private (Admin)
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body || {};
+    const admin = await Admin.findById(req.admin._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (admin.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        error: `Two-factor authentication is required for the ${admin.role} role`
+      });
+    }
+
+    if (!password || !(await admin.comparePassword(password)) || !(await useTotpCode(admin, code))) {
+      await auditLogger.log(admin._id, 'TWO_FACTOR_FAILED', 'Admin', admin._id, {
+        ipAddress: req.ip,
+        action: 'disable'
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Password or code is incorrect'
+      });
+    }
+
+    admin.clearTwoFactor();
+    await admin.save();
+
+    await auditLogger.log(admin._id, 'TWO_FACTOR_DISABLED', 'Admin', admin._id, {
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes; the old ones stop working
+// @route   POST /api/v1/auth/admin/2fa/recovery-codes
+// @access  Private (Admin)
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_FIELDS);
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await useTotpCode(admin, code))) {
+      await auditLogger.log(admin._id, 'TWO_FACTOR_FAILED', 'Admin', admin._id, {
+        ipAddress: req.ip,
+        action: 'regenerate_recovery_codes'
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    admin.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await admin.save();
+
+    await auditLogger.log(admin._id, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', 'Admin', admin._id, {
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to issue the session once every login step has passed
+const completeLogin = async (req, res, admin) => {
+  await loginLockout.recordSuccess(admin.email, req.ip);
+
+  // Update last login
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  // Start a session and create its tokens
+  const { session, refreshToken } = await adminSessions.create(admin, req);
+  const token = generateToken(admin._id, session._id);
+
+  // Log successful login
+  await auditLogger.log(admin._id, 'LOGIN_SUCCESS', 'Admin', admin._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    twoFactor: admin.twoFactor.enabled,
+    sessionId: session._id
+  });
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken,
+    data: {
+      id: admin._id,
+      email: admin.email,
+      fullName: admin.fullName,
+      role: admin.role,
+      scope: admin.hasScope() ? admin.scope : null,
+      lastLogin: admin.lastLogin,
+      mustChangePassword: admin.mustChangePassword,
+      twoFactorEnabled: admin.twoFactor.enabled,
+      twoFactorSetupRequired: admin.requiresTwoFactor() && !admin.twoFactor.enabled,
+      permissions: await permissions.getPermissions(admin.role)
+    }
+  });
+};
+
+// Helper function to email a password reset code, with a link to the reset
+// page when one is configured
+const sendPasswordResetEmail = (admin, token) => {
+  const { resetUrl, tokenTtlMinutes } = config.passwordReset;
+
+  return notificationService.notifyAdmin(admin, 'passwordReset', {
+    code: token,
+    resetLink: resetUrl ? `${resetUrl}${resetUrl.includes('?') ? '&' : '?'}token=${token}` : '',
+    minutes: tokenTtlMinutes
+  });
+};
+
+// Helper function to tell an admin their password was reset
+const sendPasswordChangedEmail = (admin) => {
+  return notificationService.notifyAdmin(admin, 'passwordChanged');
+};
+
+// Helper function to sign the token that links the two login steps
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa' }, config.jwtSecret, {
+    expiresIn: config.twoFactor.challengeExpire
+  });
+};
+
+// Helper function to check an authenticator code. A code is accepted once:
+// its time step must be later than the last one used. The step is claimed
+// with a single conditional update, so parallel requests cannot both use it.
+const useTotpCode = async (admin, code) => {
+  const step = totp.verify(admin.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const claimed = await Admin.findOneAndUpdate({
+    _id: admin._id,
+    $or: [
+      { 'twoFactor.lastUsedStep': { $lt: step } },
+      { 'twoFactor.lastUsedStep': null }
+    ]
+  }, {
+    $set: { 'twoFactor.lastUsedStep': step }
+  });
+  return claimed !== null;
+};
+
+// Helper function to spend a recovery code. The code is removed with a single
+// conditional update, so parallel requests cannot both use it.
+const useRecoveryCode = async (admin, recoveryCode) => {
+  const hash = totp.hashRecoveryCode(recoveryCode);
+  const result = await Admin.updateOne(
+    { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Helper function to count a failed login and report any lockout it causes
+// in the audit log and to the admin room
+const recordLoginFailure = async (req, email, adminId) => {
+  const lockouts = await loginLockout.recordFailure(email, req.ip);
+
+  for (const lockout of lockouts) {
+    const details = {
+      email,
+      ipAddress: req.ip,
+      lockouts: lockout.lockouts,
+      lockedUntil: lockout.lockedUntil
+    };
+    await auditLogger.log(null, lockout.type === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED', 'Admin', adminId, details);
+
+    if (req.io) {
+      req.io.to('admin').emit('securityAlert', {
+        type: lockout.type === 'account' ? 'accountLocked' : 'ipLocked',
+        ...details,
+        timestamp: new Date()
+      });
+    }
+  }
+};
+
 module.exports = {
   adminLogin,
+  verifyTwoFactorLogin,
+  refreshSession,
   adminLogout,
   changePassword,
-  getCurrentAdmin
+  forgotPassword,
+  resetPassword,
+  getPasswordPolicy,
+  getCurrentAdmin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
@@ -1,10 +1,15 @@
 const Candidate = require('../models/Candidate');
+const Election = require('../models/Election');
+const Position = require('../models/Position');
 const auditLogger = require('../utils/auditLogger');
 const constituencyData = require('../utils/constituencyData');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Scoped admins manage only candidates standing in their own area
+const OUT_OF_SCOPE = 'You can only manage candidates standing in your assigned area';
+
 // Configure multer for photo uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -42,38 +47,55 @@ const upload = multer({
 const addCandidate = async (req, res, next) => {
   try {
     const { fullName, position, politicalParty, constituency, ward } = req.body;
+    const election = req.election;
+    
+    if (election.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: 'Candidates cannot be added to an archived election'
+      });
+    }
     
-    // Validate position-specific requirements
-    if ((position === 'MP' || position === 'MCA') && !constituency) {
+    if (!election.positions.includes(position)) {
       return res.status(400).json({
         success: false,
-        error: `Constituency is required for ${position} position`
+        error: `Position ${position} is not contested in ${election.name}`
       });
     }
     
-    if (position === 'MCA' && !ward) {
+    // The position's level decides which area fields a candidate needs
+    const positionDoc = await Position.findOne({ name: position });
+    if (!positionDoc) {
       return res.status(400).json({
         success: false,
-        error: 'Ward is required for MCA position'
+        error: `Unknown position: ${position}`
+      });
+    }
+    
+    const { area, error: areaError } = await resolveArea(positionDoc, constituency, ward);
+    if (areaError) {
+      return res.status(400).json({
+        success: false,
+        error: areaError
+      });
+    }
+    
+    if (!req.admin.isInScope(area)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
       });
     }
     
     // Check for duplicate candidate (same party, position, area)
     const duplicateFilter = {
+      election: election._id,
       position,
       politicalParty,
-      county: 'Kirinyaga',
+      ...area,
       isActive: true
     };
     
-    if (position === 'MP' || position === 'MCA') {
-      duplicateFilter.constituency = constituency;
-    }
-    
-    if (position === 'MCA') {
-      duplicateFilter.ward = ward;
-    }
-    
     const existingCandidate = await Candidate.findOne(duplicateFilter);
     
     if (existingCandidate) {
@@ -91,17 +113,17 @@ const addCandidate = async (req, res, next) => {
     
     // Create candidate
     const candidate = await Candidate.create({
+      election: election._id,
       fullName,
       position,
       politicalParty,
-      constituency: position === 'Governor' || position === 'Women Representative' ? null : constituency,
-      ward: position === 'MCA' ? ward : null,
-      photo: photoUrl,
-      county: 'Kirinyaga'
+      ...area,
+      photo: photoUrl
     });
     
     // Log the action
     await auditLogger.log(req.admin._id, 'CREATE', 'Candidate', candidate._id, {
+      election: election._id,
       name: candidate.fullName,
       position: candidate.position,
       party: candidate.politicalParty
@@ -124,7 +146,7 @@ const getCandidates = async (req, res, next) => {
     const { position, constituency, ward, party, page = 1, limit = 50 } = req.query;
     
     // Build filter
-    const filter = { isActive: true };
+    const filter = { election: req.election._id, isActive: true };
     if (position) filter.position = position;
     if (constituency) filter.constituency = constituency;
     if (ward) filter.ward = ward;
@@ -191,27 +213,67 @@ const updateCandidate = async (req, res, next) => {
       });
     }
     
+    if (!req.admin.isInScope(candidate)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+    
+    // A candidate stays in the election it was registered for
+    delete req.body.election;
+    delete req.body.electionId;
+    
     // Check for duplicate candidate (excluding current candidate)
     const { position, politicalParty, constituency, ward } = req.body;
-    const duplicateFilter = {
-      _id: { $ne: req.params.id },
-      position: position || candidate.position,
-      politicalParty: politicalParty || candidate.politicalParty,
-      county: 'Kirinyaga',
-      isActive: true
-    };
     
-    const targetPosition = position || candidate.position;
-    const targetConstituency = constituency || candidate.constituency;
-    const targetWard = ward || candidate.ward;
+    if (position) {
+      const election = await Election.findById(candidate.election);
+      if (election && !election.positions.includes(position)) {
+        return res.status(400).json({
+          success: false,
+          error: `Position ${position} is not contested in ${election.name}`
+        });
+      }
+    }
     
-    if (targetPosition === 'MP' || targetPosition === 'MCA') {
-      duplicateFilter.constituency = targetConstituency;
+    const targetPosition = await Position.findOne({ name: position || candidate.position });
+    if (!targetPosition) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown position: ${position || candidate.position}`
+      });
     }
     
-    if (targetPosition === 'MCA') {
-      duplicateFilter.ward = targetWard;
+    // Area fields follow the position's level
+    const { area, error: areaError } = await resolveArea(
+      targetPosition,
+      constituency || candidate.constituency,
+      ward || candidate.ward
+    );
+    if (areaError) {
+      return res.status(400).json({
+        success: false,
+        error: areaError
+      });
+    }
+    if (!req.admin.isInScope(area)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
     }
+    delete req.body.county;
+    Object.assign(req.body, area);
+    
+    const duplicateFilter = {
+      _id: { $ne: req.params.id },
+      election: candidate.election,
+      position: targetPosition.name,
+      politicalParty: politicalParty || candidate.politicalParty,
+      ...area,
+      isActive: true
+    };
     
     const existingCandidate = await Candidate.findOne(duplicateFilter);
     
@@ -272,6 +334,13 @@ const deleteCandidate = async (req, res, next) => {
       });
     }
     
+    if (!req.admin.isInScope(candidate)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+
     // Check if candidate has votes
     if (candidate.voteCount > 0) {
       // Soft delete (deactivate) instead of hard delete
@@ -314,7 +383,7 @@ const getCandidateStatistics = async (req, res, next) => {
   try {
     const statistics = await Candidate.aggregate([
       {
-        $match: { isActive: true }
+        $match: req.admin.scopeFilter({ election: req.election._id, isActive: true })
       },
       {
         $group: {
@@ -348,7 +417,7 @@ const getCandidateStatistics = async (req, res, next) => {
     // Get party distribution
     const partyStats = await Candidate.aggregate([
       {
-        $match: { isActive: true }
+        $match: req.admin.scopeFilter({ election: req.election._id, isActive: true })
       },
       {
         $group: {
@@ -382,26 +451,36 @@ const getCandidatesByPosition = async (req, res, next) => {
     const { position } = req.params;
     const { constituency, ward } = req.query;
     
+    const positionDoc = await Position.findOne({ name: position });
+    if (!positionDoc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+    
     const filter = {
+      election: req.election._id,
       position,
       isActive: true
     };
     
-    if (position === 'MP' || position === 'MCA') {
+    const areaFields = positionDoc.areaFields();
+    if (areaFields.includes('constituency')) {
       if (!constituency) {
         return res.status(400).json({
           success: false,
-          error: 'Constituency parameter is required for MP and MCA positions'
+          error: `Constituency parameter is required for ${position} position`
         });
       }
       filter.constituency = constituency;
     }
     
-    if (position === 'MCA') {
+    if (areaFields.includes('ward')) {
       if (!ward) {
         return res.status(400).json({
           success: false,
-          error: 'Ward parameter is required for MCA position'
+          error: `Ward parameter is required for ${position} position`
         });
       }
       filter.ward = ward;
@@ -435,6 +514,13 @@ const uploadCandidatePhoto = async (req, res, next) => {
       });
     }
     
+    if (!req.admin.isInScope(candidate)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -470,6 +556,37 @@ const uploadCandidatePhoto = async (req, res, next) => {
   }
 };
 
+// Helper function to work out a candidate's area from the position's level,
+// checking it against the county geography. Fields below the level are cleared.
+const resolveArea = async (position, constituency, ward) => {
+  const fields = position.areaFields();
+  const area = { county: null, constituency: null, ward: null };
+
+  if (fields.includes('county')) {
+    area.county = await constituencyData.getCountyName();
+  }
+  if (fields.includes('constituency')) {
+    if (!constituency) {
+      return { error: `Constituency is required for ${position.name} position` };
+    }
+    if (!(await constituencyData.validateConstituency(constituency))) {
+      return { error: 'Invalid constituency' };
+    }
+    area.constituency = constituency;
+  }
+  if (fields.includes('ward')) {
+    if (!ward) {
+      return { error: `Ward is required for ${position.name} position` };
+    }
+    if (!(await constituencyData.validateWard(constituency, ward))) {
+      return { error: `Invalid ward for constituency ${constituency}` };
+    }
+    area.ward = ward;
+  }
+
+  return { area };
+};
+
 module.exports = {
   addCandidate,
   getCandidates,
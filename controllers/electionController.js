@@ -0,0 +1,233 @@
+const Election = require('../models/Election');
+const Position = require('../models/Position');
+const auditLogger = require('../utils/auditLogger');
+
+// Fields an admin may set on an election
+const EDITABLE_FIELDS = ['name', 'type', 'description', 'positions', 'eligibility'];
+
+// @desc    Create election
+// @route   POST /api/v1/elections
+// @access  Private (Super Admin)
+const createElection = async (req, res, next) => {
+  try {
+    const { makeCurrent } = req.body;
+
+    const data = { createdBy: req.admin._id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    // Without a list, every active position is on the ballot
+    if (data.positions === undefined) {
+      const positions = await Position.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+      data.positions = positions.map(position => position.name);
+    } else {
+      const positionError = await checkPositions(data.positions);
+      if (positionError) {
+        return res.status(400).json({
+          success: false,
+          error: positionError
+        });
+      }
+    }
+
+    const election = await Election.create(data);
+
+    if (makeCurrent) {
+      await markCurrent(election);
+    }
+
+    await auditLogger.log(req.admin._id, 'CREATE', 'Election', election._id, {
+      name: election.name,
+      type: election.type,
+      positions: election.positions,
+      makeCurrent: !!makeCurrent
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await Election.findById(election._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all elections
+// @route   GET /api/v1/elections
+// @access  Public
+const getElections = async (req, res, next) => {
+  try {
+    const { status, type } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const elections = await Election.find(filter)
+      .select('-lastPublication -scheduleApplied')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: elections.length,
+      data: elections
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get election by ID (or the current election)
+// @route   GET /api/v1/elections/current
+// @route   GET /api/v1/elections/:electionId
+// @access  Public
+const getElection = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.election
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update election
+// @route   PUT /api/v1/elections/:electionId
+// @access  Private (Super Admin)
+const updateElection = async (req, res, next) => {
+  try {
+    const election = req.election;
+
+    // The ballot cannot change once voting has started
+    const changesBallot = ['positions', 'eligibility'].some(field => req.body[field] !== undefined);
+    if (changesBallot && election.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: 'Positions and eligibility can only be changed before voting opens'
+      });
+    }
+
+    if (req.body.positions !== undefined) {
+      const positionError = await checkPositions(req.body.positions);
+      if (positionError) {
+        return res.status(400).json({
+          success: false,
+          error: positionError
+        });
+      }
+    }
+
+    const updates = [];
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        election[field] = req.body[field];
+        updates.push(field);
+      }
+    });
+
+    await election.save();
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'Election', election._id, {
+      updates
+    });
+
+    res.status(200).json({
+      success: true,
+      data: election
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Make an election the current one
+// @route   POST /api/v1/elections/:electionId/current
+// @access  Private (Super Admin)
+const setCurrentElection = async (req, res, next) => {
+  try {
+    const election = req.election;
+
+    if (election.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: 'An archived election cannot be made current'
+      });
+    }
+
+    await markCurrent(election);
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'Election', election._id, {
+      action: 'set_current',
+      name: election.name
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${election.name} is now the current election`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Archive election
+// @route   POST /api/v1/elections/:electionId/archive
+// @access  Private (Super Admin)
+const archiveElection = async (req, res, next) => {
+  try {
+    const election = req.election;
+
+    if (election.status === 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Close voting before archiving the election'
+      });
+    }
+
+    election.status = 'archived';
+    election.isCurrent = false;
+    await election.save();
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'Election', election._id, {
+      action: 'archived',
+      name: election.name
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Election archived successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to check that every position on a ballot exists and is active
+const checkPositions = async (names) => {
+  if (!Array.isArray(names)) {
+    return 'Positions must be a list of position names';
+  }
+  const positions = await Position.find({ name: { $in: names }, isActive: true });
+  const unknown = names.filter(name => !positions.some(position => position.name === name));
+  return unknown.length > 0 ? `Unknown or inactive positions: ${unknown.join(', ')}` : null;
+};
+
+// Helper function to move the "current" flag to an election
+const markCurrent = async (election) => {
+  await Election.updateMany(
+    { _id: { $ne: election._id }, isCurrent: true },
+    { $set: { isCurrent: false } }
+  );
+  await Election.updateOne({ _id: election._id }, { $set: { isCurrent: true } });
+};
+
+module.exports = {
+  createElection,
+  getElections,
+  getElection,
+  updateElection,
+  setCurrentElection,
+  archiveElection
+};
@@ -0,0 +1,150 @@
+const Job = require('../models/Job');
+const jobQueue = require('../utils/jobQueue');
+const auditLogger = require('../utils/auditLogger');
+const mongoose = require('mongoose');
+
+// @desc    List background jobs
+// @route   GET /api/v1/admin/jobs
+// @access  Private (Admin)
+const getJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, type, election } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (election && mongoose.isValidObjectId(election)) query.election = election;
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Job.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(job => job.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a job's status and failure report
+// @route   GET /api/v1/admin/jobs/:id
+// @access  Private (Admin)
+const getJob = async (req, res, next) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...job.getSummary(),
+        payload: job.payload,
+        createdBy: job.createdBy,
+        failures: job.failures,
+        // Only the first entries are kept once a job has many failures
+        failuresTruncated: job.progress.failed > job.failures.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a queued or running job
+// @route   POST /api/v1/admin/jobs/:id/cancel
+// @access  Private (Super Admin)
+const cancelJob = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const job = await jobQueue.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only queued or running jobs can be cancelled'
+      });
+    }
+
+    await auditLogger.log(req.admin._id, 'CANCEL', 'Job', job._id, {
+      type: job.type,
+      progress: job.progress
+    });
+
+    res.status(200).json({
+      success: true,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Queue a failed or cancelled job again
+// @route   POST /api/v1/admin/jobs/:id/retry
+// @access  Private (Super Admin)
+const retryJob = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const job = await jobQueue.retry(req.params.id);
+
+    if (!job) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only failed or cancelled jobs can be retried'
+      });
+    }
+
+    await auditLogger.log(req.admin._id, 'RETRY', 'Job', job._id, {
+      type: job.type
+    });
+
+    res.status(200).json({
+      success: true,
+      data: job.getSummary()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to load a job, treating malformed IDs as not found
+const findJob = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Job.findById(id);
+};
+
+module.exports = {
+  getJobs,
+  getJob,
+  cancelJob,
+  retryJob
+};
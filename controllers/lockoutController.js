@@ -0,0 +1,76 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const loginLockout = require('../utils/loginLockout');
+const auditLogger = require('../utils/auditLogger');
+const mongoose = require('mongoose');
+
+// @desc    List admin login lockouts (active ones unless ?all=true)
+// @route   GET /api/v1/admin/lockouts
+// @access  Private (admins.manage)
+const getLockouts = async (req, res, next) => {
+  try {
+    const { type, all } = req.query;
+
+    const query = all === 'true' ? {} : { lockedUntil: { $gt: new Date() } };
+    if (type) query.type = type;
+
+    const lockouts = await LoginThrottle.find(query)
+      .sort({ lockedUntil: -1, updatedAt: -1 })
+      .limit(200);
+
+    res.status(200).json({
+      success: true,
+      count: lockouts.length,
+      policy: await loginLockout.getPolicy(),
+      data: lockouts.map(lockout => ({
+        ...lockout.toObject(),
+        isLocked: lockout.isLocked()
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift an account or IP lockout
+// @route   POST /api/v1/admin/lockouts/:id/unlock
+// @access  Private (admins.manage)
+const unlockLockout = async (req, res, next) => {
+  try {
+    const lockout = mongoose.isValidObjectId(req.params.id)
+      ? await LoginThrottle.findById(req.params.id)
+      : null;
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lockout not found'
+      });
+    }
+
+    if (!lockout.isLocked()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account or IP is not locked'
+      });
+    }
+
+    await loginLockout.unlock(lockout);
+
+    await auditLogger.log(req.admin._id, lockout.type === 'account' ? 'ACCOUNT_UNLOCKED' : 'IP_UNLOCKED', 'LoginThrottle', lockout._id, {
+      type: lockout.type,
+      key: lockout.key
+    });
+
+    res.status(200).json({
+      success: true,
+      message: lockout.type === 'account' ? `Account ${lockout.key} unlocked` : `IP ${lockout.key} unlocked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLockouts,
+  unlockLockout
+};
@@ -0,0 +1,244 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const messageTemplates = require('../utils/messageTemplates');
+const { wrapLayout } = require('../utils/emailService');
+const auditLogger = require('../utils/auditLogger');
+const mongoose = require('mongoose');
+
+// @desc    Get message templates
+// @route   GET /api/v1/templates
+// @access  Private (Super Admin)
+const getTemplates = async (req, res, next) => {
+  try {
+    const { key, channel, language } = req.query;
+
+    const query = {};
+    if (key) query.key = key;
+    if (channel) query.channel = channel;
+    if (language) query.language = language;
+
+    const templates = await MessageTemplate.find(query).sort({ key: 1, channel: 1, language: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the message types, their variables and the languages
+// @route   GET /api/v1/templates/variables
+// @access  Private (Super Admin)
+const getTemplateVariables = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        variables: MessageTemplate.VARIABLES,
+        channels: MessageTemplate.CHANNELS,
+        languages: MessageTemplate.LANGUAGES,
+        defaultLanguage: MessageTemplate.DEFAULT_LANGUAGE
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get message template by ID
+// @route   GET /api/v1/templates/:id
+// @access  Private (Super Admin)
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        variables: MessageTemplate.VARIABLES[template.key]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a message template's subject or body
+// @route   PUT /api/v1/templates/:id
+// @access  Private (Super Admin)
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const { subject, body } = req.body;
+    if (subject === undefined && body === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a subject and/or body'
+      });
+    }
+
+    const unknown = messageTemplates.unknownVariables(template.key, subject, body);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown variables for ${template.key}: ${unknown.join(', ')}`
+      });
+    }
+
+    const updates = [];
+    if (subject !== undefined) {
+      template.subject = subject;
+      updates.push('subject');
+    }
+    if (body !== undefined) {
+      template.body = body;
+      updates.push('body');
+    }
+    template.updatedBy = req.admin._id;
+    await template.save();
+    messageTemplates.invalidate();
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'MessageTemplate', template._id, {
+      key: template.key,
+      channel: template.channel,
+      language: template.language,
+      updates
+    });
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a message template to the built-in text
+// @route   POST /api/v1/templates/:id/reset
+// @access  Private (Super Admin)
+const resetTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const builtIn = messageTemplates.getDefault(template.key, template.channel, template.language);
+    if (!builtIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'This template has no built-in version'
+      });
+    }
+
+    template.subject = builtIn.subject;
+    template.body = builtIn.body;
+    template.updatedBy = req.admin._id;
+    await template.save();
+    messageTemplates.invalidate();
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'MessageTemplate', template._id, {
+      key: template.key,
+      channel: template.channel,
+      language: template.language,
+      reset: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview a template with sample values. Renders the stored template
+//          given by `id`, or the `subject`/`body` sent (e.g. unsaved edits).
+// @route   POST /api/v1/templates/preview
+// @access  Private (Super Admin)
+const previewTemplate = async (req, res, next) => {
+  try {
+    const { id, variables } = req.body;
+    let { key, channel, subject, body } = req.body;
+
+    if (id) {
+      const template = await findTemplate(id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+      key = template.key;
+      channel = template.channel;
+      subject = subject !== undefined ? subject : template.subject;
+      body = body !== undefined ? body : template.body;
+    }
+
+    if (!MessageTemplate.VARIABLES[key] || !MessageTemplate.CHANNELS.includes(channel) || !body) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a template id, or a key, channel and body'
+      });
+    }
+
+    const rendered = await messageTemplates.preview({ key, channel, subject, body }, variables);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        key,
+        channel,
+        subject: rendered.subject,
+        body: rendered.body,
+        // The complete email as voters will see it
+        html: channel === 'email' ? wrapLayout(rendered.body) : undefined,
+        // SMS longer than 160 characters is sent as several messages
+        length: channel === 'sms' ? rendered.body.length : undefined,
+        variables: rendered.variables,
+        unknownVariables: rendered.unknownVariables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to load a template, treating malformed IDs as not found
+const findTemplate = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return MessageTemplate.findById(id);
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateVariables,
+  getTemplate,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate
+};
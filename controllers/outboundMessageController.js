@@ -0,0 +1,98 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const Voter = require('../models/Voter');
+const mongoose = require('mongoose');
+
+// @desc    List outbound messages and their delivery status
+// @route   GET /api/v1/admin/messages
+// @access  Private (Admin)
+const getMessages = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, status, type, channel, voter, startDate, endDate } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (channel) query.channel = channel;
+    if (voter && mongoose.isValidObjectId(voter)) query.voter = voter;
+    if (req.admin.hasScope()) {
+      // Only messages to voters in the admin's area
+      const voterIds = await Voter.distinct('_id', req.admin.scopeFilter(query.voter ? { _id: query.voter } : {}));
+      query.voter = { $in: voterIds };
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const messages = await OutboundMessage.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('voter', 'fullName votingNumber')
+      .populate('requestedBy', 'email fullName');
+
+    const [total, byStatus] = await Promise.all([
+      OutboundMessage.countDocuments(query),
+      OutboundMessage.aggregate([
+        { $match: { ...query, ...(typeof query.voter === 'string' && { voter: new mongoose.Types.ObjectId(query.voter) }) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: messages,
+      summary: Object.fromEntries(byStatus.map(row => [row._id, row.count])),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the messages sent to a voter
+// @route   GET /api/v1/voters/:voterId/messages
+// @access  Private (Admin)
+const getVoterMessages = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.voterId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voter not found'
+      });
+    }
+
+    const outOfScope = req.admin.hasScope() &&
+      !await Voter.exists(req.admin.scopeFilter({ _id: req.params.voterId }));
+    if (outOfScope) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voter not found'
+      });
+    }
+
+    const messages = await OutboundMessage.find({ voter: req.params.voterId })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('requestedBy', 'email fullName');
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMessages,
+  getVoterMessages
+};
@@ -0,0 +1,227 @@
+const Position = require('../models/Position');
+const Election = require('../models/Election');
+const Candidate = require('../models/Candidate');
+const Vote = require('../models/Vote');
+const auditLogger = require('../utils/auditLogger');
+const mongoose = require('mongoose');
+
+// Fields an admin may set on a position
+const EDITABLE_FIELDS = ['name', 'description', 'level', 'seats', 'allowAbstain', 'displayOrder', 'isActive'];
+
+// Changing these alters the ballot of elections that already use the position
+const BALLOT_FIELDS = ['name', 'level', 'seats', 'allowAbstain'];
+
+// @desc    Get positions
+// @route   GET /api/v1/positions
+// @access  Public
+const getPositions = async (req, res, next) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const positions = await Position.find(filter).sort({ displayOrder: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: positions.length,
+      data: positions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get position by ID
+// @route   GET /api/v1/positions/:id
+// @access  Public
+const getPosition = async (req, res, next) => {
+  try {
+    const position = await findPosition(req.params.id);
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create position
+// @route   POST /api/v1/positions
+// @access  Private (Super Admin)
+const createPosition = async (req, res, next) => {
+  try {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const position = await Position.create(data);
+
+    await auditLogger.log(req.admin._id, 'CREATE', 'Position', position._id, {
+      name: position.name,
+      level: position.level,
+      seats: position.seats,
+      allowAbstain: position.allowAbstain
+    });
+
+    res.status(201).json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update position
+// @route   PUT /api/v1/positions/:id
+// @access  Private (Super Admin)
+const updatePosition = async (req, res, next) => {
+  try {
+    const position = await findPosition(req.params.id);
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+
+    if (req.body.name !== undefined && typeof req.body.name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Position name must be text'
+      });
+    }
+
+    // Ballot rules are fixed once an election beyond draft uses the position
+    const changesBallot = BALLOT_FIELDS.some(field =>
+      req.body[field] !== undefined && req.body[field] !== position[field]
+    );
+    if (changesBallot) {
+      const inUse = await Election.exists({ positions: position.name, status: { $ne: 'draft' } });
+      if (inUse) {
+        return res.status(400).json({
+          success: false,
+          error: 'The ballot rules of a position cannot change once an election using it has opened'
+        });
+      }
+    }
+
+    // Candidates and ballots store the position name
+    const renamed = req.body.name !== undefined && req.body.name.trim() !== position.name;
+    if (renamed && await hasCandidatesOrVotes(position)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot rename a position that has candidates or votes'
+      });
+    }
+
+    const previousName = position.name;
+    const updates = [];
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        position[field] = req.body[field];
+        updates.push(field);
+      }
+    });
+
+    await position.save();
+
+    // Keep draft ballots pointing at the position
+    if (renamed) {
+      await Election.updateMany(
+        { positions: previousName },
+        { $set: { 'positions.$': position.name } }
+      );
+    }
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'Position', position._id, {
+      name: position.name,
+      updates
+    });
+
+    res.status(200).json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete/Deactivate position
+// @route   DELETE /api/v1/positions/:id
+// @access  Private (Super Admin)
+const deletePosition = async (req, res, next) => {
+  try {
+    const position = await findPosition(req.params.id);
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
+      });
+    }
+
+    const referenced = await isReferenced(position);
+
+    if (referenced) {
+      // Soft delete if candidates, ballots or elections refer to it
+      position.isActive = false;
+      await position.save();
+    } else {
+      await position.deleteOne();
+    }
+
+    await auditLogger.log(req.admin._id, 'DELETE', 'Position', position._id, {
+      name: position.name,
+      deactivated: !!referenced
+    });
+
+    res.status(200).json({
+      success: true,
+      message: referenced
+        ? 'Position is in use and has been deactivated'
+        : 'Position deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to load a position, treating malformed IDs as not found
+const findPosition = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Position.findById(id);
+};
+
+// Helper function to check whether candidates or ballots use a position
+const hasCandidatesOrVotes = async (position) => {
+  const [candidate, vote] = await Promise.all([
+    Candidate.exists({ position: position.name }),
+    Vote.exists({ position: position.name })
+  ]);
+  return !!(candidate || vote);
+};
+
+// Helper function to check whether anything refers to a position by name
+const isReferenced = async (position) => {
+  return !!(await Election.exists({ positions: position.name })) || hasCandidatesOrVotes(position);
+};
+
+module.exports = {
+  getPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition
+};
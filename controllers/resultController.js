@@ -1,7 +1,12 @@
 const Vote = require('../models/Vote');
 const Candidate = require('../models/Candidate');
 const Voter = require('../models/Voter');
-const SystemSetting = require('../models/SystemSetting');
+const VoteReceipt = require('../models/VoteReceipt');
+const Participation = require('../models/Participation');
+const Position = require('../models/Position');
+const { getPortalState } = require('../utils/votingPortal');
+const constituencyData = require('../utils/constituencyData');
+const crypto = require('crypto');
 const fs = require('fs');
 const PDFDocument = require('pdfkit');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
@@ -12,28 +17,29 @@ const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const getLiveResults = async (req, res, next) => {
   try {
     const { position, constituency, ward } = req.query;
+    const election = req.election;
     
     // Build match filter
-    const matchFilter = {};
+    const matchFilter = { election: election._id };
     if (position) matchFilter.position = position;
     if (constituency) matchFilter.constituency = constituency;
     if (ward) matchFilter.ward = ward;
     
     // Get portal status
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    const portalState = getPortalState(election);
     
     // Get all positions if none specified
-    let positions = [];
+    let positions = await Position.forElection(election);
     if (position) {
-      positions = [position];
-    } else {
-      positions = ['Governor', 'Women Representative', 'MP', 'MCA'];
+      positions = positions.filter(p => p.name === position);
     }
     
     const results = {};
+    const ballotTotals = await Vote.getChoiceTotals(matchFilter);
     
-    for (const pos of positions) {
-      const filter = { ...matchFilter, position: pos };
+    for (const positionDoc of positions) {
+      const pos = positionDoc.name;
+      const filter = { ...matchFilter, position: pos, choice: 'candidate' };
       
       // Get votes per candidate for this position
       const votesByCandidate = await Vote.aggregate([
@@ -80,27 +86,32 @@ const getLiveResults = async (req, res, next) => {
       }));
       
       results[pos] = {
+        level: positionDoc.level,
+        seats: positionDoc.seats,
         candidates: candidateResultsWithPercent,
         totalVotes,
+        ballotTotals: ballotTotalsFor(ballotTotals, pos),
         lastUpdated: new Date()
       };
     }
     
     // Get voter turnout statistics
-    const totalVoters = await Voter.countDocuments({ isActive: true });
-    const votedCount = await Voter.countDocuments({ hasVoted: true });
+    const totalVoters = await Voter.countDocuments(election.voterFilter({ isActive: true }));
+    const votedCount = await Participation.countDocuments({ election: election._id });
     const turnoutRate = totalVoters > 0 ? ((votedCount / totalVoters) * 100).toFixed(2) : 0;
     
     res.status(200).json({
       success: true,
       data: {
+        electionId: election._id,
+        election: election.name,
         results,
         summary: {
           totalVoters,
           votedCount,
           pendingCount: totalVoters - votedCount,
           turnoutRate: `${turnoutRate}%`,
-          votingPortalOpen: portalStatus ? portalStatus.value : false,
+          votingPortalOpen: portalState.isOpen,
           lastUpdated: new Date()
         }
       }
@@ -117,15 +128,16 @@ const getResultsByPosition = async (req, res, next) => {
   try {
     const { position } = req.params;
     const { constituency, ward } = req.query;
+    const election = req.election;
     
     // Build filter
-    const filter = { position };
+    const filter = { election: election._id, position };
     if (constituency) filter.constituency = constituency;
     if (ward) filter.ward = ward;
     
     // Aggregate votes
     const votes = await Vote.aggregate([
-      { $match: filter },
+      { $match: { ...filter, choice: 'candidate' } },
       {
         $group: {
           _id: '$candidateId',
@@ -169,6 +181,7 @@ const getResultsByPosition = async (req, res, next) => {
         position,
         results: resultsWithPercent,
         totalVotes,
+        ballotTotals: ballotTotalsFor(await Vote.getChoiceTotals(filter), position),
         lastUpdated: new Date()
       }
     });
@@ -183,10 +196,11 @@ const getResultsByPosition = async (req, res, next) => {
 const getResultsByConstituency = async (req, res, next) => {
   try {
     const { constituency } = req.params;
+    const election = req.election;
     
     // Get all votes in this constituency
     const votes = await Vote.aggregate([
-      { $match: { constituency } },
+      { $match: { election: election._id, constituency, choice: 'candidate' } },
       {
         $group: {
           _id: { position: '$position', candidateId: '$candidateId', ward: '$ward' },
@@ -237,6 +251,8 @@ const getResultsByConstituency = async (req, res, next) => {
       }));
     });
     
+    addBallotTotals(resultsByPosition, await Vote.getChoiceTotals({ election: election._id, constituency }));
+    
     res.status(200).json({
       success: true,
       data: {
@@ -256,10 +272,11 @@ const getResultsByConstituency = async (req, res, next) => {
 const getResultsByWard = async (req, res, next) => {
   try {
     const { ward } = req.params;
+    const election = req.election;
     
     // Get all votes in this ward
     const votes = await Vote.aggregate([
-      { $match: { ward } },
+      { $match: { election: election._id, ward, choice: 'candidate' } },
       {
         $group: {
           _id: { position: '$position', candidateId: '$candidateId' },
@@ -308,6 +325,8 @@ const getResultsByWard = async (req, res, next) => {
       }));
     });
     
+    addBallotTotals(resultsByPosition, await Vote.getChoiceTotals({ election: election._id, ward }));
+    
     res.status(200).json({
       success: true,
       data: {
@@ -334,8 +353,11 @@ const exportResultsCSV = async (req, res, next) => {
       });
     }
 
+    const election = req.election;
+
     // Get all votes with candidate details
     const votes = await Vote.aggregate([
+      { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
       {
         $lookup: {
           from: 'candidates',
@@ -369,15 +391,19 @@ const exportResultsCSV = async (req, res, next) => {
     ]);
     
     // Prepare CSV data
-    const csvData = votes.map(row => ({
+    const candidateRows = votes.map(row => ({
       Position: row._id.position,
-      Constituency: row._id.constituency || 'County-wide',
-      Ward: row._id.ward || 'N/A',
+      Constituency: row._id.constituency,
+      Ward: row._id.ward,
       Candidate: row.candidateName,
       Party: row.party,
       Votes: row.votes
     }));
     
+    // Each ward's candidates are followed by its valid, blank and rejected totals
+    const ballotTotals = await Vote.getChoiceTotals(req.admin.scopeFilter({ election: election._id }), ['constituency', 'ward']);
+    const csvData = addBallotTotalRows(candidateRows, ballotTotals, ['Constituency', 'Ward']);
+    
     // Create CSV writer
     const csvWriter = createCsvWriter({
       path: 'temp/election-results.csv',
@@ -417,6 +443,7 @@ const exportResultsCSV = async (req, res, next) => {
 // @access  Private (Admin)
 const exportResultsPDF = async (req, res, next) => {
   try {
+    const countyName = await constituencyData.getCountyName();
     // Check if user is admin
     if (!req.admin) {
       return res.status(401).json({
@@ -425,8 +452,11 @@ const exportResultsPDF = async (req, res, next) => {
       });
     }
 
+    const election = req.election;
+
     // Get overall results
     const votesByPosition = await Vote.aggregate([
+      { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
       {
         $lookup: {
           from: 'candidates',
@@ -480,11 +510,14 @@ const exportResultsPDF = async (req, res, next) => {
     doc.pipe(res);
     
     // Add title
-    doc.fontSize(20).text('Kirinyaga County Election Results', { align: 'center' });
+    doc.fontSize(20).text(`${countyName} County Election Results`, { align: 'center' });
+    doc.fontSize(14).text(election.name, { align: 'center' });
     doc.moveDown();
     doc.fontSize(12).text(`Report generated: ${new Date().toLocaleString()}`, { align: 'center' });
     doc.moveDown(2);
     
+    const ballotTotals = await Vote.getChoiceTotals(req.admin.scopeFilter({ election: election._id }));
+    
     // Add results by position
     Object.keys(resultsByPosition).forEach(position => {
       doc.fontSize(16).text(position, { underline: true });
@@ -504,6 +537,12 @@ const exportResultsPDF = async (req, res, next) => {
         doc.moveDown(0.5);
       });
       
+      const totals = ballotTotalsFor(ballotTotals, position);
+      doc.fontSize(10).text(
+        `Valid votes: ${totals.valid}    Blank: ${totals.blank}    Rejected: ${totals.rejected}`,
+        50
+      );
+      
       doc.moveDown();
     });
     
@@ -513,8 +552,8 @@ const exportResultsPDF = async (req, res, next) => {
     doc.moveDown();
     
     // Get turnout statistics
-    const totalVoters = await Voter.countDocuments({ isActive: true });
-    const votedCount = await Voter.countDocuments({ hasVoted: true });
+    const totalVoters = await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter({ isActive: true })));
+    const votedCount = await Participation.countVoted(election._id, req.admin.scopeFilter());
     const turnoutRate = totalVoters > 0 ? ((votedCount / totalVoters) * 100).toFixed(2) : 0;
     
     doc.fontSize(12).text(`Total Registered Voters: ${totalVoters}`);
@@ -524,7 +563,7 @@ const exportResultsPDF = async (req, res, next) => {
     
     // Add footer
     doc.moveDown(2);
-    doc.fontSize(10).text('Kirinyaga County Election Commission', { align: 'center' });
+    doc.fontSize(10).text(`${countyName} County Election Commission`, { align: 'center' });
     doc.text('Official Election Results', { align: 'center' });
     
     // Finalize PDF
@@ -548,25 +587,29 @@ const getParticipationReport = async (req, res, next) => {
     }
 
     const { constituency, ward } = req.query;
+    const election = req.election;
     
-    // Build filter
-    const filter = {};
+    // Build filter, limited to the admin's area
+    const filter = req.admin.scopeFilter();
     if (constituency) filter.constituency = constituency;
     if (ward) filter.ward = ward;
     
+    const votedIds = await Participation.voterIds(election._id);
+    
     // Get voters who voted
-    const votedVoters = await Voter.find({ ...filter, hasVoted: true })
+    const votedVoters = await Voter.find(election.voterFilter({ ...filter, _id: { $in: votedIds } }))
       .select('votingNumber constituency ward')
       .sort({ constituency: 1, ward: 1 });
     
     // Get voters who didn't vote
-    const nonVotedVoters = await Voter.find({ ...filter, hasVoted: false })
+    const nonVotedVoters = await Voter.find(election.voterFilter({ ...filter, _id: { $nin: votedIds } }))
       .select('votingNumber constituency ward')
       .sort({ constituency: 1, ward: 1 });
     
     // Get participation statistics by area
     const participationStats = await Voter.aggregate([
-      { $match: filter },
+      { $match: election.voterFilter(filter) },
+      ...Participation.lookupStages(election._id),
       {
         $group: {
           _id: { constituency: '$constituency', ward: '$ward' },
@@ -592,6 +635,7 @@ const getParticipationReport = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
+        electionId: election._id,
         summary: {
           totalVoted: votedVoters.length,
           totalNotVoted: nonVotedVoters.length,
@@ -623,7 +667,7 @@ const getParticipationReport = async (req, res, next) => {
 // @access  Public
 const getConstituenciesList = async (req, res, next) => {
   try {
-    const constituencies = await Vote.distinct('constituency');
+    const constituencies = await Vote.distinct('constituency', { election: req.election._id });
     
     res.status(200).json({
       success: true,
@@ -647,10 +691,10 @@ const getFullElectionReport = async (req, res, next) => {
       });
     }
 
-    // Check if voting portal is closed
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    // Check if voting is closed
+    const election = req.election;
     
-    if (portalStatus && portalStatus.value === true) {
+    if (election.status === 'open') {
       return res.status(400).json({
         success: false,
         message: 'Voting portal is still open. Cannot generate final report.'
@@ -659,14 +703,15 @@ const getFullElectionReport = async (req, res, next) => {
 
     const { constituency, ward } = req.query;
     
-    // Build filter
-    const filter = {};
+    // Build filter, limited to the admin's area
+    const filter = req.admin.scopeFilter();
     if (constituency) filter.constituency = constituency;
     if (ward) filter.ward = ward;
+    const voteFilter = { election: election._id, ...filter };
 
     // 1. Get votes per candidate per ward
     const wardResults = await Vote.aggregate([
-      { $match: filter },
+      { $match: { ...voteFilter, choice: 'candidate' } },
       {
         $group: {
           _id: {
@@ -704,7 +749,7 @@ const getFullElectionReport = async (req, res, next) => {
 
     // 2. Get aggregated votes per constituency
     const constituencyResults = await Vote.aggregate([
-      { $match: filter },
+      { $match: { ...voteFilter, choice: 'candidate' } },
       {
         $group: {
           _id: {
@@ -740,7 +785,7 @@ const getFullElectionReport = async (req, res, next) => {
 
     // 3. Get county-level totals
     const countyResults = await Vote.aggregate([
-      { $match: filter },
+      { $match: { ...voteFilter, choice: 'candidate' } },
       {
         $group: {
           _id: {
@@ -831,7 +876,8 @@ const getFullElectionReport = async (req, res, next) => {
 
     // 6. Get voter participation data
     const participationStats = await Voter.aggregate([
-      { $match: filter },
+      { $match: election.voterFilter(filter) },
+      ...Participation.lookupStages(election._id),
       {
         $group: {
           _id: { constituency: '$constituency', ward: '$ward' },
@@ -855,11 +901,12 @@ const getFullElectionReport = async (req, res, next) => {
     ]);
 
     // Detailed voter lists
-    const votedVoters = await Voter.find({ ...filter, hasVoted: true })
+    const votedIds = await Participation.voterIds(election._id);
+    const votedVoters = await Voter.find(election.voterFilter({ ...filter, _id: { $in: votedIds } }))
       .select('votingNumber constituency ward')
       .sort({ constituency: 1, ward: 1, votingNumber: 1 });
 
-    const nonVotedVoters = await Voter.find({ ...filter, hasVoted: false })
+    const nonVotedVoters = await Voter.find(election.voterFilter({ ...filter, _id: { $nin: votedIds } }))
       .select('votingNumber constituency ward')
       .sort({ constituency: 1, ward: 1, votingNumber: 1 });
 
@@ -867,15 +914,23 @@ const getFullElectionReport = async (req, res, next) => {
       success: true,
       data: {
         summary: {
+          electionId: election._id,
+          election: election.name,
           totalVotes: countyResults.reduce((sum, r) => sum + r.votes, 0),
-          totalVoters: await Voter.countDocuments(filter),
-          totalCandidates: await Candidate.countDocuments({}),
+          totalVoters: await Voter.countDocuments(election.voterFilter(filter)),
+          totalCandidates: await Candidate.countDocuments(req.admin.scopeFilter({ election: election._id })),
           positionsCount: positions.length,
           reportGenerated: new Date()
         },
         wardResults,
         constituencyResults,
         countyResults: countyWithPercent,
+        // Valid, blank and rejected totals per position at each level
+        ballotTotals: {
+          county: await Vote.getChoiceTotals(voteFilter),
+          constituency: await Vote.getChoiceTotals(voteFilter, ['constituency']),
+          ward: await Vote.getChoiceTotals(voteFilter, ['constituency', 'ward'])
+        },
         winners,
         participation: {
           summary: {
@@ -916,10 +971,10 @@ const exportPostElectionCSV = async (req, res, next) => {
 
     const { type } = req.query; // 'ward', 'constituency', 'county', 'participation', 'voters'
     
-    // Check if voting portal is closed
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    // Check if voting is closed
+    const election = req.election;
     
-    if (portalStatus && portalStatus.value === true) {
+    if (election.status === 'open') {
       return res.status(400).json({
         success: false,
         message: 'Voting portal is still open. Cannot export final report.'
@@ -933,6 +988,7 @@ const exportPostElectionCSV = async (req, res, next) => {
     switch (type) {
       case 'ward':
         const wardResults = await Vote.aggregate([
+          { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
           {
             $group: {
               _id: {
@@ -956,14 +1012,14 @@ const exportPostElectionCSV = async (req, res, next) => {
           { $sort: { '_id.position': 1, '_id.constituency': 1, '_id.ward': 1, votes: -1 } }
         ]);
 
-        csvData = wardResults.map(row => ({
+        csvData = addBallotTotalRows(wardResults.map(row => ({
           Position: row._id.position,
           Constituency: row._id.constituency,
           Ward: row._id.ward,
           Candidate: row.candidate.fullName,
           Party: row.candidate.politicalParty,
           Votes: row.votes
-        }));
+        })), await Vote.getChoiceTotals(req.admin.scopeFilter({ election: election._id }), ['constituency', 'ward']), ['Constituency', 'Ward']);
 
         headers = [
           { id: 'Position', title: 'POSITION' },
@@ -978,6 +1034,7 @@ const exportPostElectionCSV = async (req, res, next) => {
 
       case 'constituency':
         const constituencyResults = await Vote.aggregate([
+          { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
           {
             $group: {
               _id: {
@@ -1000,13 +1057,13 @@ const exportPostElectionCSV = async (req, res, next) => {
           { $sort: { '_id.position': 1, '_id.constituency': 1, votes: -1 } }
         ]);
 
-        csvData = constituencyResults.map(row => ({
+        csvData = addBallotTotalRows(constituencyResults.map(row => ({
           Position: row._id.position,
           Constituency: row._id.constituency,
           Candidate: row.candidate.fullName,
           Party: row.candidate.politicalParty,
           Votes: row.votes
-        }));
+        })), await Vote.getChoiceTotals(req.admin.scopeFilter({ election: election._id }), ['constituency']), ['Constituency']);
 
         headers = [
           { id: 'Position', title: 'POSITION' },
@@ -1020,6 +1077,7 @@ const exportPostElectionCSV = async (req, res, next) => {
 
       case 'county':
         const countyResults = await Vote.aggregate([
+          { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
           {
             $group: {
               _id: {
@@ -1041,12 +1099,12 @@ const exportPostElectionCSV = async (req, res, next) => {
           { $sort: { '_id.position': 1, votes: -1 } }
         ]);
 
-        csvData = countyResults.map(row => ({
+        csvData = addBallotTotalRows(countyResults.map(row => ({
           Position: row._id.position,
           Candidate: row.candidate.fullName,
           Party: row.candidate.politicalParty,
           Votes: row.votes
-        }));
+        })), await Vote.getChoiceTotals(req.admin.scopeFilter({ election: election._id })), []);
 
         headers = [
           { id: 'Position', title: 'POSITION' },
@@ -1059,6 +1117,8 @@ const exportPostElectionCSV = async (req, res, next) => {
 
       case 'participation':
         const participation = await Voter.aggregate([
+          { $match: election.voterFilter(req.admin.scopeFilter()) },
+          ...Participation.lookupStages(election._id),
           {
             $group: {
               _id: { constituency: '$constituency', ward: '$ward' },
@@ -1103,20 +1163,26 @@ const exportPostElectionCSV = async (req, res, next) => {
 
       case 'voters':
         const { voted } = req.query; // true or false
-        const voterFilter = {};
-        if (voted !== undefined) voterFilter.hasVoted = voted === 'true';
+        const votedIds = await Participation.voterIds(election._id);
+        const votedSet = new Set(votedIds.map(id => id.toString()));
+        const voterFilter = req.admin.scopeFilter();
+        if (voted === 'true') voterFilter._id = { $in: votedIds };
+        if (voted === 'false') voterFilter._id = { $nin: votedIds };
         
-        const voters = await Voter.find(voterFilter)
-          .select('votingNumber constituency ward hasVoted')
+        const voters = await Voter.find(election.voterFilter(voterFilter))
+          .select('votingNumber constituency ward')
           .sort({ constituency: 1, ward: 1, votingNumber: 1 });
 
-        csvData = voters.map(voter => ({
-          'Voting Number': voter.votingNumber,
-          'Constituency': voter.constituency,
-          'Ward': voter.ward,
-          'Voted': voter.hasVoted ? 'Yes' : 'No',
-          'Status': voter.hasVoted ? 'VOTED' : 'DID NOT VOTE'
-        }));
+        csvData = voters.map(voter => {
+          const hasVoted = votedSet.has(voter._id.toString());
+          return {
+            'Voting Number': voter.votingNumber,
+            'Constituency': voter.constituency,
+            'Ward': voter.ward,
+            'Voted': hasVoted ? 'Yes' : 'No',
+            'Status': hasVoted ? 'VOTED' : 'DID NOT VOTE'
+          };
+        });
 
         headers = [
           { id: 'Voting Number', title: 'VOTING NUMBER' },
@@ -1170,6 +1236,7 @@ const exportPostElectionCSV = async (req, res, next) => {
 // @access  Private (Admin)
 const exportPostElectionPDF = async (req, res, next) => {
   try {
+    const countyName = await constituencyData.getCountyName();
     // Check if user is admin
     if (!req.admin) {
       return res.status(401).json({
@@ -1178,10 +1245,10 @@ const exportPostElectionPDF = async (req, res, next) => {
       });
     }
 
-    // Check if voting portal is closed
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    // Check if voting is closed
+    const election = req.election;
     
-    if (portalStatus && portalStatus.value === true) {
+    if (election.status === 'open') {
       return res.status(400).json({
         success: false,
         message: 'Voting portal is still open. Cannot generate final report.'
@@ -1189,7 +1256,7 @@ const exportPostElectionPDF = async (req, res, next) => {
     }
 
     // Get comprehensive data
-    const fullReport = await getFullReportData();
+    const fullReport = await getFullReportData(election, req.admin.scopeFilter());
 
     // Create PDF document
     const doc = new PDFDocument({ margin: 50, size: 'A4', layout: 'portrait' });
@@ -1202,8 +1269,9 @@ const exportPostElectionPDF = async (req, res, next) => {
     doc.pipe(res);
 
     // Add header
-    doc.fontSize(24).text('KIRINYAGA COUNTY', { align: 'center' });
+    doc.fontSize(24).text(`${countyName} COUNTY`.toUpperCase(), { align: 'center' });
     doc.fontSize(18).text('POST-ELECTION OFFICIAL REPORT', { align: 'center' });
+    doc.fontSize(14).text(election.name, { align: 'center' });
     doc.moveDown();
     doc.fontSize(12).text(`Report generated: ${new Date().toLocaleString()}`, { align: 'center' });
     doc.moveDown(2);
@@ -1212,7 +1280,7 @@ const exportPostElectionPDF = async (req, res, next) => {
     doc.fontSize(16).text('COUNTY-LEVEL ELECTION RESULTS', { underline: true });
     doc.moveDown(0.5);
 
-    const positions = ['Governor', 'Women Representative', 'MP', 'MCA'];
+    const positions = (await Position.forElection(election)).map(position => position.name);
     
     positions.forEach(position => {
       if (fullReport.countyResults[position]) {
@@ -1247,6 +1315,12 @@ const exportPostElectionPDF = async (req, res, next) => {
           doc.moveDown(0.5);
         });
         
+        const totals = ballotTotalsFor(fullReport.ballotTotals, position);
+        doc.text(
+          `Valid votes: ${totals.valid}    Blank: ${totals.blank}    Rejected: ${totals.rejected}    Total: ${totals.total}`,
+          50
+        );
+        
         doc.moveDown();
       }
     });
@@ -1331,7 +1405,7 @@ const exportPostElectionPDF = async (req, res, next) => {
     doc.fontSize(12).text('ELECTION COMMISSION OFFICIAL STAMP', { align: 'center' });
     doc.moveDown(2);
     doc.fontSize(10).text('________________________________', { align: 'center' });
-    doc.text('Chairperson, Kirinyaga County Election Commission', { align: 'center' });
+    doc.text(`Chairperson, ${countyName} County Election Commission`, { align: 'center' });
     doc.moveDown();
     doc.text('Date: _________________________', { align: 'center' });
     doc.moveDown(2);
@@ -1359,6 +1433,7 @@ const getChartData = async (req, res, next) => {
     }
 
     const { chartType } = req.query; // 'turnout', 'results', 'comparison'
+    const election = req.election;
 
     let chartData = {};
 
@@ -1366,6 +1441,8 @@ const getChartData = async (req, res, next) => {
       case 'turnout':
         // Voter turnout by ward
         const turnoutData = await Voter.aggregate([
+          { $match: election.voterFilter(req.admin.scopeFilter()) },
+          ...Participation.lookupStages(election._id),
           {
             $group: {
               _id: { constituency: '$constituency', ward: '$ward' },
@@ -1403,6 +1480,7 @@ const getChartData = async (req, res, next) => {
       case 'results':
         // Top candidates by position
         const topCandidates = await Vote.aggregate([
+          { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
           {
             $group: {
               _id: {
@@ -1461,6 +1539,7 @@ const getChartData = async (req, res, next) => {
       case 'comparison':
         // Comparison of voting patterns
         const comparisonData = await Vote.aggregate([
+          { $match: req.admin.scopeFilter({ election: election._id, choice: 'candidate' }) },
           {
             $group: {
               _id: {
@@ -1509,11 +1588,11 @@ const getChartData = async (req, res, next) => {
       default:
         // Default: overall statistics
         const overallStats = {
-          totalVoters: await Voter.countDocuments({}),
-          voted: await Voter.countDocuments({ hasVoted: true }),
-          totalCandidates: await Candidate.countDocuments({}),
-          totalVotes: await Vote.countDocuments({}),
-          positions: await Vote.distinct('position')
+          totalVoters: await Voter.countDocuments(election.voterFilter(req.admin.scopeFilter())),
+          voted: await Participation.countVoted(election._id, req.admin.scopeFilter()),
+          totalCandidates: await Candidate.countDocuments(req.admin.scopeFilter({ election: election._id })),
+          totalVotes: await Vote.countDocuments(req.admin.scopeFilter({ election: election._id })),
+          positions: await Vote.distinct('position', req.admin.scopeFilter({ election: election._id }))
         };
 
         chartData = {
@@ -1551,56 +1630,45 @@ const publishFinalResults = async (req, res, next) => {
       });
     }
 
-    // Check if voting portal is closed
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    // Check if voting is closed
+    const election = req.election;
     
-    if (portalStatus && portalStatus.value === true) {
+    if (election.status === 'open') {
       return res.status(400).json({
         success: false,
         message: 'Cannot publish results while voting portal is still open.'
       });
     }
 
-    // Create a system setting for published results
-    const publishSetting = await SystemSetting.findOneAndUpdate(
-      { key: 'results_published' },
-      { 
-        key: 'results_published',
-        value: true,
-        description: 'Election results have been officially published',
-        updatedAt: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    // Fingerprint the bulletin board so observers can check the copy they download
+    const bulletinBoard = await buildBulletinBoard(election);
 
     // Create a results snapshot
     const resultsSnapshot = {
       timestamp: new Date(),
       publishedBy: req.admin._id,
       summary: {
-        totalVoters: await Voter.countDocuments({}),
-        totalVotes: await Vote.countDocuments({}),
-        totalCandidates: await Candidate.countDocuments({})
+        totalVoters: await Voter.countDocuments(election.voterFilter()),
+        totalVotes: await Vote.countDocuments({ election: election._id }),
+        totalCandidates: await Candidate.countDocuments({ election: election._id })
+      },
+      bulletinBoard: {
+        receiptCount: bulletinBoard.count,
+        sha256: bulletinBoard.sha256
       }
     };
 
-    // Log the publication
-    await SystemSetting.findOneAndUpdate(
-      { key: 'last_results_publication' },
-      { 
-        key: 'last_results_publication',
-        value: resultsSnapshot,
-        description: 'Last election results publication',
-        updatedAt: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    // Mark the results published and keep the snapshot on the election
+    election.resultsPublished = true;
+    election.lastPublication = resultsSnapshot;
+    await election.save();
 
     res.status(200).json({
       success: true,
       message: 'Election results have been officially published',
       data: {
         publishedAt: new Date(),
+        electionId: election._id,
         publishedBy: req.admin.fullName || req.admin.email,
         snapshot: resultsSnapshot
       }
@@ -1615,17 +1683,17 @@ const publishFinalResults = async (req, res, next) => {
 // @access  Public
 const getPublicationStatus = async (req, res, next) => {
   try {
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
-    const resultsPublished = await SystemSetting.findOne({ key: 'results_published' });
-    const lastPublication = await SystemSetting.findOne({ key: 'last_results_publication' });
+    const election = req.election;
 
     res.status(200).json({
       success: true,
       data: {
-        votingPortalOpen: portalStatus ? portalStatus.value : false,
-        resultsPublished: resultsPublished ? resultsPublished.value : false,
-        lastPublication: lastPublication ? lastPublication.value : null,
-        canPublish: portalStatus ? !portalStatus.value : true,
+        electionId: election._id,
+        election: election.name,
+        votingPortalOpen: getPortalState(election).isOpen,
+        resultsPublished: election.resultsPublished,
+        lastPublication: election.lastPublication,
+        canPublish: election.status !== 'open',
         currentTime: new Date()
       }
     });
@@ -1634,9 +1702,53 @@ const getPublicationStatus = async (req, res, next) => {
   }
 };
 
-// Helper function to get full report data for PDF export
-async function getFullReportData() {
+// @desc    Download the bulletin board of vote receipt codes
+// @route   GET /api/v1/results/post-election/bulletin-board
+// @access  Public (after results are published)
+const getBulletinBoard = async (req, res, next) => {
+  try {
+    const election = req.election;
+
+    if (!election.resultsPublished) {
+      return res.status(403).json({
+        success: false,
+        error: 'The bulletin board is available once results are published'
+      });
+    }
+
+    const bulletinBoard = await buildBulletinBoard(election);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=kirinyaga-bulletin-board.csv');
+    res.setHeader('X-Bulletin-Board-SHA256', bulletinBoard.sha256);
+    res.send(bulletinBoard.csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to build the bulletin board CSV. Codes are sorted
+// alphabetically so the listing order says nothing about when anyone voted.
+async function buildBulletinBoard(election) {
+  const receipts = await VoteReceipt.find({ election: election._id })
+    .select('code')
+    .sort({ code: 1 })
+    .lean();
+
+  const csv = ['RECEIPT CODE', ...receipts.map(receipt => receipt.code)].join('\n') + '\n';
+
+  return {
+    csv,
+    count: receipts.length,
+    sha256: crypto.createHash('sha256').update(csv).digest('hex')
+  };
+}
+
+// Helper function to get full report data for PDF export, optionally limited
+// to an area (an admin's scope filter)
+async function getFullReportData(election, area = {}) {
   const countyResults = await Vote.aggregate([
+    { $match: { ...area, election: election._id, choice: 'candidate' } },
     {
       $group: {
         _id: {
@@ -1679,6 +1791,7 @@ async function getFullReportData() {
   
   // Get constituency winners
   const constituencyResults = await Vote.aggregate([
+    { $match: { ...area, election: election._id, choice: 'candidate' } },
     {
       $group: {
         _id: {
@@ -1720,6 +1833,8 @@ async function getFullReportData() {
 
   // Get participation data
   const participationStats = await Voter.aggregate([
+    { $match: election.voterFilter(area) },
+    ...Participation.lookupStages(election._id),
     {
       $group: {
         _id: { constituency: '$constituency', ward: '$ward' },
@@ -1742,11 +1857,12 @@ async function getFullReportData() {
     { $sort: { '_id.constituency': 1, '_id.ward': 1 } }
   ]);
 
-  const totalVoters = await Voter.countDocuments({});
-  const votedVoters = await Voter.countDocuments({ hasVoted: true });
+  const totalVoters = await Voter.countDocuments(election.voterFilter(area));
+  const votedVoters = await Participation.countVoted(election._id, area);
 
   return {
     countyResults: countyWithPercent,
+    ballotTotals: await Vote.getChoiceTotals({ ...area, election: election._id }),
     winners,
     participation: {
       summary: {
@@ -1760,6 +1876,47 @@ async function getFullReportData() {
   };
 }
 
+// Helper function to pick one position's valid, blank and rejected totals
+// (zeros if nothing was cast for it)
+function ballotTotalsFor(totals, position) {
+  const found = totals.find(row => row.position === position);
+  const { valid = 0, blank = 0, rejected = 0, total = 0 } = found || {};
+  return { valid, blank, rejected, total };
+}
+
+// Helper function to attach ballot totals to results grouped by position
+function addBallotTotals(resultsByPosition, totals) {
+  totals.forEach(row => {
+    if (!resultsByPosition[row.position]) {
+      resultsByPosition[row.position] = { candidates: [], totalVotes: 0 };
+    }
+    resultsByPosition[row.position].ballotTotals = ballotTotalsFor(totals, row.position);
+  });
+}
+
+// Helper function to follow each race's candidate rows in a results CSV with
+// its valid, blank and rejected totals, as on the official result forms
+function addBallotTotalRows(candidateRows, totals, areaColumns) {
+  const keyOf = row => [row.Position, ...areaColumns.map(column => row[column])].join('|');
+  const rows = [];
+
+  totals.forEach(total => {
+    const race = { Position: total.position };
+    areaColumns.forEach(column => {
+      race[column] = total[column.toLowerCase()];
+    });
+
+    rows.push(...candidateRows.filter(row => keyOf(row) === keyOf(race)));
+    rows.push(
+      { ...race, Candidate: 'VALID VOTES', Party: '', Votes: total.valid },
+      { ...race, Candidate: 'BLANK VOTES', Party: '', Votes: total.blank },
+      { ...race, Candidate: 'REJECTED VOTES', Party: '', Votes: total.rejected }
+    );
+  });
+
+  return rows;
+}
+
 module.exports = {
   getLiveResults,
   getResultsByPosition,
@@ -1774,5 +1931,6 @@ module.exports = {
   exportPostElectionPDF,
   getChartData,
   publishFinalResults,
-  getPublicationStatus
+  getPublicationStatus,
+  getBulletinBoard
 };
\ No newline at end of file
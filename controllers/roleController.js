@@ -0,0 +1,213 @@
+const Role = require('../models/Role');
+const Admin = require('../models/Admin');
+const permissions = require('../utils/permissions');
+const auditLogger = require('../utils/auditLogger');
+const mongoose = require('mongoose');
+
+// @desc    List roles with their permissions and how many admins hold each
+// @route   GET /api/v1/admin/roles
+// @access  Private (roles.manage)
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+    const counts = await Admin.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const adminCounts = Object.fromEntries(counts.map(row => [row._id, row.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({
+        ...role.toObject(),
+        adminCount: adminCounts[role.name] || 0
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the permissions roles can be built from
+// @route   GET /api/v1/admin/roles/permissions
+// @access  Private (roles.manage)
+const getPermissionCatalog = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a role
+// @route   POST /api/v1/admin/roles
+// @access  Private (roles.manage)
+const createRole = async (req, res, next) => {
+  try {
+    const { name, displayName, description, permissions: rolePermissions = [] } = req.body;
+
+    const error = validatePermissions(rolePermissions);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (await Role.exists({ name: String(name || '').toLowerCase().trim() })) {
+      return res.status(400).json({
+        success: false,
+        error: `Role ${name} already exists`
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: [...new Set(rolePermissions)],
+      updatedBy: req.admin._id
+    });
+    permissions.invalidate();
+
+    await auditLogger.log(req.admin._id, 'ROLE_CREATE', 'Role', role._id, {
+      name: role.name,
+      permissions: role.permissions
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a role's name, description or permissions
+// @route   PUT /api/v1/admin/roles/:id
+// @access  Private (roles.manage)
+const updateRole = async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const { displayName, description, permissions: rolePermissions } = req.body;
+
+    if (rolePermissions !== undefined) {
+      if (role.name === Role.SUPER_ADMIN) {
+        return res.status(400).json({
+          success: false,
+          error: 'The super_admin role always has every permission'
+        });
+      }
+
+      const error = validatePermissions(rolePermissions);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+    }
+
+    const before = role.permissions.slice();
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    if (rolePermissions !== undefined) role.permissions = [...new Set(rolePermissions)];
+    role.updatedBy = req.admin._id;
+    await role.save();
+    permissions.invalidate();
+
+    await auditLogger.log(req.admin._id, 'ROLE_UPDATE', 'Role', role._id, {
+      name: role.name,
+      added: role.permissions.filter(permission => !before.includes(permission)),
+      removed: before.filter(permission => !role.permissions.includes(permission))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a role no admin holds
+// @route   DELETE /api/v1/admin/roles/:id
+// @access  Private (roles.manage)
+const deleteRole = async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const holders = await Admin.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Role is assigned to ${holders} admin(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    permissions.invalidate();
+
+    await auditLogger.log(req.admin._id, 'ROLE_DELETE', 'Role', role._id, {
+      name: role.name
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to find a role by ID
+const findRole = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Role.findById(id);
+};
+
+// Helper function to validate a permissions list; returns an error message
+const validatePermissions = (rolePermissions) => {
+  if (!Array.isArray(rolePermissions)) {
+    return 'Permissions must be a list';
+  }
+  const unknown = permissions.unknownPermissions(rolePermissions);
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+module.exports = {
+  getRoles,
+  getPermissionCatalog,
+  createRole,
+  updateRole,
+  deleteRole
+};
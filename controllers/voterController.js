@@ -1,12 +1,17 @@
 // controllers/voterController.js
 const Voter = require('../models/Voter');
 const TempVoterData = require('../models/TempVoterData'); // IMPORT TempVoterData
-const { sendRegistrationEmail } = require('../utils/emailService');
+const Participation = require('../models/Participation');
+const MessageTemplate = require('../models/MessageTemplate');
+const AuditLog = require('../models/AuditLog');
+const config = require('../config');
+const notificationService = require('../utils/notificationService');
 const auditLogger = require('../utils/auditLogger');
 const constituencyData = require('../utils/constituencyData');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto'); // ADD for generateToken
+const mongoose = require('mongoose');
 
 // ========== IMPORTS FOR SELF-REGISTRATION ==========
 const multer = require('multer');
@@ -54,6 +59,29 @@ const validatePhoneNumber = (phone) => {
   return /^(?:(?:(?:254|0)[17]\d{8})|(?:254|0)[17]\d{8})$/.test(cleaned);
 };
 
+// Helper: Validate notification preferences (both optional; defaults apply)
+const validateNotificationPreferences = (channels, language) => {
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+      return { valid: false, error: 'Choose at least one notification channel' };
+    }
+    const unknown = channels.find(channel => !notificationService.CHANNELS.includes(channel));
+    if (unknown) {
+      return {
+        valid: false,
+        error: `Invalid notification channel: ${unknown}. Use ${notificationService.CHANNELS.join(' or ')}`
+      };
+    }
+  }
+  if (language !== undefined && !MessageTemplate.LANGUAGES.includes(language)) {
+    return {
+      valid: false,
+      error: `Invalid language: ${language}. Use ${MessageTemplate.LANGUAGES.join(' or ')}`
+    };
+  }
+  return { valid: true };
+};
+
 // ===== NEW: Signature validation helper =====
 const validateSignature = (signature) => {
   if (!signature) {
@@ -292,6 +320,9 @@ const registerVoter = async (req, res, next) => {
       phoneNumber, 
       constituency, 
       ward,
+      dateOfBirth,
+      notificationChannels,
+      preferredLanguage,
       signature  // New signature field
     } = req.body;
 
@@ -312,6 +343,24 @@ const registerVoter = async (req, res, next) => {
       });
     }
 
+    // Validate notification preferences
+    const preferenceValidation = validateNotificationPreferences(notificationChannels, preferredLanguage);
+    if (!preferenceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceValidation.error
+      });
+    }
+
+    // Date of birth is optional, but must be a real date when given
+    const parsedDateOfBirth = Voter.parseDateOfBirth(dateOfBirth);
+    if (dateOfBirth && !parsedDateOfBirth) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date of birth. Use DD/MM/YYYY or YYYY-MM-DD'
+      });
+    }
+
     // Validate email
     if (!validateEmail(email)) {
       return res.status(400).json({
@@ -341,7 +390,7 @@ const registerVoter = async (req, res, next) => {
     }
 
     // Validate ward belongs to constituency
-    const isValidWard = constituencyData.validateWard(constituency, ward);
+    const isValidWard = await constituencyData.validateWard(constituency, ward);
     if (!isValidWard) {
       return res.status(400).json({
         success: false,
@@ -349,6 +398,14 @@ const registerVoter = async (req, res, next) => {
       });
     }
 
+    // Scoped admins register voters in their own area only
+    if (!req.admin.isInScope({ constituency, ward })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only register voters in your assigned area'
+      });
+    }
+
     // Create voter with signature
     const voterData = {
       nationalId,
@@ -357,15 +414,18 @@ const registerVoter = async (req, res, next) => {
       phoneNumber,
       constituency,
       ward,
-      county: 'Kirinyaga',
+      county: await constituencyData.getCountyName(),
+      dateOfBirth: parsedDateOfBirth,
+      notificationChannels,
+      preferredLanguage,
       signature  // Add the signature
     };
 
     // Create voter
     const voter = await Voter.create(voterData);
 
-    // Send registration email
-    await sendRegistrationEmail(voter, voter.votingNumber);
+    // Send the voting number on the voter's preferred channels
+    await notificationService.notify(voter, 'registration', { votingNumber: voter.votingNumber });
 
     // Log the action
     await auditLogger.log(req.admin._id, 'CREATE', 'Voter', voter._id, {
@@ -407,7 +467,7 @@ const registerVoter = async (req, res, next) => {
 // @access  Private (Admin)
 const getVoterCount = async (req, res, next) => {
   try {
-    const count = await Voter.countDocuments();
+    const count = await Voter.countDocuments(req.admin.scopeFilter());
     
     res.status(200).json({
       success: true,
@@ -423,8 +483,11 @@ const getVoterCount = async (req, res, next) => {
 // @access  Private (Admin)
 const getPendingVoters = async (req, res, next) => {
   try {
-    const pendingVoters = await Voter.find({ hasVoted: false })
-      .select('votingNumber fullName constituency ward signature hasVoted')
+    const election = req.election;
+    const votedIds = await Participation.voterIds(election._id);
+    
+    const pendingVoters = await Voter.find(election.voterFilter(req.admin.scopeFilter({ _id: { $nin: votedIds } })))
+      .select('votingNumber fullName constituency ward signature')
       .sort({ registrationDate: -1 });
     
     const count = pendingVoters.length;
@@ -444,8 +507,12 @@ const getPendingVoters = async (req, res, next) => {
 // @access  Private (Admin)
 const getVotedVoters = async (req, res, next) => {
   try {
-    const votedVoters = await Voter.find({ hasVoted: true })
-      .select('votingNumber fullName constituency ward signature hasVoted votedAt')
+    const participations = await Participation.find({ election: req.election._id })
+      .select('voter votedAt');
+    const votedAtByVoter = new Map(participations.map(p => [p.voter.toString(), p.votedAt]));
+    
+    const votedVoters = await Voter.find(req.admin.scopeFilter({ _id: { $in: participations.map(p => p.voter) } }))
+      .select('votingNumber fullName constituency ward signature')
       .sort({ registrationDate: -1 });
     
     const count = votedVoters.length;
@@ -453,7 +520,10 @@ const getVotedVoters = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count,
-      data: votedVoters
+      data: votedVoters.map(voter => ({
+        ...voter.toObject(),
+        votedAt: votedAtByVoter.get(voter._id.toString())
+      }))
     });
   } catch (error) {
     next(error);
@@ -467,7 +537,9 @@ const getVoterSignature = async (req, res, next) => {
   try {
     const { voterId } = req.params;
     
-    const voter = await Voter.findById(voterId).select('fullName votingNumber signature');
+    const voter = mongoose.isValidObjectId(voterId)
+      ? await Voter.findOne(req.admin.scopeFilter({ _id: voterId })).select('fullName votingNumber signature')
+      : null;
     
     if (!voter) {
       return res.status(404).json({
@@ -502,7 +574,7 @@ const getVoterSignature = async (req, res, next) => {
 const getWardsByConstituency = async (req, res, next) => {
   try {
     const { constituency } = req.params;
-    const wards = constituencyData.getWardsByConstituency(constituency);
+    const wards = await constituencyData.getWardsByConstituency(constituency);
     
     if (!wards) {
       return res.status(404).json({
@@ -525,13 +597,18 @@ const getWardsByConstituency = async (req, res, next) => {
 // @access  Private (Admin)
 const getVoterStatistics = async (req, res, next) => {
   try {
-    const totalVoters = await Voter.countDocuments();
-    const votedCount = await Voter.countDocuments({ hasVoted: true });
+    const election = req.election;
+    // Voters of this election in the admin's area
+    const voterFilter = (filter) => election.voterFilter(req.admin.scopeFilter(filter));
+    const totalVoters = await Voter.countDocuments(voterFilter());
+    const votedCount = await Participation.countVoted(election._id, req.admin.scopeFilter());
     const pendingCount = totalVoters - votedCount;
-    const withSignatureCount = await Voter.countDocuments({ signature: { $exists: true, $ne: null } });
+    const withSignatureCount = await Voter.countDocuments(voterFilter({ signature: { $exists: true, $ne: null } }));
     
     // Count by constituency
     const byConstituency = await Voter.aggregate([
+      { $match: voterFilter() },
+      ...Participation.lookupStages(election._id),
       {
         $group: {
           _id: '$constituency',
@@ -546,6 +623,8 @@ const getVoterStatistics = async (req, res, next) => {
     
     // Count by ward
     const byWard = await Voter.aggregate([
+      { $match: voterFilter() },
+      ...Participation.lookupStages(election._id),
       {
         $group: {
           _id: { constituency: '$constituency', ward: '$ward' },
@@ -560,6 +639,7 @@ const getVoterStatistics = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
+        electionId: election._id,
         summary: {
           total: totalVoters,
           voted: votedCount,
@@ -584,8 +664,8 @@ const getRecentRegistrations = async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     
-    const recentVoters = await Voter.find()
-      .select('fullName votingNumber constituency registrationDate hasVoted signature')
+    const recentVoters = await Voter.find(req.admin.scopeFilter())
+      .select('fullName votingNumber constituency registrationDate signature')
       .sort({ registrationDate: -1 })
       .limit(limit);
     
@@ -611,12 +691,12 @@ const getTodaysRegistrationsCount = async (req, res, next) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
     
-    const count = await Voter.countDocuments({
+    const count = await Voter.countDocuments(req.admin.scopeFilter({
       registrationDate: {
         $gte: today,
         $lt: tomorrow
       }
-    });
+    }));
     
     res.status(200).json({
       success: true,
@@ -669,6 +749,150 @@ const checkEmail = async (req, res, next) => {
   }
 };
 
+// @desc    Update a voter's notification channels and language
+// @route   PUT /api/v1/voters/:voterId/notification-preferences
+// @access  Private (Admin)
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const { channels, language } = req.body;
+
+    if (channels === undefined && language === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide channels and/or language'
+      });
+    }
+
+    const preferenceValidation = validateNotificationPreferences(channels, language);
+    if (!preferenceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceValidation.error
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.voterId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voter not found'
+      });
+    }
+
+    const voter = await Voter.findOne(req.admin.scopeFilter({ _id: req.params.voterId }));
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voter not found'
+      });
+    }
+
+    const previous = {
+      notificationChannels: [...voter.notificationChannels],
+      preferredLanguage: voter.preferredLanguage
+    };
+    if (channels !== undefined) voter.notificationChannels = [...new Set(channels)];
+    if (language !== undefined) voter.preferredLanguage = language;
+    await voter.save();
+
+    await auditLogger.log(req.admin._id, 'UPDATE', 'Voter', voter._id, {
+      notificationChannels: voter.notificationChannels,
+      preferredLanguage: voter.preferredLanguage,
+      previous
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        votingNumber: voter.votingNumber,
+        notificationChannels: voter.notificationChannels,
+        preferredLanguage: voter.preferredLanguage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend a voter's voting number
+// @route   POST /api/v1/voters/:voterId/resend-voting-number
+// @access  Private (Admin)
+const resendVotingNumber = async (req, res, next) => {
+  try {
+    const { channels } = req.body;
+
+    const preferenceValidation = validateNotificationPreferences(channels);
+    if (!preferenceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceValidation.error
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.voterId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voter not found'
+      });
+    }
+
+    const voter = await Voter.findOne(req.admin.scopeFilter({ _id: req.params.voterId, isActive: true }));
+    if (!voter || !voter.votingNumber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active voter with a voting number not found'
+      });
+    }
+
+    // Limit resends per voter, counted from the audit trail
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const recentResends = await AuditLog.countDocuments({
+      action: 'RESEND_VOTING_NUMBER',
+      entityId: voter._id.toString(),
+      timestamp: { $gte: oneDayAgo }
+    });
+    if (recentResends >= config.maxVotingNumberResends) {
+      return res.status(429).json({
+        success: false,
+        error: `The voting number has been resent ${recentResends} times in the last 24 hours. Please try again later`
+      });
+    }
+
+    const result = await notificationService.notify(voter, 'registration', {
+      votingNumber: voter.votingNumber
+    }, {
+      channels: channels ? [...new Set(channels)] : undefined,
+      requestedBy: req.admin._id
+    });
+
+    await auditLogger.log(req.admin._id, 'RESEND_VOTING_NUMBER', 'Voter', voter._id, {
+      channels: [...result.sent, ...result.failed],
+      sent: result.sent,
+      failed: result.failed,
+      messages: result.messages.map(message => message._id)
+    });
+
+    if (result.sent.length === 0) {
+      return res.status(502).json({
+        success: false,
+        error: 'The voting number could not be sent on any channel',
+        data: { messages: result.messages }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Voting number resent by ${result.sent.join(' and ')}`,
+      data: {
+        sent: result.sent,
+        failed: result.failed,
+        messages: result.messages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ========== PUBLIC ENDPOINTS FOR SELF-REGISTRATION ==========
 
 /**
@@ -990,6 +1214,8 @@ const selfRegisterVoter = async (req, res, next) => {
       phoneNumber, 
       constituency, 
       ward,
+      notificationChannels,
+      preferredLanguage,
       signature  // Add signature for self-registration
     } = req.body;
 
@@ -1010,6 +1236,15 @@ const selfRegisterVoter = async (req, res, next) => {
       });
     }
 
+    // Validate notification preferences
+    const preferenceValidation = validateNotificationPreferences(notificationChannels, preferredLanguage);
+    if (!preferenceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceValidation.error
+      });
+    }
+
     // Find temp data by token
     const tempData = await TempVoterData.findOne({ token: tempToken });
     
@@ -1063,7 +1298,7 @@ const selfRegisterVoter = async (req, res, next) => {
     }
 
     // Validate ward belongs to constituency
-    const isValidWard = constituencyData.validateWard(constituency, ward);
+    const isValidWard = await constituencyData.validateWard(constituency, ward);
     if (!isValidWard) {
       return res.status(400).json({
         success: false,
@@ -1084,21 +1319,19 @@ const selfRegisterVoter = async (req, res, next) => {
       phoneNumber,
       constituency,
       ward,
-      county: 'Kirinyaga',
+      county: await constituencyData.getCountyName(),
+      // Read from the ID; checked again at vote time
+      dateOfBirth: Voter.parseDateOfBirth(tempData.dateOfBirth),
+      notificationChannels,
+      preferredLanguage,
       signature  // Add signature
     });
 
-    // Store additional info from tempData if needed
-    if (tempData.dateOfBirth && tempData.dateOfBirth !== 'Not extracted - will enter manually') {
-      // You might want to store DOB in a separate field if you add it to the model
-      console.log('Date of birth from ID:', tempData.dateOfBirth);
-    }
-
     // Delete temp data after successful registration
     await tempData.deleteOne();
 
-    // Send email with voting number
-    await sendRegistrationEmail(voter, voter.votingNumber);
+    // Send the voting number on the voter's preferred channels
+    await notificationService.notify(voter, 'registration', { votingNumber: voter.votingNumber });
 
     // Log self-registration (adminId = null)
     await auditLogger.log(null, 'SELF_REGISTER', 'Voter', voter._id, {
@@ -1150,6 +1383,8 @@ module.exports = {
   checkNationalId,
   checkEmail,
   getVoterSignature,  // New function
+  updateNotificationPreferences,
+  resendVotingNumber,
   
   // Self-registration functions
   uploadIDForSelfRegistration,
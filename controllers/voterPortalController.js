@@ -0,0 +1,469 @@
+const Voter = require('../models/Voter');
+const Participation = require('../models/Participation');
+const VoteVerification = require('../models/VoteVerification');
+const notificationService = require('../utils/notificationService');
+const constituencyData = require('../utils/constituencyData');
+const auditLogger = require('../utils/auditLogger');
+const { maskPhone, maskEmail } = require('../utils/mask');
+const config = require('../config');
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
+
+// Same answer whether or not the national ID is registered, so the endpoint
+// cannot be used to find out who is on the register
+const LOGIN_CODE_MESSAGE = 'If this national ID is registered, a sign-in code has been sent to the phone number or email on record';
+
+// @desc    Send a voter portal sign-in code to the voter's phone or email
+// @route   POST /api/v1/voters/portal/login
+// @access  Public (rate limited)
+const requestLoginCode = async (req, res, next) => {
+  try {
+    const { nationalId, channel = 'sms' } = req.body || {};
+    const { codeTtlMinutes, resendSeconds, maxCodeAttempts } = config.voteVerification;
+
+    if (!nationalId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide your national ID number'
+      });
+    }
+
+    if (!VoteVerification.CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        error: `Channel must be one of: ${VoteVerification.CHANNELS.join(', ')}`
+      });
+    }
+
+    const voter = await Voter.findOne({ nationalId: String(nationalId).trim(), isActive: true });
+    if (!voter) {
+      return res.status(200).json({ success: true, message: LOGIN_CODE_MESSAGE });
+    }
+
+    // No new codes for a voter who is out of guesses
+    const attemptWindow = await VoteVerification.findWindow(voter, null, 'loginAttempts');
+    if (attemptWindow && attemptWindow.attempts >= maxCodeAttempts) {
+      return res.status(200).json({ success: true, message: LOGIN_CODE_MESSAGE });
+    }
+
+    // One code at a time, and not resent too quickly
+    const current = await VoteVerification.findActive(voter, null, 'login');
+    if (current && Date.now() - current.createdAt.getTime() < resendSeconds * 1000) {
+      return res.status(200).json({ success: true, message: LOGIN_CODE_MESSAGE });
+    }
+
+    const code = VoteVerification.generateCode();
+    await VoteVerification.deleteMany({ voter: voter._id, method: 'login' });
+    const verification = await VoteVerification.create({
+      voter: voter._id,
+      method: 'login',
+      channel,
+      codeHash: VoteVerification.hashCode(code),
+      expiresAt: new Date(Date.now() + codeTtlMinutes * 60 * 1000)
+    });
+
+    const { sent: sentOn } = await notificationService.notify(voter, 'loginCode', {
+      code,
+      minutes: codeTtlMinutes
+    }, { channels: [channel] });
+    const sent = sentOn.length > 0;
+
+    if (!sent) {
+      await verification.deleteOne();
+    }
+
+    await auditLogger.log(null, sent ? 'VOTER_LOGIN_REQUEST' : 'VOTER_LOGIN_FAILED', 'Voter', voter._id, {
+      channel,
+      reason: sent ? undefined : 'Code could not be delivered',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({ success: true, message: LOGIN_CODE_MESSAGE });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign in to the voter portal with a national ID and sign-in code
+// @route   POST /api/v1/voters/portal/verify
+// @access  Public (rate limited)
+const verifyLoginCode = async (req, res, next) => {
+  try {
+    const { nationalId, code } = req.body || {};
+
+    if (!nationalId || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide your national ID number and the sign-in code'
+      });
+    }
+
+    const voter = await Voter.findOne({ nationalId: String(nationalId).trim(), isActive: true });
+    const active = voter && await VoteVerification.findActive(voter, null, 'login');
+
+    if (!active) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active sign-in code. Please request a new one'
+      });
+    }
+
+    const auditDetails = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    // Count the attempt before comparing, atomically, so parallel guesses
+    // cannot get past the limits. Guesses are also counted across all of the
+    // voter's codes, so requesting a new code does not reset them.
+    const { maxAttempts, maxCodeAttempts, lockoutMinutes } = config.voteVerification;
+    const attemptWindow = await VoteVerification.claimWindowAttempt(voter, null, 'loginAttempts', lockoutMinutes);
+    if (!attemptWindow || attemptWindow.attempts > maxCodeAttempts) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many incorrect attempts. Please try again later'
+      });
+    }
+
+    const verification = await VoteVerification.claimAttempt(active._id, maxAttempts);
+    if (!verification) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many incorrect attempts. Please request a new code'
+      });
+    }
+
+    if (!verification.matchCode(code)) {
+      const attemptsRemaining = Math.max(Math.min(
+        maxAttempts - verification.attempts,
+        maxCodeAttempts - attemptWindow.attempts
+      ), 0);
+      await auditLogger.log(null, 'VOTER_LOGIN_FAILED', 'Voter', voter._id, {
+        ...auditDetails,
+        reason: 'Incorrect code',
+        attempts: verification.attempts
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Incorrect sign-in code',
+        attemptsRemaining
+      });
+    }
+
+    // A code works once: only the request that deletes it gets a token
+    if (!(await VoteVerification.consume(verification._id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active sign-in code. Please request a new one'
+      });
+    }
+    await VoteVerification.consume(attemptWindow._id);
+
+    const token = jwt.sign(
+      { voter: voter._id, purpose: 'voter' },
+      config.jwtSecret,
+      { expiresIn: config.voterPortal.tokenExpire }
+    );
+
+    await auditLogger.log(null, 'VOTER_LOGIN_SUCCESS', 'Voter', voter._id, auditDetails);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        expiresAt: new Date(jwt.decode(token).exp * 1000),
+        voter: voter.getPublicInfo()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the signed-in voter's registration details
+// @route   GET /api/v1/voters/me
+// @access  Private (Voter)
+const getMyRegistration = async (req, res, next) => {
+  try {
+    const voter = req.voter;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...voter.getPublicInfo(),
+        nationalId: voter.nationalId,
+        email: voter.email,
+        phoneNumber: voter.phoneNumber,
+        county: voter.county,
+        dateOfBirth: voter.dateOfBirth,
+        registrationDate: voter.registrationDate,
+        notificationChannels: voter.notificationChannels,
+        preferredLanguage: voter.preferredLanguage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the signed-in voter's polling area and its polling stations
+// @route   GET /api/v1/voters/me/polling-area
+// @access  Private (Voter)
+const getMyPollingArea = async (req, res, next) => {
+  try {
+    const { county, constituency, ward } = req.voter;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        county,
+        constituency,
+        ward,
+        pollingStations: await constituencyData.getPollingStations(constituency, ward)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Whether the signed-in voter can vote in, and has voted in, an
+//          election (the current one unless another is named)
+// @route   GET /api/v1/voters/me/voting-status
+// @access  Private (Voter)
+const getMyVotingStatus = async (req, res, next) => {
+  try {
+    const election = req.election;
+    const participation = await Participation.findOne({
+      election: election._id,
+      voter: req.voter._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        election: {
+          id: election._id,
+          name: election.name,
+          status: election.status
+        },
+        eligible: election.isVoterEligible(req.voter),
+        hasVoted: !!participation,
+        votedAt: participation ? participation.votedAt : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start changing the signed-in voter's email address or phone
+//          number. A code goes to the new address and a notice to the old
+//          one; nothing changes until the code is confirmed.
+// @route   PUT /api/v1/voters/me/contact
+// @access  Private (Voter)
+const updateMyContact = async (req, res, next) => {
+  try {
+    const { email, phoneNumber } = req.body || {};
+    const voter = req.voter;
+    const { codeTtlMinutes, resendSeconds } = config.voteVerification;
+
+    if ((email === undefined) === (phoneNumber === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either a new email address or a new phone number'
+      });
+    }
+
+    let channel, value;
+    if (email !== undefined) {
+      if (!validator.isEmail(String(email))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide a valid email'
+        });
+      }
+      channel = 'email';
+      value = String(email).toLowerCase().trim();
+    } else {
+      if (!/^[0-9]{10}$/.test(String(phoneNumber).trim())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Phone number must be 10 digits'
+        });
+      }
+      channel = 'sms';
+      value = String(phoneNumber).trim();
+    }
+
+    const field = channel === 'email' ? 'email' : 'phoneNumber';
+    if (value === voter[field]) {
+      return res.status(400).json({
+        success: false,
+        error: `This is already your ${channel === 'email' ? 'email address' : 'phone number'}`
+      });
+    }
+
+    if (channel === 'email' && await Voter.exists({ email: value, _id: { $ne: voter._id } })) {
+      return res.status(400).json({
+        success: false,
+        error: 'This email is already registered to another voter'
+      });
+    }
+
+    // One pending change at a time, and codes not resent too quickly
+    const current = await VoteVerification.findActive(voter, null, 'contact');
+    if (current && Date.now() - current.createdAt.getTime() < resendSeconds * 1000) {
+      return res.status(429).json({
+        success: false,
+        error: `A code was sent recently. Please wait ${resendSeconds} seconds before requesting another`
+      });
+    }
+
+    const code = VoteVerification.generateCode();
+    await VoteVerification.deleteMany({ voter: voter._id, method: 'contact' });
+    const verification = await VoteVerification.create({
+      voter: voter._id,
+      method: 'contact',
+      channel,
+      pendingValue: value,
+      codeHash: VoteVerification.hashCode(code),
+      expiresAt: new Date(Date.now() + codeTtlMinutes * 60 * 1000)
+    });
+
+    // The code goes to the new address; the notice to the current one
+    const { sent } = await notificationService.notify({ ...voter.toObject(), [field]: value }, 'contactCode', {
+      code,
+      minutes: codeTtlMinutes
+    }, { channels: [channel] });
+
+    if (sent.length === 0) {
+      await verification.deleteOne();
+      return res.status(502).json({
+        success: false,
+        error: `The confirmation code could not be sent to the new ${channel === 'email' ? 'email address' : 'phone number'}`
+      });
+    }
+
+    await notificationService.notify(voter, 'contactChange', {}, { channels: [channel] });
+
+    await auditLogger.log(null, 'VOTER_CONTACT_CHANGE_REQUEST', 'Voter', voter._id, {
+      field,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `A confirmation code has been sent to ${channel === 'email' ? maskEmail(value) : maskPhone(value)}`,
+      data: {
+        field,
+        expiresAt: verification.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm a contact change with the code sent to the new address
+// @route   POST /api/v1/voters/me/contact/verify
+// @access  Private (Voter)
+const verifyMyContact = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    const voter = req.voter;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the confirmation code'
+      });
+    }
+
+    const active = await VoteVerification.findActive(voter, null, 'contact');
+    if (!active) {
+      return res.status(400).json({
+        success: false,
+        error: 'No pending contact change. Please request a new code'
+      });
+    }
+
+    // Count the attempt before comparing, atomically, so parallel guesses
+    // cannot get past maxAttempts
+    const { maxAttempts } = config.voteVerification;
+    const verification = await VoteVerification.claimAttempt(active._id, maxAttempts);
+    if (!verification) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many incorrect attempts. Please request a new code'
+      });
+    }
+
+    const field = verification.channel === 'email' ? 'email' : 'phoneNumber';
+
+    if (!verification.matchCode(code)) {
+      const attemptsRemaining = Math.max(maxAttempts - verification.attempts, 0);
+      await auditLogger.log(null, 'VOTER_CONTACT_CHANGE_FAILED', 'Voter', voter._id, {
+        field,
+        reason: 'Incorrect code',
+        attempts: verification.attempts,
+        ipAddress: req.ip
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Incorrect confirmation code',
+        attemptsRemaining
+      });
+    }
+
+    // A code works once
+    if (!(await VoteVerification.consume(verification._id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No pending contact change. Please request a new code'
+      });
+    }
+
+    // The email may have been taken since the code was sent
+    if (field === 'email' && await Voter.exists({ email: verification.pendingValue, _id: { $ne: voter._id } })) {
+      return res.status(400).json({
+        success: false,
+        error: 'This email is already registered to another voter'
+      });
+    }
+
+    voter[field] = verification.pendingValue;
+    await voter.save();
+
+    await auditLogger.log(null, 'VOTER_CONTACT_UPDATE', 'Voter', voter._id, {
+      updated: [field],
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact details updated',
+      data: {
+        email: voter.email,
+        phoneNumber: voter.phoneNumber
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestLoginCode,
+  verifyLoginCode,
+  getMyRegistration,
+  getMyPollingArea,
+  getMyVotingStatus,
+  updateMyContact,
+  verifyMyContact
+};
@@ -2,53 +2,253 @@
 const Voter = require('../models/Voter');
 const Candidate = require('../models/Candidate');
 const Vote = require('../models/Vote');
+const VoteReceipt = require('../models/VoteReceipt');
+const Participation = require('../models/Participation');
+const Position = require('../models/Position');
 const SystemSetting = require('../models/SystemSetting');
-const { sendVoteConfirmationEmail } = require('../utils/emailService');
+const VoteVerification = require('../models/VoteVerification');
+const notificationService = require('../utils/notificationService');
 const auditLogger = require('../utils/auditLogger');
+const { getPortalState } = require('../utils/votingPortal');
+const { maskPhone, maskEmail } = require('../utils/mask');
 const config = require('../config');
+const mongoose = require('mongoose');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
-// @desc    Check voting eligibility
-// @route   GET /api/v1/voting/eligibility/:votingNumber
-// @access  Public
-const checkEligibility = async (req, res, next) => {
+// @desc    Send a one-time verification code to the voter's phone or email
+// @route   POST /api/v1/voting/verify/request
+// @access  Public (rate limited)
+const requestVerificationCode = async (req, res, next) => {
   try {
-    const { votingNumber } = req.params;
+    const { votingNumber, channel = 'sms' } = req.body;
+    const election = req.election;
+    const { codeTtlMinutes, resendSeconds, maxCodeAttempts } = config.voteVerification;
 
-    // Check if voting portal is open
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
-    if (!portalStatus || !portalStatus.value) {
+    if (!VoteVerification.CHANNELS.includes(channel)) {
       return res.status(400).json({
         success: false,
-        error: 'Voting portal is currently closed'
+        error: `Channel must be one of: ${VoteVerification.CHANNELS.join(', ')}`
       });
     }
 
-    // Find voter
-    const voter = await Voter.findOne({ votingNumber, isActive: true })
-      .select('fullName constituency ward hasVoted votingNumber');
-      
+    const { voter, status, error } = await findVoterForBallot(votingNumber, election);
     if (!voter) {
-      return res.status(404).json({
+      return res.status(status).json({ success: false, error });
+    }
+
+    // A new code does not give a voter who is out of guesses more of them
+    const attemptWindow = await VoteVerification.findWindow(voter, election, 'codeAttempts');
+    if (attemptWindow && attemptWindow.attempts >= maxCodeAttempts) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many incorrect codes. Please try again later'
+      });
+    }
+
+    // One code at a time, and not resent too quickly
+    const current = await VoteVerification.findActive(voter, election, 'code');
+    if (current && Date.now() - current.createdAt.getTime() < resendSeconds * 1000) {
+      return res.status(429).json({
+        success: false,
+        error: `A code was sent recently. Please wait ${resendSeconds} seconds before requesting another`
+      });
+    }
+
+    const code = VoteVerification.generateCode();
+    await VoteVerification.deleteMany({ voter: voter._id, election: election._id, method: 'code' });
+    const verification = await VoteVerification.create({
+      voter: voter._id,
+      election: election._id,
+      method: 'code',
+      channel,
+      codeHash: VoteVerification.hashCode(code),
+      expiresAt: new Date(Date.now() + codeTtlMinutes * 60 * 1000)
+    });
+
+    // Sent on the channel the voter asked for, whatever their preferences
+    const { sent: sentOn } = await notificationService.notify(voter, 'verificationCode', {
+      code,
+      minutes: codeTtlMinutes
+    }, { channels: [channel] });
+    const sent = sentOn.length > 0;
+
+    await auditLogger.log(null, sent ? 'VOTER_VERIFY_REQUEST' : 'VOTER_VERIFY_FAILED', 'Voter', voter._id, {
+      election: election._id,
+      method: 'code',
+      channel,
+      reason: sent ? undefined : 'Code could not be delivered',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!sent) {
+      await verification.deleteOne();
+      return res.status(502).json({
         success: false,
-        error: 'Invalid voting number'
+        error: `The verification code could not be sent by ${channel}. Please try another method`
       });
     }
 
-    // Check if already voted
-    if (voter.hasVoted) {
+    res.status(200).json({
+      success: true,
+      message: `Verification code sent to ${channel === 'sms' ? maskPhone(voter.phoneNumber) : maskEmail(voter.email)}`,
+      data: {
+        channel,
+        expiresAt: verification.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify a voter by one-time code, or by national ID and date of birth,
+//          and issue the short-lived token needed to open and cast the ballot
+// @route   POST /api/v1/voting/verify
+// @access  Public (rate limited)
+const verifyVoter = async (req, res, next) => {
+  try {
+    const { votingNumber, code, nationalId, dateOfBirth } = req.body;
+    const election = req.election;
+    const method = code ? 'code' : 'identity';
+
+    if (!code && !(nationalId && dateOfBirth)) {
       return res.status(400).json({
         success: false,
-        error: 'This voting number has already been used'
+        error: 'Provide the verification code, or your national ID and date of birth'
       });
     }
 
+    const { voter, status, error } = await findVoterForBallot(votingNumber, election);
+    if (!voter) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const auditDetails = {
+      election: election._id,
+      method,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const { maxAttempts, maxCodeAttempts, lockoutMinutes } = config.voteVerification;
+    const tooManyAttempts = (error = 'Too many incorrect attempts. Please try again later') => {
+      return res.status(429).json({ success: false, error });
+    };
+
+    // Attempts are counted before the comparison, atomically, so parallel
+    // guesses cannot get past the limits
+    let verification;
+    let attemptWindow;
+    if (method === 'code') {
+      const active = await VoteVerification.findActive(voter, election, 'code');
+      if (!active) {
+        return res.status(400).json({
+          success: false,
+          error: 'No active verification code. Please request a new one'
+        });
+      }
+      // Guesses across all of the voter's codes, so resends do not reset them
+      attemptWindow = await VoteVerification.claimWindowAttempt(voter, election, 'codeAttempts', lockoutMinutes);
+      if (!attemptWindow || attemptWindow.attempts > maxCodeAttempts) return tooManyAttempts();
+
+      verification = await VoteVerification.claimAttempt(active._id, maxAttempts);
+      if (!verification) return tooManyAttempts('Too many incorrect attempts. Please request a new code');
+    } else {
+      // Identity checks are counted over a lockout window
+      verification = await VoteVerification.claimWindowAttempt(voter, election, 'identity', lockoutMinutes);
+      if (!verification || verification.attempts > maxAttempts) return tooManyAttempts();
+    }
+
+    const verified = method === 'code'
+      ? verification.matchCode(code)
+      : String(nationalId).trim() === voter.nationalId && voter.matchDateOfBirth(dateOfBirth);
+
+    if (!verified) {
+      const attemptsRemaining = Math.max(Math.min(
+        maxAttempts - verification.attempts,
+        attemptWindow ? maxCodeAttempts - attemptWindow.attempts : Infinity
+      ), 0);
+      await auditLogger.log(null, 'VOTER_VERIFY_FAILED', 'Voter', voter._id, {
+        ...auditDetails,
+        reason: method === 'code' ? 'Incorrect code' : 'Identity details do not match',
+        attempts: verification.attempts,
+        lockedOut: attemptsRemaining === 0
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: method === 'code' ? 'Incorrect verification code' : 'National ID or date of birth does not match our records',
+        attemptsRemaining
+      });
+    }
+
+    // A code works once (only the request that deletes it gets a token); a
+    // successful identity check clears earlier misses
+    const consumed = await VoteVerification.consume(verification._id);
+    if (method === 'code' && !consumed) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active verification code. Please request a new one'
+      });
+    }
+    if (attemptWindow) await VoteVerification.consume(attemptWindow._id);
+
+    const token = jwt.sign(
+      { voter: voter._id, election: election._id, purpose: 'vote' },
+      config.jwtSecret,
+      { expiresIn: config.voteVerification.tokenExpire }
+    );
+
+    await auditLogger.log(null, 'VOTER_VERIFY_SUCCESS', 'Voter', voter._id, auditDetails);
+
+    res.status(200).json({
+      success: true,
+      message: 'Identity verified. You may now vote',
+      data: {
+        voteToken: token,
+        expiresAt: new Date(jwt.decode(token).exp * 1000)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check voting eligibility
+// @route   GET /api/v1/voting/eligibility/:votingNumber
+// @access  Verified voter (vote token)
+const checkEligibility = async (req, res, next) => {
+  try {
+    const election = req.election;
+
+    const portalState = getPortalState(election);
+
+    // Voter verified by protectVoteSession; re-check they can still vote
+    const { voter, status, error } = await findVoterForBallot(req.voter.votingNumber, election);
+    if (!voter) {
+      return res.status(status).json({ success: false, error });
+    }
+
     // Get eligible candidates
-    const eligibleCandidates = await getEligibleCandidates(voter);
+    const positions = await Position.forElection(election);
+    const eligibleCandidates = await getEligibleCandidates(voter, election, positions);
 
     res.status(200).json({
       success: true,
       data: {
+        election: {
+          id: election._id,
+          name: election.name,
+          positions: positions.map(position => position.name),
+          // How many choices each position takes and whether it may be left blank
+          ballot: positions.map(position => ({
+            position: position.name,
+            seats: position.seats,
+            allowAbstain: position.allowAbstain
+          }))
+        },
         voter: {
           fullName: voter.fullName,
           constituency: voter.constituency,
@@ -56,7 +256,7 @@ const checkEligibility = async (req, res, next) => {
           votingNumber: voter.votingNumber
         },
         eligibleCandidates,
-        votingDeadline: await getVotingDeadline()
+        votingDeadline: portalState.schedule ? portalState.schedule.end : await getVotingDeadline()
       }
     });
   } catch (error) {
@@ -66,13 +266,11 @@ const checkEligibility = async (req, res, next) => {
 
 // @desc    Submit vote
 // @route   POST /api/v1/voting/submit
-// @access  Public
+// @access  Verified voter (vote token)
 const submitVote = async (req, res, next) => {
   try {
-    const { votingNumber, votes } = req.body;
-    const ipAddress = req.ip;
-    const userAgent = req.get('User-Agent');
-    const sessionId = req.headers['x-session-id'] || crypto.randomBytes(16).toString('hex');
+    const { votes } = req.body;
+    const election = req.election;
 
     // Validate input
     if (!votes || !Array.isArray(votes) || votes.length === 0) {
@@ -83,108 +281,164 @@ const submitVote = async (req, res, next) => {
     }
 
     // Check voting portal status
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
-    if (!portalStatus || !portalStatus.value) {
+    const portalState = getPortalState(election);
+    if (!portalState.isOpen) {
       return res.status(400).json({
         success: false,
-        error: 'Voting portal is closed'
+        error: portalClosedMessage(portalState)
       });
     }
 
-    // Find voter
-    const voter = await Voter.findOne({ votingNumber, isActive: true });
-    if (!voter) {
-      return res.status(404).json({
+    // Voter verified by protectVoteSession
+    const voter = req.voter;
+
+    if (!election.isVoterEligible(voter)) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid voting number'
+        error: 'This voter is not eligible to vote in this election'
       });
     }
 
-    if (voter.hasVoted) {
+    if (await Participation.exists({ election: election._id, voter: voter._id })) {
       return res.status(400).json({
         success: false,
         error: 'This voting number has already been used'
       });
     }
 
-    // Validate votes structure
-    const requiredPositions = ['Governor', 'Women Representative', 'MP', 'MCA'];
+    // Validate votes structure against the ballot rules of each position
+    const positions = await Position.forElection(election);
     const votedPositions = votes.map(v => v.position);
     
-    // Check for duplicate positions
-    const uniquePositions = [...new Set(votedPositions)];
-    if (uniquePositions.length !== votedPositions.length) {
+    const invalidChoice = votes.find(vote => vote.choice && !['candidate', 'blank'].includes(vote.choice));
+    if (invalidChoice) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid choice for ${invalidChoice.position}: use a candidate or blank`
+      });
+    }
+
+    // Check for duplicate candidates
+    const candidateIds = votes.filter(v => v.choice !== 'blank').map(v => String(v.candidateId));
+    if (new Set(candidateIds).size !== candidateIds.length) {
       return res.status(400).json({
         success: false,
-        error: 'Duplicate positions in vote submission'
+        error: 'Duplicate candidates in vote submission'
       });
     }
 
-    // Validate all required positions are present
-    for (const position of requiredPositions) {
-      if (!votedPositions.includes(position)) {
+    const unknownPosition = votedPositions.find(name => !positions.some(position => position.name === name));
+    if (unknownPosition) {
+      return res.status(400).json({
+        success: false,
+        error: `Position ${unknownPosition} is not contested in this election`
+      });
+    }
+
+    // Every position needs a choice unless it can be left blank
+    for (const position of positions) {
+      if (position.allowAbstain) continue;
+      const entries = votes.filter(vote => vote.position === position.name);
+      if (entries.length === 0) {
         return res.status(400).json({
           success: false,
-          error: `Missing vote for position: ${position}`
+          error: `Missing vote for position: ${position.name}`
         });
       }
-    }
-
-    // Process each vote
-    const votePromises = votes.map(async (vote) => {
-      // Validate candidate
-      const candidate = await Candidate.findById(vote.candidateId);
-      if (!candidate || !candidate.isActive) {
-        throw new Error(`Invalid candidate for ${vote.position}`);
-      }
-
-      // Validate candidate is eligible for voter's area
-      if (!isCandidateEligible(candidate, voter, vote.position)) {
-        throw new Error(`Candidate ${candidate.fullName} is not eligible for ${vote.position} in your area`);
+      if (entries.some(vote => vote.choice === 'blank')) {
+        return res.status(400).json({
+          success: false,
+          error: `Position ${position.name} does not allow a blank vote`
+        });
       }
+    }
 
-      // Create vote record
-      const voteRecord = await Vote.create({
-        votingNumber,
-        position: vote.position,
-        candidateId: vote.candidateId,
-        county: voter.county,
-        constituency: voter.constituency,
-        ward: voter.ward,
-        ipAddress,
-        userAgent,
-        sessionId
-      });
+    const candidates = await Candidate.find({
+      _id: { $in: candidateIds.filter(id => mongoose.isValidObjectId(id)) },
+      election: election._id,
+      isActive: true
+    });
 
-      // Update candidate vote count
-      await Candidate.findByIdAndUpdate(vote.candidateId, {
-        $inc: { voteCount: 1 }
+    // Count the ballot the way a returning officer would: one entry per chosen
+    // candidate, or a single blank or rejected entry for the position
+    const { entries, rejectedPositions } = countBallot(votes, positions, candidates, voter);
+
+    // Record the ballot as a single all-or-nothing transaction.
+    // Requires MongoDB running as a replica set (Atlas or `--replSet`).
+    const votedAt = new Date();
+    const receiptCode = generateReceiptCode();
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Record participation first. The unique (election, voter) index lets
+        // only one ballot through; a concurrent duplicate either hits the
+        // index or a write conflict and is retried into the same check.
+        // Only the hour is kept, as for the ballot, so the two cannot be
+        // matched up by time
+        await Participation.create([{
+          election: election._id,
+          voter: voter._id,
+          votedAt: Vote.toCastHour(votedAt)
+        }], { session });
+
+        // Ballots are stored without any voter or request identifiers
+        await Vote.insertMany(entries.map(entry => ({
+          election: election._id,
+          position: entry.position,
+          choice: entry.choice,
+          candidateId: entry.candidateId,
+          county: voter.county,
+          constituency: voter.constituency,
+          ward: voter.ward,
+          castAt: Vote.toCastHour(votedAt)
+        })), { session });
+
+        const chosen = entries.filter(entry => entry.choice === 'candidate');
+        if (chosen.length > 0) {
+          await Candidate.bulkWrite(chosen.map(entry => ({
+            updateOne: {
+              filter: { _id: entry.candidateId },
+              update: { $inc: { voteCount: 1 } }
+            }
+          })), { session });
+        }
+
+        await VoteReceipt.create([{
+          code: receiptCode,
+          election: election._id,
+          positions: positions.map(position => position.name),
+          recordedAt: Vote.toCastHour(votedAt)
+        }], { session });
       });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.voter) {
+        error.message = 'This voting number has already been used';
+        error.statusCode = 409;
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
 
-      return voteRecord;
+    // Send confirmation on the voter's preferred channels
+    await notificationService.notify(voter, 'voteConfirmation', {
+      receiptCode,
+      votedAt: votedAt.toLocaleString()
     });
 
-    await Promise.all(votePromises);
-
-    // Mark voter as voted
-    voter.hasVoted = true;
-    voter.votedAt = new Date();
-    await voter.save();
-
-    // Send confirmation email
-    await sendVoteConfirmationEmail(voter);
-
-    // Log the vote
+    // Log the vote. No request details (IP, user agent, session): with the
+    // entry's time they would point back to the voter behind a ballot.
     await auditLogger.log(null, 'VOTE', 'Vote', null, {
+      election: election._id,
       constituency: voter.constituency,
       ward: voter.ward,
-      positions: votes.map(v => v.position),
-      sessionId
+      positions: positions.map(position => position.name)
     });
 
     // Emit vote update via Socket.io
     if (req.io) {
       req.io.emit('voteUpdate', {
+        electionId: election._id,
         constituency: voter.constituency,
         ward: voter.ward,
         timestamp: new Date()
@@ -195,9 +449,11 @@ const submitVote = async (req, res, next) => {
       success: true,
       message: 'Vote submitted successfully',
       data: {
-        votedAt: new Date(),
-        positions: votes.map(v => v.position),
-        receipt: generateVoteReceipt(votingNumber, votes)
+        votedAt,
+        positions: positions.map(position => position.name),
+        // Positions whose selection could not be counted
+        rejectedPositions,
+        receipt: receiptCode
       }
     });
   } catch (error) {
@@ -206,66 +462,118 @@ const submitVote = async (req, res, next) => {
   }
 };
 
-// Helper function to generate vote receipt
-const generateVoteReceipt = (votingNumber, votes) => {
-  const timestamp = Date.now();
-  const data = `${votingNumber}-${JSON.stringify(votes)}-${timestamp}`;
-  const hash = crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
-  return `VN-${hash.toUpperCase()}`;
+// @desc    Verify a vote receipt
+// @route   GET /api/v1/voting/receipt/:code
+// @access  Public
+const verifyReceipt = async (req, res, next) => {
+  try {
+    const receipt = await VoteReceipt.findOne({ code: req.params.code.trim().toUpperCase() })
+      .populate('election', 'name');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        receipt: receipt.code,
+        counted: true,
+        election: receipt.election,
+        positions: receipt.positions,
+        recordedAt: receipt.recordedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
-// Helper function to get eligible candidates
-const getEligibleCandidates = async (voter) => {
-  const eligibleCandidates = {};
+// Helper function to find a voter who may still vote in the election: the
+// portal is open, the voting number is active and eligible, and no ballot has
+// been cast with it. Returns { voter } or the { status, error } to respond with.
+const findVoterForBallot = async (votingNumber, election) => {
+  const portalState = getPortalState(election);
+  if (!portalState.isOpen) {
+    return { status: 400, error: portalClosedMessage(portalState) };
+  }
 
-  // Governor (county-wide)
-  eligibleCandidates.Governor = await Candidate.find({
-    position: 'Governor',
-    county: 'Kirinyaga',
-    isActive: true
-  }).select('fullName politicalParty photo candidateId');
-
-  // Women Representative (county-wide)
-  eligibleCandidates['Women Representative'] = await Candidate.find({
-    position: 'Women Representative',
-    county: 'Kirinyaga',
-    isActive: true
-  }).select('fullName politicalParty photo candidateId');
-
-  // MP (constituency)
-  eligibleCandidates.MP = await Candidate.find({
-    position: 'MP',
-    constituency: voter.constituency,
-    isActive: true
-  }).select('fullName politicalParty photo candidateId');
-
-  // MCA (ward)
-  eligibleCandidates.MCA = await Candidate.find({
-    position: 'MCA',
-    constituency: voter.constituency,
-    ward: voter.ward,
-    isActive: true
-  }).select('fullName politicalParty photo candidateId');
+  const voter = votingNumber ? await Voter.findOne({ votingNumber, isActive: true }) : null;
+  if (!voter) {
+    return { status: 404, error: 'Invalid voting number' };
+  }
 
-  return eligibleCandidates;
+  if (!election.isVoterEligible(voter)) {
+    return { status: 403, error: 'This voter is not eligible to vote in this election' };
+  }
+
+  if (await Participation.exists({ election: election._id, voter: voter._id })) {
+    return { status: 400, error: 'This voting number has already been used' };
+  }
+
+  return { voter };
 };
 
-// Helper function to check candidate eligibility
-const isCandidateEligible = (candidate, voter, position) => {
-  switch (position) {
-    case 'Governor':
-      return candidate.position === 'Governor' && candidate.county === voter.county;
-    case 'Women Representative':
-      return candidate.position === 'Women Representative' && candidate.county === voter.county;
-    case 'MP':
-      return candidate.position === 'MP' && candidate.constituency === voter.constituency;
-    case 'MCA':
-      return candidate.position === 'MCA' && 
-             candidate.constituency === voter.constituency && 
-             candidate.ward === voter.ward;
-    default:
-      return false;
+// Helper function to generate a random vote receipt code
+const generateReceiptCode = () => {
+  return `VN-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+};
+
+// Helper function to turn a submitted ballot into the entries that are stored.
+// A position left out (where blank is allowed) or marked blank counts as one
+// blank entry. A selection that cannot be counted - more candidates than
+// seats, blank mixed with candidates, or a candidate who is withdrawn or not
+// standing in the voter's area - is rejected for that position only.
+const countBallot = (votes, positions, candidates, voter) => {
+  const entries = [];
+  const rejectedPositions = [];
+
+  for (const position of positions) {
+    const selections = votes.filter(vote => vote.position === position.name);
+    const blank = selections.length === 0 || selections.some(vote => vote.choice === 'blank');
+    const picks = selections.filter(vote => vote.choice !== 'blank');
+
+    if (blank && picks.length === 0) {
+      entries.push({ position: position.name, choice: 'blank' });
+      continue;
+    }
+
+    const chosen = picks.map(vote => candidates.find(c => c._id.toString() === String(vote.candidateId)));
+    const valid = !blank &&
+      picks.length <= position.seats &&
+      chosen.every(candidate => candidate && position.isCandidateEligible(candidate, voter));
+
+    if (valid) {
+      chosen.forEach(candidate => {
+        entries.push({ position: position.name, choice: 'candidate', candidateId: candidate._id });
+      });
+    } else {
+      entries.push({ position: position.name, choice: 'rejected' });
+      rejectedPositions.push(position.name);
+    }
+  }
+
+  return { entries, rejectedPositions };
+};
+
+// Helper function to get eligible candidates for the positions on the ballot,
+// limited to the race each position runs in the voter's area
+const getEligibleCandidates = async (voter, election, positions) => {
+  const eligibleCandidates = {};
+
+  for (const position of positions) {
+    eligibleCandidates[position.name] = await Candidate.find({
+      election: election._id,
+      position: position.name,
+      ...position.areaFilter(voter),
+      isActive: true
+    }).select('fullName politicalParty photo candidateId');
   }
+
+  return eligibleCandidates;
 };
 
 // Helper function to get voting deadline
@@ -274,7 +582,22 @@ const getVotingDeadline = async () => {
   return deadline ? deadline.value : null;
 };
 
+// Helper function to explain why the portal is not accepting votes
+const portalClosedMessage = (portalState) => {
+  if (portalState.flagOpen && portalState.schedule) {
+    const now = new Date();
+    if (now < portalState.schedule.start) {
+      return `Voting has not started yet. It opens at ${portalState.schedule.start.toISOString()}`;
+    }
+    return `Voting closed at ${portalState.schedule.end.toISOString()}`;
+  }
+  return 'Voting portal is currently closed';
+};
+
 module.exports = {
+  requestVerificationCode,
+  verifyVoter,
   checkEligibility,
-  submitVote
+  submitVote,
+  verifyReceipt
 };
\ No newline at end of file
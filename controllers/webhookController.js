@@ -0,0 +1,96 @@
+const OutboundMessage = require('../models/OutboundMessage');
+
+// Brevo transactional events and the status each one means. Events not
+// listed (opened, click, request, ...) are recorded without a status change.
+const BREVO_STATUSES = {
+  delivered: 'delivered',
+  hard_bounce: 'bounced',
+  soft_bounce: 'bounced',
+  blocked: 'bounced',
+  invalid_email: 'bounced',
+  spam: 'bounced',
+  error: 'failed'
+};
+
+// Africa's Talking delivery report statuses
+const AFRICASTALKING_STATUSES = {
+  Success: 'delivered',
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Rejected: 'failed',
+  Failed: 'failed',
+  AbsentSubscriber: 'failed',
+  Expired: 'failed'
+};
+
+// @desc    Receive Brevo delivery events
+// @route   POST /api/v1/webhooks/brevo
+// @access  Public (webhook token)
+const handleBrevoEvent = async (req, res, next) => {
+  try {
+    // Brevo posts one event per request; accept a list as well
+    const body = req.body || {};
+    const events = Array.isArray(body) ? body : [body];
+    let matched = 0;
+
+    for (const payload of events) {
+      if (!payload || typeof payload !== 'object') continue;
+
+      const messageId = payload['message-id'] || payload.messageId;
+      if (typeof messageId !== 'string' || typeof payload.event !== 'string') continue;
+
+      const recorded = await applyDeliveryEvent(
+        { transport: 'brevo', providerMessageId: messageId },
+        BREVO_STATUSES[payload.event],
+        payload.event,
+        payload.reason
+      );
+      if (recorded) matched++;
+    }
+
+    // Always acknowledge, so the provider does not keep retrying
+    res.status(200).json({ success: true, matched });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Receive Africa's Talking SMS delivery reports
+// @route   POST /api/v1/webhooks/africastalking
+// @access  Public (webhook token)
+const handleAfricasTalkingReport = async (req, res, next) => {
+  try {
+    const { id, status, failureReason } = req.body || {};
+    let matched = 0;
+
+    if (typeof id === 'string' && id && typeof status === 'string' && status) {
+      const recorded = await applyDeliveryEvent(
+        { transport: 'africastalking', providerMessageId: id },
+        AFRICASTALKING_STATUSES[status],
+        status,
+        failureReason
+      );
+      if (recorded) matched++;
+    }
+
+    res.status(200).json({ success: true, matched });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to record a provider event on the message it refers to
+const applyDeliveryEvent = async (filter, status, event, detail) => {
+  const message = await OutboundMessage.findOne(filter);
+  if (!message) return false;
+
+  message.applyEvent(status, event, detail);
+  await message.save();
+  return true;
+};
+
+module.exports = {
+  handleBrevoEvent,
+  handleAfricasTalkingReport
+};
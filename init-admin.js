@@ -3,8 +3,13 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const Admin = require('./models/Admin');
 const SystemSetting = require('./models/SystemSetting');
+const Election = require('./models/Election');
+const Position = require('./models/Position');
+const permissions = require('./utils/permissions');
 const config = require('./config');
 
+const DEFAULT_ADMIN_PASSWORD = 'Admin@12345';
+
 const initializeSystem = async () => {
   try {
     // Connect to MongoDB
@@ -15,34 +20,36 @@ const initializeSystem = async () => {
     
     console.log('Connected to MongoDB');
 
+    // Built-in admin roles (super_admin, admin, returning_officer, ...)
+    await permissions.seedDefaults();
+
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ email: process.env.INITIAL_ADMIN_EMAIL });
     
     if (existingAdmin) {
       console.log('Admin already exists. Skipping admin creation.');
     } else {
-      // Create initial admin
+      // Create initial admin. The built-in default password is public, so
+      // it has to be changed at the first login.
       const admin = new Admin({
         email: process.env.INITIAL_ADMIN_EMAIL || 'admin@kirinyaga.go.ke',
-        password: process.env.INITIAL_ADMIN_PASSWORD || 'Admin@12345',
+        password: process.env.INITIAL_ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD,
         fullName: process.env.INITIAL_ADMIN_NAME || 'System Administrator',
-        role: 'super_admin'
+        role: 'super_admin',
+        mustChangePassword: !process.env.INITIAL_ADMIN_PASSWORD
       });
 
       await admin.save();
       console.log('Initial admin created successfully');
       console.log(`Email: ${admin.email}`);
-      console.log(`Password: ${process.env.INITIAL_ADMIN_PASSWORD || 'Admin@12345'}`);
+      console.log(`Password: ${process.env.INITIAL_ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD}`);
+      if (admin.mustChangePassword) {
+        console.log('This is the default password; it must be changed at the first login.');
+      }
     }
 
     // Initialize system settings with proper values (not null)
     const defaultSettings = [
-      { 
-        key: 'voting_portal_open', 
-        value: false, 
-        description: 'Voting portal status (true=open, false=closed)', 
-        isPublic: true 
-      },
       { 
         key: 'voting_deadline', 
         value: '', // Empty string instead of null
@@ -74,21 +81,21 @@ const initializeSystem = async () => {
         isPublic: false 
       },
       { 
-        key: 'session_timeout', 
-        value: 30, 
-        description: 'Session timeout in minutes', 
+        key: 'max_login_attempts_per_ip', 
+        value: 20, 
+        description: 'Failed login attempts from one IP address before it is locked out', 
         isPublic: false 
       },
       { 
-        key: 'voting_schedule_start', 
-        value: '', 
-        description: 'Scheduled voting start time', 
+        key: 'lockout_duration_minutes', 
+        value: 15, 
+        description: 'First lockout period in minutes; doubles with each further lockout', 
         isPublic: false 
       },
       { 
-        key: 'voting_schedule_end', 
-        value: '', 
-        description: 'Scheduled voting end time', 
+        key: 'session_timeout', 
+        value: 30, 
+        description: 'Minutes an admin session may go without a token refresh before it ends', 
         isPublic: false 
       }
     ];
@@ -103,6 +110,23 @@ const initializeSystem = async () => {
       }
     }
 
+    // Create the default positions and the first election with all of them
+    // on the ballot. Portal status and schedule are kept per election.
+    await Position.seedDefaults();
+    const existingElection = await Election.findOne({});
+    if (!existingElection) {
+      const positions = await Position.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+      const election = await Election.create({
+        name: process.env.INITIAL_ELECTION_NAME || 'Kirinyaga County General Election',
+        type: 'general',
+        positions: positions.map(position => position.name),
+        isCurrent: true
+      });
+      console.log(`Created election: ${election.name}`);
+    } else {
+      console.log('Election already exists. Skipping election creation.');
+    }
+
     console.log('\n=== System Initialization Completed Successfully ===');
     console.log('System is ready to use!');
     console.log('\nTo start the server, run: npm start');
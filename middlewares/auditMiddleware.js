@@ -20,7 +20,9 @@ const auditLogMiddleware = async (req, res, next) => {
           statusCode: res.statusCode,
           ...(req.method !== 'GET' && req.body && { body: req.body })
         }
-      );
+      ).catch(() => {
+        // The response is already on its way; auditLogger has reported it
+      });
     }
     
     return originalSend.call(this, data);
@@ -46,10 +48,18 @@ const getActionFromRoute = (method, url) => {
 };
 
 const getEntityFromRoute = (url) => {
+  if (url.includes('/elections')) return 'Election';
+  if (url.includes('/units')) return 'AdministrativeUnit';
+  if (url.includes('/positions')) return 'Position';
+  if (url.includes('/templates')) return 'MessageTemplate';
   if (url.includes('/voters')) return 'Voter';
   if (url.includes('/candidates')) return 'Candidate';
   if (url.includes('/voting')) return 'Vote';
   if (url.includes('/settings')) return 'SystemSetting';
+  if (url.includes('/jobs')) return 'Job';
+  if (url.includes('/admin/messages')) return 'OutboundMessage';
+  if (url.includes('/admin/roles')) return 'Role';
+  if (url.includes('/admin/lockouts')) return 'LoginThrottle';
   if (url.includes('/admin')) return 'Admin';
   if (url.includes('/results')) return 'Result';
   return 'System';
@@ -1,7 +1,26 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Voter = require('../models/Voter');
 const config = require('../config');
 const auditLogger = require('../utils/auditLogger');
+const permissions = require('../utils/permissions');
+const adminSessions = require('../utils/adminSessions');
+const adminCache = require('../utils/adminCache');
+
+// Routes open to an admin who must change their password first
+const PASSWORD_CHANGE_ROUTES = [
+  '/api/v1/auth/admin/change-password',
+  '/api/v1/auth/admin/logout',
+  '/api/v1/auth/admin/me'
+];
+
+// Routes open to an admin whose role needs two-factor authentication but who
+// has not enrolled yet
+const TWO_FACTOR_SETUP_ROUTES = [
+  ...PASSWORD_CHANGE_ROUTES,
+  '/api/v1/auth/admin/2fa/setup',
+  '/api/v1/auth/admin/2fa/enable'
+];
 
 // Protect routes - Admin authentication
 const protect = async (req, res, next) => {
@@ -22,8 +41,16 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.jwtSecret);
 
-    // Get admin from token
-    req.admin = await Admin.findById(decoded.id).select('-password');
+    // Vote and two-factor challenge tokens are not session tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to access this route'
+      });
+    }
+
+    // Get admin from token (briefly cached, so most requests skip MongoDB)
+    req.admin = await adminCache.get(decoded.id);
 
     if (!req.admin) {
       return res.status(401).json({
@@ -32,9 +59,42 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    req.admin.lastLogin = new Date();
-    await req.admin.save();
+    if (!req.admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is disabled. Please contact system administrator.'
+      });
+    }
+
+    // The session behind the token must not have been revoked
+    req.adminSession = await adminSessions.findActive(decoded.sid, req.admin._id);
+    if (!req.adminSession) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired. Please sign in again'
+      });
+    }
+
+    // Accounts with a temporary password may only change it (or log out)
+    if (req.admin.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.originalUrl.split('?')[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'You must change your password before continuing',
+        mustChangePassword: true
+      });
+    }
+
+    // Roles that need two-factor authentication must enrol before anything else
+    if (req.admin.requiresTwoFactor() && !req.admin.twoFactor.enabled &&
+        !TWO_FACTOR_SETUP_ROUTES.includes(req.originalUrl.split('?')[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'You must set up two-factor authentication before continuing',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    recordActivity(req.admin);
 
     next();
   } catch (err) {
@@ -45,17 +105,171 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.admin.role)) {
+// Resolve an admin from a token outside the HTTP flow (e.g. Socket.io);
+// null when the token is missing or invalid
+const verifyAdminToken = async (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    if (decoded.purpose) return null;
+    const admin = await adminCache.get(decoded.id);
+    if (!admin || !admin.isActive) return null;
+    return await adminSessions.findActive(decoded.sid, admin._id) ? admin : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Note that the admin is active. lastSeenAt is written at most once per
+// interval and without waiting, so requests do not turn into writes.
+const recordActivity = (admin) => {
+  const now = new Date();
+  const interval = config.session.lastSeenIntervalSeconds * 1000;
+  if (admin.lastSeenAt && now - admin.lastSeenAt < interval) return;
+
+  adminCache.patch(admin._id, { lastSeenAt: now });
+  Admin.updateOne({ _id: admin._id }, { lastSeenAt: now }).catch(error => {
+    console.error(`❌ Could not record activity of admin ${admin._id}:`, error.message);
+  });
+};
+
+// Permission-based authorization - the admin's role must grant every one of
+// the listed permissions (see models/Role for the catalog)
+const requirePermission = (...required) => {
+  return async (req, res, next) => {
+    try {
+      req.permissions = req.permissions || await permissions.getPermissions(req.admin.role);
+      const missing = required.filter(permission => !req.permissions.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `User role ${req.admin.role} is not authorized to access this route`,
+          missingPermissions: missing
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// County-wide actions (publishing results, opening the portal, managing
+// admins) are not open to admins scoped to a constituency or ward
+const requireCountyScope = (req, res, next) => {
+  if (req.admin.hasScope()) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action needs a county-wide account'
+    });
+  }
+  next();
+};
+
+// Voter vote session - requires the token issued by POST /voting/verify.
+// Runs after resolveElection; the token only opens the ballot of the election
+// and voting number it was issued for.
+const protectVoteSession = async (req, res, next) => {
+  let token = req.headers['x-vote-token'];
+
+  if (!token && req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Identity verification is required before voting'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: 'Verification has expired. Please verify your identity again'
+    });
+  }
+
+  try {
+    if (decoded.purpose !== 'vote' || String(decoded.election) !== req.election._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification is not valid for this election'
+      });
+    }
+
+    const voter = await Voter.findOne({ _id: decoded.voter, isActive: true });
+    const votingNumber = (req.params && req.params.votingNumber) || (req.body && req.body.votingNumber);
+
+    if (!voter || (votingNumber && votingNumber !== voter.votingNumber)) {
       return res.status(403).json({
         success: false,
-        error: `User role ${req.admin.role} is not authorized to access this route`
+        error: 'Verification does not match this voting number'
       });
     }
+
+    req.voter = voter;
     next();
-  };
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Voter portal - requires the token issued by POST /voters/portal/verify
+const protectVoter = async (req, res, next) => {
+  try {
+    req.voter = await voterFromRequest(req);
+
+    if (!req.voter) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please sign in to the voter portal'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Voter portal, optional - sets req.voter when a valid voter token is sent,
+// and lets the request through either way
+const identifyVoter = async (req, res, next) => {
+  try {
+    req.voter = await voterFromRequest(req) || undefined;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The active voter a request's voter portal token belongs to, or null
+const voterFromRequest = async (req) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(req.headers.authorization.split(' ')[1], config.jwtSecret);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== 'voter') return null;
+
+  return Voter.findOne({ _id: decoded.voter, isActive: true });
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+module.exports = {
+  protect,
+  requirePermission,
+  requireCountyScope,
+  protectVoteSession,
+  protectVoter,
+  identifyVoter,
+  verifyAdminToken
+};
\ No newline at end of file
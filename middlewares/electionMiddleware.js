@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+
+// Resolve the election a request is about. It can be named by an
+// `electionId` route param, an `election` query parameter, an `electionId`
+// body field or the `X-Election-Id` header; otherwise the current election
+// is used.
+const resolveElection = async (req, res, next) => {
+  try {
+    const electionId = req.params.electionId ||
+      req.query.election ||
+      (req.body && req.body.electionId) ||
+      req.headers['x-election-id'];
+
+    let election;
+    if (electionId) {
+      if (!mongoose.isValidObjectId(electionId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid election ID'
+        });
+      }
+      election = await Election.findById(electionId);
+    } else {
+      election = await Election.getCurrent();
+    }
+
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        error: electionId ? 'Election not found' : 'No current election has been set up'
+      });
+    }
+
+    req.election = election;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { resolveElection };
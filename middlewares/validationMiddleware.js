@@ -1,4 +1,6 @@
 const { body, param, query } = require('express-validator');
+const Position = require('../models/Position');
+const constituencyData = require('../utils/constituencyData');
 
 // Voter Registration Validation
 const validateVoterRegistration = [
@@ -22,22 +24,17 @@ const validateVoterRegistration = [
   
   body('constituency')
     .notEmpty().withMessage('Constituency is required')
-    .isIn(['Kirinyaga Central', 'Kirinyaga East', 'Mwea', 'Gichugu', 'Ndia'])
-    .withMessage('Invalid constituency'),
+    .custom(async (value) => {
+      if (!(await constituencyData.validateConstituency(value))) {
+        throw new Error('Invalid constituency');
+      }
+      return true;
+    }),
   
   body('ward')
     .notEmpty().withMessage('Ward is required')
-    .custom((value, { req }) => {
-      const wardsByConstituency = {
-        'Kirinyaga Central': ['Kiamuturi', 'Mutithi', 'Kangai', 'Thiba', 'Wamumu'],
-        'Kirinyaga East': ['Kanyeki-Inoi', 'Kerugoya', 'Inoi', 'Mutonguni', 'Kiamaciri'],
-        'Mwea': ['Thiba', 'Kangai', 'Mutithi', 'Wamumu', 'Mwea'],
-        'Gichugu': ['Ngariama', 'Kanyekini', 'Murinduko', 'Gathigiriri', 'Tebere'],
-        'Ndia': ['Baragwi', 'Njukiini', 'Gichugu', 'Mukure', 'Kiaritha']
-      };
-      
-      const validWards = wardsByConstituency[req.body.constituency] || [];
-      if (!validWards.includes(value)) {
+    .custom(async (value, { req }) => {
+      if (!(await constituencyData.validateWard(req.body.constituency, value))) {
         throw new Error(`Invalid ward for constituency ${req.body.constituency}`);
       }
       return true;
@@ -52,21 +49,27 @@ const validateCandidate = [
   
   body('position')
     .notEmpty().withMessage('Position is required')
-    .isIn(['Governor', 'Women Representative', 'MP', 'MCA'])
-    .withMessage('Invalid position'),
+    .custom(async (value, { req }) => {
+      const position = await Position.findOne({ name: value, isActive: true });
+      if (!position) {
+        throw new Error('Invalid position');
+      }
+      // Keep the position for the area checks below
+      req.positionDoc = position;
+      return true;
+    }),
   
   body('politicalParty')
     .notEmpty().withMessage('Political party is required')
     .trim(),
   
   body('constituency')
-    .custom((value, { req }) => {
-      if (req.body.position === 'MP' || req.body.position === 'MCA') {
+    .custom(async (value, { req }) => {
+      if (req.positionDoc && req.positionDoc.areaFields().includes('constituency')) {
         if (!value) {
-          throw new Error('Constituency is required for MP and MCA positions');
+          throw new Error(`Constituency is required for ${req.positionDoc.name} position`);
         }
-        const validConstituencies = ['Kirinyaga Central', 'Kirinyaga East', 'Mwea', 'Gichugu', 'Ndia'];
-        if (!validConstituencies.includes(value)) {
+        if (!(await constituencyData.validateConstituency(value))) {
           throw new Error('Invalid constituency');
         }
       }
@@ -75,9 +78,9 @@ const validateCandidate = [
   
   body('ward')
     .custom((value, { req }) => {
-      if (req.body.position === 'MCA') {
+      if (req.positionDoc && req.positionDoc.areaFields().includes('ward')) {
         if (!value) {
-          throw new Error('Ward is required for MCA position');
+          throw new Error(`Ward is required for ${req.positionDoc.name} position`);
         }
       }
       return true;
@@ -90,19 +93,15 @@ const validateVote = [
     .notEmpty().withMessage('Voting number is required'),
   
   body('votes')
-    .isArray({ min: 4 }).withMessage('Must vote for all 4 positions')
+    .isArray({ min: 1 }).withMessage('No votes provided')
     .custom((value) => {
-      const positions = value.map(v => v.position);
-      const requiredPositions = ['Governor', 'Women Representative', 'MP', 'MCA'];
-      
-      const hasAllPositions = requiredPositions.every(pos => positions.includes(pos));
-      if (!hasAllPositions) {
-        throw new Error('Must vote for all positions: Governor, Women Representative, MP, and MCA');
-      }
+      // Positions, seats and blank votes depend on the election and are
+      // checked in submitVote; a candidate can only be chosen once
+      const candidateIds = value.filter(v => v.choice !== 'blank').map(v => String(v.candidateId));
       
-      const uniquePositions = [...new Set(positions)];
-      if (uniquePositions.length !== positions.length) {
-        throw new Error('Duplicate positions in vote');
+      const uniqueCandidates = [...new Set(candidateIds)];
+      if (uniqueCandidates.length !== candidateIds.length) {
+        throw new Error('Duplicate candidates in vote');
       }
       
       return true;
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Provider webhooks are authenticated by a shared token in the callback URL
+// (`?token=...`) or the X-Webhook-Token header, as set up in the provider's
+// dashboard
+const verifyWebhookToken = (req, res, next) => {
+  const expected = config.webhooks.token;
+  const provided = req.query.token || req.headers['x-webhook-token'];
+
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Webhooks are not configured'
+    });
+  }
+
+  // Compare byte lengths: timingSafeEqual throws on buffers of different
+  // sizes, and multi-byte characters make string lengths misleading
+  const providedBuf = Buffer.from(typeof provided === 'string' ? provided : '');
+  const expectedBuf = Buffer.from(expected);
+  const matches = typeof provided === 'string' &&
+    providedBuf.length === expectedBuf.length &&
+    crypto.timingSafeEqual(providedBuf, expectedBuf);
+
+  if (!matches) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook token'
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyWebhookToken };
\ No newline at end of file
@@ -17,23 +17,95 @@ const adminSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Hashes of recent passwords, newest last, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   fullName: {
     type: String,
     required: [true, 'Full name is required'],
     trim: true
   },
+  // Name of a Role; its permissions decide what the admin can do
   role: {
     type: String,
-    enum: ['admin', 'super_admin'],
-    default: 'admin'
+    default: 'admin',
+    trim: true
+  },
+  // Area the admin manages. Without a constituency the admin is county-wide;
+  // a ward clerk has both a constituency and a ward.
+  scope: {
+    constituency: {
+      type: String,
+      trim: true
+    },
+    ward: {
+      type: String,
+      trim: true
+    }
   },
   lastLogin: {
     type: Date
   },
+  // Time of a recent authenticated request; written at most once per
+  // session.lastSeenIntervalSeconds, so it can lag by that much
+  lastSeenAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set for invited accounts and forced resets; until the password is
+  // changed the account can only reach the change-password route
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP two-factor authentication. The secret and recovery code hashes are
+  // never returned by queries unless selected explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrolment, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last code accepted, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -47,9 +119,80 @@ adminSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   this.password = await bcrypt.hash(this.password, 12);
+  this.passwordChangedAt = new Date();
+  this.$locals.passwordChanged = true;
   next();
 });
 
+// Keep the new hash in the password history. Done as a separate $push so
+// documents loaded without the history do not overwrite it.
+adminSchema.post('save', async function() {
+  // protect reads admins through a cache; make it see this change
+  require('../utils/adminCache').invalidate(this._id);
+
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+
+  const config = require('../config');
+  const historySize = config.passwordPolicy.historySize;
+  if (historySize > 0) {
+    await this.constructor.updateOne({ _id: this._id }, {
+      $push: { passwordHistory: { $each: [this.password], $slice: -historySize } }
+    });
+  }
+});
+
+// Updates and deletes that bypass save() drop the cached copy too: the
+// admin named by the filter, or every cached admin when it names none
+adminSchema.post(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function() {
+    const id = this.getFilter()._id;
+    const single = typeof id === 'string' || id instanceof mongoose.Types.ObjectId;
+    require('../utils/adminCache').invalidate(single ? id : undefined);
+  }
+);
+
+// Whether the admin is limited to a constituency or ward
+adminSchema.methods.hasScope = function() {
+  return !!(this.scope && this.scope.constituency);
+};
+
+// Narrow a query on voters, candidates or votes (anything with constituency
+// and ward fields) to the admin's area
+adminSchema.methods.scopeFilter = function(filter = {}) {
+  if (!this.hasScope()) return { ...filter };
+
+  const scoped = { ...filter };
+  const conditions = [{ constituency: this.scope.constituency }];
+  if (this.scope.ward) conditions.push({ ward: this.scope.ward });
+  scoped.$and = [...(scoped.$and || []), ...conditions];
+  return scoped;
+};
+
+// Whether a record (or a requested constituency/ward) lies in the admin's area
+adminSchema.methods.isInScope = function({ constituency, ward } = {}) {
+  if (!this.hasScope()) return true;
+  if (constituency !== this.scope.constituency) return false;
+  return !this.scope.ward || ward === this.scope.ward;
+};
+
+// Whether the admin's role must use two-factor authentication
+adminSchema.methods.requiresTwoFactor = function() {
+  const config = require('../config');
+  return config.twoFactor.requiredRoles.includes(this.role);
+};
+
+// Remove the two-factor enrolment (the caller saves)
+adminSchema.methods.clearTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.enabledAt = undefined;
+};
+
 // Compare password method
 adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = [
+  'logout',
+  'password_change',
+  'password_reset',
+  'deactivated',
+  'revoked_by_admin',
+  'idle_timeout',
+  'token_reuse'
+];
+
+// One admin login. The client holds a short-lived access token naming the
+// session and a refresh token, stored here only as a hash and replaced on
+// every refresh. Revoking the session ends both at once.
+const adminSessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  // Hash of the refresh token this one replaced. Seeing it again means the
+  // token was copied, so the session is revoked.
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Absolute end of the session, however active it is
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+adminSessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+adminSessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+adminSessionSchema.index({ admin: 1, revokedAt: 1 });
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Statics
+adminSessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+adminSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
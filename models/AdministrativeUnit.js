@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const LEVELS = ['county', 'constituency', 'ward', 'polling_station'];
+
+// Electoral geography: county → constituency → ward → polling station.
+// Voters, candidates and ballots refer to areas by name, so each unit also
+// stores the names of its ancestors to make those lookups a single query.
+const administrativeUnitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  // Official code (e.g. IEBC county/constituency/ward code)
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  level: {
+    type: String,
+    required: [true, 'Level is required'],
+    enum: LEVELS
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdministrativeUnit',
+    default: null
+  },
+  county: {
+    type: String,
+    trim: true
+  },
+  constituency: {
+    type: String,
+    trim: true
+  },
+  ward: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique among siblings (ward names repeat across constituencies)
+administrativeUnitSchema.index({ level: 1, parent: 1, name: 1 }, { unique: true });
+administrativeUnitSchema.index({ level: 1, county: 1, constituency: 1, ward: 1 });
+
+// Statics
+administrativeUnitSchema.statics.LEVELS = LEVELS;
+
+administrativeUnitSchema.statics.childLevel = function(level) {
+  const index = LEVELS.indexOf(level);
+  return index >= 0 && index < LEVELS.length - 1 ? LEVELS[index + 1] : null;
+};
+
+administrativeUnitSchema.statics.parentLevel = function(level) {
+  const index = LEVELS.indexOf(level);
+  return index > 0 ? LEVELS[index - 1] : null;
+};
+
+module.exports = mongoose.model('AdministrativeUnit', administrativeUnitSchema);
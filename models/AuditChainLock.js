@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Lease on linking audit entries into the hash chain. One document; the
+// server instance holding it is the only one that assigns sequence numbers,
+// which is what gives the chain a single order across instances.
+const auditChainLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'audit'
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('AuditChainLock', auditChainLockSchema);
@@ -31,14 +31,42 @@ const auditLogSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
     immutable: true
+  },
+  // Written but not yet linked into the hash chain (utils/auditLogger)
+  pending: {
+    type: Boolean
+  },
+  // Hash chain: each entry stores the hash of the one before it, so editing
+  // or deleting any entry breaks every link after it
+  sequence: {
+    type: Number,
+    immutable: true
+  },
+  prevHash: {
+    type: String,
+    immutable: true
+  },
+  hash: {
+    type: String,
+    immutable: true
   }
 }, {
-  timestamps: false
+  timestamps: false,
+  // Keep empty objects in details so stored entries hash the same as written
+  minimize: false
 });
 
 // Index for faster queries
 auditLogSchema.index({ timestamp: -1 });
 auditLogSchema.index({ adminId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index(
+  { timestamp: 1, _id: 1 },
+  { partialFilterExpression: { pending: true } }
+);
+auditLogSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
 
 module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
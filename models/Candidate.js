@@ -1,15 +1,21 @@
 const mongoose = require('mongoose');
 
 const candidateSchema = new mongoose.Schema({
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: [true, 'Election is required']
+  },
   fullName: {
     type: String,
     required: [true, 'Full name is required'],
     trim: true
   },
+  // Name of a Position; its level decides which area fields are set
   position: {
     type: String,
     required: [true, 'Position is required'],
-    enum: ['Governor', 'Women Representative', 'MP', 'MCA']
+    trim: true
   },
   politicalParty: {
     type: String,
@@ -17,22 +23,13 @@ const candidateSchema = new mongoose.Schema({
     trim: true
   },
   county: {
-    type: String,
-    required: [true, 'County is required'],
-    default: 'Kirinyaga'
+    type: String
   },
   constituency: {
-    type: String,
-    required: function() {
-      return this.position === 'MP' || this.position === 'MCA';
-    },
-    enum: ['Kirinyaga Central', 'Kirinyaga East', 'Mwea', 'Gichugu', 'Ndia', null]
+    type: String
   },
   ward: {
-    type: String,
-    required: function() {
-      return this.position === 'MCA';
-    }
+    type: String
   },
   photo: {
     type: String,
@@ -54,8 +51,9 @@ const candidateSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Prevent duplicate candidates per party/position/area
+// Prevent duplicate candidates per party/position/area within an election
 candidateSchema.index({ 
+  election: 1,
   position: 1, 
   politicalParty: 1, 
   county: 1, 
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// An election is one poll: a general election, a by-election or a repeat
+// poll. Candidates, ballots, receipts and participation all belong to exactly
+// one election, so past elections stay queryable after a new one starts.
+const electionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Election name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['general', 'by-election', 'repeat'],
+    default: 'general'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Names of the positions on the ballot (see models/Position.js)
+  positions: {
+    type: [{
+      type: String,
+      trim: true
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0 && new Set(v).size === v.length;
+      },
+      message: 'An election needs at least one position and no duplicates'
+    }
+  },
+  // Voting window. The scheduler opens and closes the election at these times.
+  schedule: {
+    start: { type: Date, default: null },
+    end: { type: Date, default: null }
+  },
+  // Schedule transitions the scheduler has already applied. Reset whenever
+  // the schedule changes.
+  scheduleApplied: {
+    opened: { type: Boolean, default: false },
+    closed: { type: Boolean, default: false }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'open', 'closed', 'archived'],
+    default: 'draft'
+  },
+  // Who may vote. Empty lists mean the whole county.
+  eligibility: {
+    constituencies: [{ type: String, trim: true }],
+    wards: [{ type: String, trim: true }]
+  },
+  // The election used when a request does not name one
+  isCurrent: {
+    type: Boolean,
+    default: false
+  },
+  resultsPublished: {
+    type: Boolean,
+    default: false
+  },
+  lastPublication: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one election can be the current one
+electionSchema.index({ isCurrent: 1 }, { unique: true, partialFilterExpression: { isCurrent: true } });
+electionSchema.index({ status: 1 });
+
+// Voter query restricted to the voters eligible for this election
+electionSchema.methods.voterFilter = function(filter = {}) {
+  const scoped = { ...filter };
+  const { constituencies = [], wards = [] } = this.eligibility || {};
+
+  if (constituencies.length > 0) {
+    scoped.$and = [...(scoped.$and || []), { constituency: { $in: constituencies } }];
+  }
+  if (wards.length > 0) {
+    scoped.$and = [...(scoped.$and || []), { ward: { $in: wards } }];
+  }
+
+  return scoped;
+};
+
+electionSchema.methods.isVoterEligible = function(voter) {
+  const { constituencies = [], wards = [] } = this.eligibility || {};
+
+  if (constituencies.length > 0 && !constituencies.includes(voter.constituency)) {
+    return false;
+  }
+  if (wards.length > 0 && !wards.includes(voter.ward)) {
+    return false;
+  }
+  return true;
+};
+
+electionSchema.methods.hasSchedule = function() {
+  return !!(this.schedule && this.schedule.start && this.schedule.end);
+};
+
+// Statics
+electionSchema.statics.getCurrent = async function() {
+  const current = await this.findOne({ isCurrent: true });
+  if (current) return current;
+
+  // Fall back to the most recent election that is still in use
+  return this.findOne({ status: { $ne: 'archived' } }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Election', electionSchema);
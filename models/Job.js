@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Most failure entries kept on a job; the counts keep going past it
+const MAX_FAILURES = 500;
+
+// A unit of background work run by utils/jobQueue. Jobs live in MongoDB so
+// they survive restarts and only one worker can hold a job at a time.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  // Input for the handler
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Handler bookkeeping, so a retried or resumed job carries on where it stopped
+  state: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // When the job may next run; pushed back between retries
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lockedBy: {
+    type: String
+  },
+  // Refreshed while the job runs; a stale lock means the worker died
+  lockedAt: {
+    type: Date
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Items that could not be processed, for the failure report
+  failures: [{
+    item: String,
+    error: String,
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  lastError: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+// Statics
+jobSchema.statics.STATUSES = STATUSES;
+jobSchema.statics.MAX_FAILURES = MAX_FAILURES;
+
+// Summary sent to admins over Socket.io and in job lists
+jobSchema.methods.getSummary = function() {
+  const { total, processed, succeeded, failed } = this.progress;
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    election: this.election,
+    progress: {
+      total,
+      processed,
+      succeeded,
+      failed,
+      percent: total > 0 ? Math.round((processed / total) * 100) : (this.status === 'completed' ? 100 : 0)
+    },
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    runAt: this.runAt,
+    lastError: this.lastError,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Job', jobSchema);
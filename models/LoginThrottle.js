@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['account', 'ip'];
+
+// Failed admin logins for one account (by email) or one IP address, and the
+// lockout they led to. Repeated lockouts get longer; the record is dropped a
+// day after the last failure or lockout, which resets the progression.
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TYPES,
+    required: [true, 'Type is required']
+  },
+  // Lowercased email for 'account', address for 'ip'
+  key: {
+    type: String,
+    required: [true, 'Key is required']
+  },
+  // Failures since the last lockout or success
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // How many times this account or IP has been locked out
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ type: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+
+// Statics
+loginThrottleSchema.statics.TYPES = TYPES;
+
+loginThrottleSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
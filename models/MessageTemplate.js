@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['email', 'sms'];
+
+// Languages templates can be written in. English is the fallback when a
+// voter's language has no version of a template.
+const LANGUAGES = ['en', 'sw'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Available to every template
+const COMMON_VARIABLES = ['fullName', 'countyName', 'portalUrl', 'year'];
+
+// Messages the system sends, and the {{variables}} each can use
+const VARIABLES = {
+  registration: [...COMMON_VARIABLES, 'votingNumber', 'county', 'constituency', 'ward'],
+  voteConfirmation: [...COMMON_VARIABLES, 'receiptCode', 'votedAt', 'county', 'constituency', 'ward'],
+  portalOpen: COMMON_VARIABLES,
+  portalClose: COMMON_VARIABLES,
+  verificationCode: [...COMMON_VARIABLES, 'code', 'minutes'],
+  loginCode: [...COMMON_VARIABLES, 'code', 'minutes'],
+  contactCode: [...COMMON_VARIABLES, 'code', 'minutes'],
+  contactChange: COMMON_VARIABLES,
+  // Admin account emails (English, email only)
+  passwordReset: [...COMMON_VARIABLES, 'code', 'resetLink', 'minutes'],
+  passwordChanged: COMMON_VARIABLES
+};
+
+// A message text for one message type, channel and language. Email bodies
+// are HTML and need a subject; SMS bodies are plain text.
+const messageTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    enum: Object.keys(VARIABLES)
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: CHANNELS
+  },
+  language: {
+    type: String,
+    required: [true, 'Language is required'],
+    enum: LANGUAGES
+  },
+  subject: {
+    type: String,
+    trim: true,
+    required: [
+      function() { return this.channel === 'email'; },
+      'Email templates need a subject'
+    ]
+  },
+  body: {
+    type: String,
+    required: [true, 'Template body is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ key: 1, channel: 1, language: 1 }, { unique: true });
+
+// Statics
+messageTemplateSchema.statics.CHANNELS = CHANNELS;
+messageTemplateSchema.statics.LANGUAGES = LANGUAGES;
+messageTemplateSchema.statics.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+messageTemplateSchema.statics.VARIABLES = VARIABLES;
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
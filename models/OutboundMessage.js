@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['queued', 'sent', 'delivered', 'failed', 'bounced'];
+
+// How far along a message is. A delivery event never moves a message back,
+// so a late 'sent' report cannot undo 'delivered'; failures are final.
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 3,
+  bounced: 3
+};
+
+// Every email or SMS sent to a voter, with its delivery status as reported by
+// the provider. The message body is not stored, as it can hold a voting
+// number or verification code.
+const outboundMessageSchema = new mongoose.Schema({
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter'
+  },
+  // Template key, e.g. 'registration'
+  type: {
+    type: String,
+    required: [true, 'Message type is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  transport: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required']
+  },
+  language: {
+    type: String
+  },
+  subject: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  // ID the provider gave the message; delivery webhooks refer to it
+  providerMessageId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  // Delivery events received from the provider
+  events: [{
+    status: String,
+    event: String,
+    detail: String,
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  // Admin who asked for the message to be sent again
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+outboundMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+outboundMessageSchema.index({ voter: 1, type: 1, createdAt: -1 });
+outboundMessageSchema.index({ status: 1, createdAt: -1 });
+
+// Statics
+outboundMessageSchema.statics.STATUSES = STATUSES;
+
+// Record a provider event, moving the status forward only
+outboundMessageSchema.methods.applyEvent = function(status, event, detail) {
+  this.events.push({ status, event, detail });
+  if (status && STATUS_RANK[status] > STATUS_RANK[this.status]) {
+    this.status = status;
+    if (status === 'failed' || status === 'bounced') {
+      this.error = detail || event;
+    }
+  }
+};
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Records that a voter took part in an election. Kept apart from the
+// anonymous ballots; the unique index is what stops a second ballot.
+const participationSchema = new mongoose.Schema({
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: [true, 'Election is required']
+  },
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    required: [true, 'Voter is required']
+  },
+  // Rounded down to the hour, like Vote.castAt
+  votedAt: {
+    type: Date,
+    default: () => {
+      const votedHour = new Date();
+      votedHour.setMinutes(0, 0, 0);
+      return votedHour;
+    }
+  }
+}, {
+  timestamps: false
+});
+
+participationSchema.index({ election: 1, voter: 1 }, { unique: true });
+participationSchema.index({ voter: 1 });
+
+// Statics
+
+// Aggregation stages that add a `hasVoted` flag to voter documents for one
+// election, so per-area turnout can be grouped straight from the voters.
+participationSchema.statics.lookupStages = function(electionId) {
+  return [
+    {
+      $lookup: {
+        from: 'participations',
+        let: { voterId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$voter', '$$voterId'] },
+                  { $eq: ['$election', electionId] }
+                ]
+              }
+            }
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'participation'
+      }
+    },
+    { $addFields: { hasVoted: { $gt: [{ $size: '$participation' }, 0] } } },
+    { $project: { participation: 0 } }
+  ];
+};
+
+// IDs of the voters who took part in an election
+participationSchema.statics.voterIds = async function(electionId) {
+  return this.distinct('voter', { election: electionId });
+};
+
+// How many voters matching a voter filter (e.g. an admin's area) took part
+participationSchema.statics.countVoted = async function(electionId, voterFilter = {}) {
+  if (Object.keys(voterFilter).length === 0) {
+    return this.countDocuments({ election: electionId });
+  }
+  const Voter = mongoose.model('Voter');
+  const voterIds = await this.voterIds(electionId);
+  return Voter.countDocuments({ ...voterFilter, _id: { $in: voterIds } });
+};
+
+module.exports = mongoose.model('Participation', participationSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A password reset link sent to an admin. Only the sha256 of the token is
+// stored; the document is removed when the token is used or a newer one is
+// issued, and MongoDB drops it when it expires.
+const passwordResetTokenSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+passwordResetTokenSchema.index({ tokenHash: 1 }, { unique: true });
+passwordResetTokenSchema.index({ admin: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+passwordResetTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+passwordResetTokenSchema.statics.generateToken = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// The unexpired reset token matching a raw token, if any
+passwordResetTokenSchema.statics.findValid = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(String(token).trim()),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const LEVELS = ['national', 'county', 'constituency', 'ward'];
+
+// Area fields a race is contested over, per level. A ward race is run
+// separately in every ward, so its candidates and voters must share all three.
+const AREA_FIELDS = {
+  national: [],
+  county: ['county'],
+  constituency: ['county', 'constituency'],
+  ward: ['county', 'constituency', 'ward']
+};
+
+// Positions created on first run, matching the original ballot
+const DEFAULT_POSITIONS = [
+  { name: 'Governor', level: 'county', displayOrder: 1 },
+  { name: 'Women Representative', level: 'county', displayOrder: 2 },
+  { name: 'MP', level: 'constituency', displayOrder: 3 },
+  { name: 'MCA', level: 'ward', displayOrder: 4 }
+];
+
+// An elective position (or referendum question) that can appear on a ballot.
+// Candidates, ballots and elections refer to positions by name.
+const positionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Position name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  level: {
+    type: String,
+    required: [true, 'Level is required'],
+    enum: LEVELS
+  },
+  // How many candidates are elected, and so how many a voter may choose
+  seats: {
+    type: Number,
+    default: 1,
+    min: [1, 'A position needs at least one seat']
+  },
+  // Whether a voter may cast a blank (abstain) for the position
+  allowAbstain: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+positionSchema.index({ displayOrder: 1, name: 1 });
+
+positionSchema.methods.areaFields = function() {
+  return AREA_FIELDS[this.level];
+};
+
+// Candidate query for the race a voter takes part in
+positionSchema.methods.areaFilter = function(voter) {
+  const filter = {};
+  this.areaFields().forEach(field => {
+    filter[field] = voter[field];
+  });
+  return filter;
+};
+
+positionSchema.methods.isCandidateEligible = function(candidate, voter) {
+  return candidate.position === this.name &&
+    this.areaFields().every(field => candidate[field] === voter[field]);
+};
+
+// Statics
+positionSchema.statics.LEVELS = LEVELS;
+positionSchema.statics.DEFAULT_POSITIONS = DEFAULT_POSITIONS;
+
+// The positions on an election's ballot, in display order
+positionSchema.statics.forElection = function(election) {
+  return this.find({ name: { $in: election.positions } }).sort({ displayOrder: 1, name: 1 });
+};
+
+positionSchema.statics.seedDefaults = async function() {
+  if (await this.exists({})) return;
+  await this.insertMany(DEFAULT_POSITIONS);
+  console.log('🗳️ Seeded default positions');
+};
+
+module.exports = mongoose.model('Position', positionSchema);
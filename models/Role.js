@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Everything an admin can be allowed to do. Routes check these names with
+// requirePermission; roles are bundles of them.
+const PERMISSIONS = {
+  'dashboard.view': 'View the dashboard and system status',
+  'settings.read': 'View system settings',
+  'settings.update': 'Change system settings',
+  'portal.control': 'Open, close and schedule the voting portal',
+  'voters.register': 'Register voters',
+  'voters.read': 'View voters and registration statistics',
+  'voters.notify': 'Change voter notification preferences and resend voting numbers',
+  'candidates.manage': 'Add, edit and remove candidates',
+  'results.read': 'View results and participation reports',
+  'results.export': 'Export results and election data',
+  'results.publish': 'Publish final results',
+  'reports.generate': 'Generate and view election reports',
+  'reports.verify': 'Verify stored reports',
+  'audit.read': 'View, export and verify the audit log',
+  'jobs.read': 'View background jobs',
+  'jobs.manage': 'Cancel and retry background jobs',
+  'messages.read': 'View outbound voter messages',
+  'feedback.manage': 'View and handle voter feedback',
+  'elections.manage': 'Create and manage elections',
+  'positions.manage': 'Manage elective positions',
+  'geography.manage': 'Manage constituencies and wards',
+  'templates.manage': 'Edit voter message templates',
+  'admins.manage': 'Invite and manage admin accounts',
+  'roles.manage': 'Create and edit roles'
+};
+
+// Role that always holds every permission, including ones added later
+const SUPER_ADMIN = 'super_admin';
+
+// A named bundle of permissions assigned to admins through Admin.role
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: Object.keys(PERMISSIONS)
+    }],
+    default: []
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Statics
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.SUPER_ADMIN = SUPER_ADMIN;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -1,26 +1,45 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
+// What a ballot entry records for a position: a candidate, a deliberate
+// blank (abstention), or a selection rejected as invalid when counted
+const CHOICES = ['candidate', 'blank', 'rejected'];
+
+// A vote is an anonymous ballot entry. It deliberately carries nothing that
+// links it back to a voter: participation is tracked in Participation,
+// the _id is random rather than time-based, and the cast time is rounded
+// down to the hour (as is Participation.votedAt) so the two cannot be matched.
 const voteSchema = new mongoose.Schema({
-  votingNumber: {
-    type: String,
-    required: [true, 'Voting number is required'],
-    ref: 'Voter',
-    index: true
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: () => new mongoose.Types.ObjectId(crypto.randomBytes(12))
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Election is required'],
+    ref: 'Election'
   },
   position: {
     type: String,
     required: [true, 'Position is required'],
-    enum: ['Governor', 'Women Representative', 'MP', 'MCA']
+    trim: true
+  },
+  choice: {
+    type: String,
+    enum: CHOICES,
+    default: 'candidate'
   },
   candidateId: {
     type: mongoose.Schema.Types.ObjectId,
-    required: [true, 'Candidate ID is required'],
+    required: [
+      function() { return this.choice === 'candidate'; },
+      'Candidate ID is required'
+    ],
     ref: 'Candidate'
   },
   county: {
     type: String,
-    required: [true, 'County is required'],
-    default: 'Kirinyaga'
+    required: [true, 'County is required']
   },
   constituency: {
     type: String,
@@ -30,43 +49,22 @@ const voteSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Ward is required']
   },
-  // Tracking fields
-  ipAddress: {
-    type: String,
-    index: true
-  },
-  userAgent: {
-    type: String
-  },
-  sessionId: {
-    type: String,
-    index: true
-  },
-  // Timestamps
-  votedAt: {
+  // Hour in which the ballot was cast
+  castAt: {
     type: Date,
-    default: Date.now,
-    index: true
+    default: () => Vote.toCastHour(new Date())
   }
 }, {
-  timestamps: true,
+  timestamps: false,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
 // Compound indexes
-voteSchema.index({ votingNumber: 1, position: 1 }, { unique: true });
-voteSchema.index({ candidateId: 1, position: 1 });
-voteSchema.index({ constituency: 1, ward: 1 });
-voteSchema.index({ votedAt: -1 });
-
-// Virtual for voter info
-voteSchema.virtual('voterDetails', {
-  ref: 'Voter',
-  localField: 'votingNumber',
-  foreignField: 'votingNumber',
-  justOne: true
-});
+voteSchema.index({ election: 1, candidateId: 1, position: 1 });
+voteSchema.index({ election: 1, constituency: 1, ward: 1 });
+voteSchema.index({ election: 1, castAt: -1 });
+voteSchema.index({ election: 1, position: 1, choice: 1 });
 
 // Virtual for candidate info
 voteSchema.virtual('candidateDetails', {
@@ -77,8 +75,16 @@ voteSchema.virtual('candidateDetails', {
 });
 
 // Statics
-voteSchema.statics.getVoteCountByPosition = async function(constituency, ward) {
-  const match = {};
+voteSchema.statics.CHOICES = CHOICES;
+
+voteSchema.statics.toCastHour = function(date) {
+  const castHour = new Date(date);
+  castHour.setMinutes(0, 0, 0);
+  return castHour;
+};
+
+voteSchema.statics.getVoteCountByPosition = async function(electionId, constituency, ward) {
+  const match = { election: electionId };
   if (constituency) match.constituency = constituency;
   if (ward) match.ward = ward;
   
@@ -93,8 +99,40 @@ voteSchema.statics.getVoteCountByPosition = async function(constituency, ward) {
   ]);
 };
 
-voteSchema.statics.getVotingStats = async function() {
+// Valid, blank and rejected totals per position - and per area when area
+// fields are given - as official result forms report them
+voteSchema.statics.getChoiceTotals = async function(match, areaFields = []) {
+  const areaKeys = {};
+  areaFields.forEach(field => {
+    areaKeys[field] = `$${field}`;
+  });
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { position: '$position', ...areaKeys },
+        valid: { $sum: { $cond: [{ $in: ['$choice', ['blank', 'rejected']] }, 0, 1] } },
+        blank: { $sum: { $cond: [{ $eq: ['$choice', 'blank'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$choice', 'rejected'] }, 1, 0] } },
+        total: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.position': 1, ...Object.fromEntries(areaFields.map(field => [`_id.${field}`, 1])) } }
+  ]);
+
+  return rows.map(row => ({
+    ...row._id,
+    valid: row.valid,
+    blank: row.blank,
+    rejected: row.rejected,
+    total: row.total
+  }));
+};
+
+voteSchema.statics.getVotingStats = async function(electionId) {
   return this.aggregate([
+    { $match: { election: electionId } },
     {
       $group: {
         _id: null,
@@ -112,4 +150,4 @@ voteSchema.statics.getVotingStats = async function() {
 
 const Vote = mongoose.model('Vote', voteSchema);
 
-module.exports = Vote;
\ No newline at end of file
+module.exports = Vote;
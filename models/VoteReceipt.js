@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Proof that a ballot was recorded. The code is random and the receipt holds
+// neither the voter's identity nor the choices made, so it can be published
+// on the bulletin board without revealing how anyone voted.
+const voteReceiptSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Receipt code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: [true, 'Election is required']
+  },
+  positions: [{
+    type: String
+  }],
+  // Hour in which the ballot was recorded (same granularity as Vote.castAt)
+  recordedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+voteReceiptSchema.index({ election: 1, code: 1 });
+
+module.exports = mongoose.model('VoteReceipt', voteReceiptSchema);
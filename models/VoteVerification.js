@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const METHODS = ['code', 'identity', 'login', 'contact', 'codeAttempts', 'loginAttempts'];
+const CHANNELS = ['sms', 'email'];
+
+// Methods that do not belong to an election
+const PORTAL_METHODS = ['login', 'contact', 'loginAttempts'];
+
+// A voter's second-factor check for an election. For 'code' it holds the
+// hashed one-time code that was sent; for 'identity' it only counts failed
+// national ID / date of birth checks. 'login' is the code for signing in to
+// the voter portal and 'contact' the code sent to a new email or phone number
+// before it replaces the old one; neither belongs to an election.
+// 'codeAttempts' and 'loginAttempts' count guesses across every code sent
+// within a lockout window, so requesting a new code does not reset them.
+// Either way the document is removed once the voter is verified, and MongoDB
+// drops it when it expires.
+const voteVerificationSchema = new mongoose.Schema({
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voter',
+    required: [true, 'Voter is required']
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: [function() { return !PORTAL_METHODS.includes(this.method); }, 'Election is required']
+  },
+  method: {
+    type: String,
+    enum: METHODS,
+    required: [true, 'Verification method is required']
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS
+  },
+  // For 'contact': the new email (channel 'email') or phone number ('sms')
+  pendingValue: {
+    type: String
+  },
+  // sha256 of the code; the code itself is never stored
+  codeHash: {
+    type: String,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+voteVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+voteVerificationSchema.index({ voter: 1, election: 1, method: 1 });
+
+// Statics
+voteVerificationSchema.statics.METHODS = METHODS;
+voteVerificationSchema.statics.CHANNELS = CHANNELS;
+
+voteVerificationSchema.statics.hashCode = function(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+};
+
+// Six-digit numeric code
+voteVerificationSchema.statics.generateCode = function() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+};
+
+// The still-valid check of a method for a voter in an election (no
+// election for 'login')
+voteVerificationSchema.statics.findActive = function(voter, election, method) {
+  return this.findOne({
+    voter: voter._id,
+    election: election ? election._id : null,
+    method,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+// Count one attempt against a check before the code is compared, so
+// parallel requests cannot make more than maxAttempts guesses between them.
+// Resolves to the updated check, or null when no attempts are left or it is
+// gone.
+voteVerificationSchema.statics.claimAttempt = function(id, maxAttempts) {
+  return this.findOneAndUpdate(
+    { _id: id, attempts: { $lt: maxAttempts }, expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+};
+
+// The _id of a voter's lockout window for a method, derived from the voter
+// and election so parallel first attempts share one document
+voteVerificationSchema.statics.windowId = function(voter, election, method) {
+  const seed = `${voter._id}:${election ? election._id : ''}:${method}`;
+  return new mongoose.Types.ObjectId(crypto.createHash('sha256').update(seed).digest('hex').slice(0, 24));
+};
+
+// The voter's open lockout window for a method ('identity', 'codeAttempts'
+// or 'loginAttempts'), if any
+voteVerificationSchema.statics.findWindow = function(voter, election, method) {
+  return this.findOne({ _id: this.windowId(voter, election, method), expiresAt: { $gt: new Date() } });
+};
+
+// Count one attempt in the voter's current lockout window for a method,
+// opening the window if there is none
+voteVerificationSchema.statics.claimWindowAttempt = async function(voter, election, method, lockoutMinutes) {
+  const _id = this.windowId(voter, election, method);
+  const now = new Date();
+
+  // An expired window MongoDB has not removed yet would block a new one
+  await this.deleteOne({ _id, expiresAt: { $lte: now } });
+
+  const filter = { _id, expiresAt: { $gt: now } };
+  try {
+    return await this.findOneAndUpdate(filter, {
+      $inc: { attempts: 1 },
+      $setOnInsert: {
+        voter: voter._id,
+        election: election ? election._id : null,
+        method,
+        expiresAt: new Date(now.getTime() + lockoutMinutes * 60 * 1000)
+      }
+    }, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (error) {
+    // Another request opened the window first
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate(filter, { $inc: { attempts: 1 } }, { new: true });
+  }
+};
+
+// Use up a check. Resolves to false when another request already did, so
+// a code cannot be spent twice.
+voteVerificationSchema.statics.consume = async function(id) {
+  const result = await this.deleteOne({ _id: id });
+  return result.deletedCount > 0;
+};
+
+voteVerificationSchema.methods.matchCode = function(code) {
+  if (!this.codeHash || !code) return false;
+  const expected = Buffer.from(this.codeHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashCode(String(code).trim()), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model('VoteVerification', voteVerificationSchema);
@@ -1,6 +1,7 @@
 // models/Voter.js
 const mongoose = require('mongoose');
 const validator = require('validator');
+const MessageTemplate = require('./MessageTemplate');
 
 const voterSchema = new mongoose.Schema({
   nationalId: {
@@ -37,30 +38,49 @@ const voterSchema = new mongoose.Schema({
       message: 'Phone number must be 10 digits'
     }
   },
+  // Area names come from the administrative units (utils/constituencyData)
   county: {
     type: String,
-    default: 'Kirinyaga',
-    enum: ['Kirinyaga']
+    required: [true, 'County is required']
   },
   constituency: {
     type: String,
-    required: [true, 'Constituency is required'],
-    enum: ['Kirinyaga Central', 'Kirinyaga East', 'Mwea', 'Gichugu', 'Ndia']
+    required: [true, 'Constituency is required']
   },
   ward: {
     type: String,
     required: [true, 'Ward is required']
   },
+  // Channels the voter wants notifications on (see utils/notificationService)
+  notificationChannels: {
+    type: [{
+      type: String,
+      enum: ['email', 'sms']
+    }],
+    default: ['email', 'sms'],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'At least one notification channel is required'
+    }
+  },
+  // Language voter messages are sent in
+  preferredLanguage: {
+    type: String,
+    enum: MessageTemplate.LANGUAGES,
+    default: MessageTemplate.DEFAULT_LANGUAGE
+  },
+  // Used to confirm the voter's identity at vote time
+  dateOfBirth: {
+    type: Date
+  },
   votingNumber: {
     type: String,
     unique: true,
     sparse: true
     // Remove index: true - unique creates index automatically
   },
-  hasVoted: {
-    type: Boolean,
-    default: false
-  },
   registrationDate: {
     type: Date,
     default: Date.now
@@ -88,7 +108,8 @@ const voterSchema = new mongoose.Schema({
 voterSchema.pre('save', async function(next) {
   if (!this.votingNumber) {
     const generateVotingNumber = require('../utils/generateVotingNumber');
-    this.votingNumber = generateVotingNumber(this);
+    const constituencyData = require('../utils/constituencyData');
+    this.votingNumber = generateVotingNumber(this, await constituencyData.getCountyCode());
   }
   next();
 });
@@ -101,14 +122,43 @@ voterSchema.methods.getPublicInfo = function() {
     votingNumber: this.votingNumber,
     constituency: this.constituency,
     ward: this.ward,
-    hasVoted: this.hasVoted,
     hasSignature: !!this.signature
   };
 };
 
+// Parse a date of birth as printed on the ID (DD/MM/YYYY, DD-MM-YYYY,
+// DD.MM.YYYY) or as an ISO date (YYYY-MM-DD). Returns a UTC midnight Date,
+// or null if the value is not a real date.
+voterSchema.statics.parseDateOfBirth = function(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// Whether a submitted date of birth matches the one on record
+voterSchema.methods.matchDateOfBirth = function(value) {
+  const date = this.constructor.parseDateOfBirth(value);
+  return !!(date && this.dateOfBirth && date.getTime() === this.dateOfBirth.getTime());
+};
+
 // Keep only these indexes - remove duplicates
 voterSchema.index({ constituency: 1, ward: 1 });
 voterSchema.index({ registrationDate: -1 });
-voterSchema.index({ hasVoted: 1 });
 
 module.exports = mongoose.model('Voter', voterSchema);
\ No newline at end of file
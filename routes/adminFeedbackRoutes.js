@@ -9,11 +9,10 @@ const {
   getFeedbackAnalytics,
   exportFeedback
 } = require('../controllers/feedbackController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 
-// All routes here are protected and for admins only
-// Adjust roles based on your actual database values
-router.use(protect, authorize('admin', 'super_admin', 'super-admin'));
+// All routes here are protected and need the feedback.manage permission
+router.use(protect, requirePermission('feedback.manage'));
 
 // Feedback management routes
 router.get('/', getAllFeedback);
@@ -1,8 +1,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission, requireCountyScope } = require('../middlewares/authMiddleware');
 const auditLogMiddleware = require('../middlewares/auditMiddleware');
+const { resolveElection } = require('../middlewares/electionMiddleware');
 
 const {
   getDashboardStats,
@@ -13,6 +14,7 @@ const {
   scheduleVoting,
   getAuditLogs,
   exportAuditLogs,
+  verifyAuditLogs,
   getSuspiciousActivity,
   getSystemStatus,
   exportElectionData,
@@ -24,6 +26,36 @@ const {
   getReportById,
   verifyReport
 } = require('../controllers/adminController');
+const {
+  getJobs,
+  getJob,
+  cancelJob,
+  retryJob
+} = require('../controllers/jobController');
+const { getMessages } = require('../controllers/outboundMessageController');
+const {
+  getAdminUsers,
+  getAdminUser,
+  inviteAdminUser,
+  updateAdminRole,
+  updateAdminScope,
+  deactivateAdminUser,
+  activateAdminUser,
+  unlockAdminUser,
+  getAdminSessions,
+  revokeAdminSession,
+  revokeAdminSessions,
+  resetAdminTwoFactor,
+  forcePasswordReset
+} = require('../controllers/adminUserController');
+const { getLockouts, unlockLockout } = require('../controllers/lockoutController');
+const {
+  getRoles,
+  getPermissionCatalog,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
 
 // Apply audit logging to all routes
 router.use(auditLogMiddleware);
@@ -32,35 +64,71 @@ router.use(auditLogMiddleware);
 router.use(protect);
 
 // Admin dashboard stats
-router.get('/dashboard', authorize('admin', 'super_admin'), getDashboardStats);
+router.get('/dashboard', requirePermission('dashboard.view'), resolveElection, getDashboardStats);
 
 // System settings
-router.get('/settings', authorize('admin', 'super_admin'), getSystemSettings);
-router.put('/settings', authorize('super_admin'), updateSystemSettings);
+router.get('/settings', requirePermission('settings.read'), getSystemSettings);
+router.put('/settings', requirePermission('settings.update'), requireCountyScope, updateSystemSettings);
 
 // Voting portal control
-router.post('/voting/open', authorize('super_admin'), openVotingPortal);
-router.post('/voting/close', authorize('super_admin'), closeVotingPortal);
-router.post('/voting/schedule', authorize('super_admin'), scheduleVoting);
+router.post('/voting/open', requirePermission('portal.control'), requireCountyScope, resolveElection, openVotingPortal);
+router.post('/voting/close', requirePermission('portal.control'), requireCountyScope, resolveElection, closeVotingPortal);
+router.post('/voting/schedule', requirePermission('portal.control'), requireCountyScope, resolveElection, scheduleVoting);
 
 // Audit logs
-router.get('/audit-logs', authorize('super_admin'), getAuditLogs);
-router.get('/audit-logs/export', authorize('super_admin'), exportAuditLogs);
-router.get('/suspicious-activity', authorize('super_admin'), getSuspiciousActivity);
+router.get('/audit-logs', requirePermission('audit.read'), getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit.read'), exportAuditLogs);
+router.get('/audit-logs/verify', requirePermission('audit.read'), verifyAuditLogs);
+router.get('/suspicious-activity', requirePermission('audit.read'), getSuspiciousActivity);
 
 // Export routes
-router.get('/export/:type', authorize('admin', 'super_admin'), exportElectionData);
-router.get('/export/full-report', authorize('super_admin'), exportFullReport);
+router.get('/export/:type', requirePermission('results.export'), resolveElection, exportElectionData);
+router.get('/export/full-report', requirePermission('results.export'), resolveElection, exportFullReport);
 
 // Reports routes
-router.get('/reports/generate', authorize('admin', 'super_admin'), generatePDFReport);
-router.get('/reports/participation', authorize('admin', 'super_admin'), getParticipationReport);
-router.get('/reports/full', authorize('admin', 'super_admin'), getFullElectionReport);
-router.get('/reports/list', authorize('admin', 'super_admin'), getReportsList);
-router.get('/reports/:id', authorize('admin', 'super_admin'), getReportById);
-router.post('/reports/:id/verify', authorize('super_admin'), verifyReport);
+router.get('/reports/generate', requirePermission('reports.generate'), resolveElection, generatePDFReport);
+router.get('/reports/participation', requirePermission('reports.generate'), resolveElection, getParticipationReport);
+router.get('/reports/full', requirePermission('reports.generate'), resolveElection, getFullElectionReport);
+router.get('/reports/list', requirePermission('reports.generate'), getReportsList);
+router.get('/reports/:id', requirePermission('reports.generate'), resolveElection, getReportById);
+router.post('/reports/:id/verify', requirePermission('reports.verify'), verifyReport);
 
 // System status
-router.get('/status', authorize('admin', 'super_admin'), getSystemStatus);
+router.get('/status', requirePermission('dashboard.view'), resolveElection, getSystemStatus);
+
+// Background jobs (progress is also pushed to the 'admin' Socket.io room)
+router.get('/jobs', requirePermission('jobs.read'), getJobs);
+router.get('/jobs/:id', requirePermission('jobs.read'), getJob);
+router.post('/jobs/:id/cancel', requirePermission('jobs.manage'), requireCountyScope, cancelJob);
+router.post('/jobs/:id/retry', requirePermission('jobs.manage'), requireCountyScope, retryJob);
+
+// Outbound voter messages and their delivery status
+router.get('/messages', requirePermission('messages.read'), getMessages);
+
+// Admin user management
+router.get('/users', requirePermission('admins.manage'), requireCountyScope, getAdminUsers);
+router.post('/users', requirePermission('admins.manage'), requireCountyScope, inviteAdminUser);
+router.get('/users/:id', requirePermission('admins.manage'), requireCountyScope, getAdminUser);
+router.put('/users/:id/role', requirePermission('admins.manage'), requireCountyScope, updateAdminRole);
+router.put('/users/:id/scope', requirePermission('admins.manage'), requireCountyScope, updateAdminScope);
+router.put('/users/:id/deactivate', requirePermission('admins.manage'), requireCountyScope, deactivateAdminUser);
+router.put('/users/:id/activate', requirePermission('admins.manage'), requireCountyScope, activateAdminUser);
+router.post('/users/:id/unlock', requirePermission('admins.manage'), requireCountyScope, unlockAdminUser);
+router.get('/users/:id/sessions', requirePermission('admins.manage'), requireCountyScope, getAdminSessions);
+router.delete('/users/:id/sessions', requirePermission('admins.manage'), requireCountyScope, revokeAdminSessions);
+router.delete('/users/:id/sessions/:sessionId', requirePermission('admins.manage'), requireCountyScope, revokeAdminSession);
+router.post('/users/:id/reset-2fa', requirePermission('admins.manage'), requireCountyScope, resetAdminTwoFactor);
+router.post('/users/:id/force-password-reset', requirePermission('admins.manage'), requireCountyScope, forcePasswordReset);
+
+// Login lockouts of admin accounts and IP addresses
+router.get('/lockouts', requirePermission('admins.manage'), requireCountyScope, getLockouts);
+router.post('/lockouts/:id/unlock', requirePermission('admins.manage'), requireCountyScope, unlockLockout);
+
+// Roles: named bundles of permissions
+router.get('/roles', requirePermission('roles.manage'), requireCountyScope, getRoles);
+router.get('/roles/permissions', requirePermission('roles.manage'), requireCountyScope, getPermissionCatalog);
+router.post('/roles', requirePermission('roles.manage'), requireCountyScope, createRole);
+router.put('/roles/:id', requirePermission('roles.manage'), requireCountyScope, updateRole);
+router.delete('/roles/:id', requirePermission('roles.manage'), requireCountyScope, deleteRole);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission, requireCountyScope } = require('../middlewares/authMiddleware');
+const auditLogMiddleware = require('../middlewares/auditMiddleware');
+
+const {
+  getUnits,
+  getUnitTree,
+  getUnit,
+  createUnit,
+  updateUnit,
+  deleteUnit,
+  importUnits,
+  upload
+} = require('../controllers/administrativeUnitController');
+
+// Apply audit logging to all routes
+router.use(auditLogMiddleware);
+
+// Public routes (no authentication required)
+router.get('/', getUnits);
+router.get('/tree', getUnitTree);
+router.get('/:id', getUnit);
+
+// Admin routes (require authentication)
+router.use(protect);
+router.use(requirePermission('geography.manage'), requireCountyScope);
+
+router.post('/import', upload.single('file'), importUnits);
+router.post('/', createUnit);
+router.put('/:id', updateUnit);
+router.delete('/:id', deleteUnit);
+
+module.exports = router;
@@ -1,16 +1,37 @@
 const express = require('express');
 const router = express.Router();
+const { protect } = require('../middlewares/authMiddleware');
 const {
   adminLogin,
+  verifyTwoFactorLogin,
+  refreshSession,
   adminLogout,
   changePassword,
-  getCurrentAdmin
+  forgotPassword,
+  resetPassword,
+  getPasswordPolicy,
+  getCurrentAdmin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 
 // Admin authentication routes
 router.post('/admin/login', adminLogin);
-router.post('/admin/logout', adminLogout);
-router.put('/admin/change-password', changePassword);
-router.get('/admin/me', getCurrentAdmin);
+router.post('/admin/login/2fa', verifyTwoFactorLogin);
+router.post('/admin/refresh', refreshSession);
+router.post('/admin/logout', protect, adminLogout);
+router.put('/admin/change-password', protect, changePassword);
+router.post('/admin/forgot-password', forgotPassword);
+router.post('/admin/reset-password', resetPassword);
+router.get('/admin/password-policy', getPasswordPolicy);
+router.get('/admin/me', protect, getCurrentAdmin);
+
+// Two-factor authentication
+router.post('/admin/2fa/setup', protect, setupTwoFactor);
+router.post('/admin/2fa/enable', protect, enableTwoFactor);
+router.post('/admin/2fa/disable', protect, disableTwoFactor);
+router.post('/admin/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
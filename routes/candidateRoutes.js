@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const { resolveElection } = require('../middlewares/electionMiddleware');
 const { validateCandidate } = require('../middlewares/validationMiddleware');
 const auditLogMiddleware = require('../middlewares/auditMiddleware');
 
@@ -20,16 +21,16 @@ const {
 router.use(auditLogMiddleware);
 
 // Public routes (no authentication required)
-router.get('/', getCandidates);
-router.get('/by-position/:position', getCandidatesByPosition);
+router.get('/', resolveElection, getCandidates);
+router.get('/by-position/:position', resolveElection, getCandidatesByPosition);
 router.get('/:id', getCandidate);
 
 // Admin routes (require authentication)
 router.use(protect);
-router.use(authorize('admin', 'super_admin'));
+router.use(requirePermission('candidates.manage'));
 
 // Add new candidate with photo upload
-router.post('/', upload.single('photo'), validateCandidate, addCandidate);
+router.post('/', upload.single('photo'), validateCandidate, resolveElection, addCandidate);
 
 // Update candidate with optional photo upload
 router.put('/:id', upload.single('photo'), validateCandidate, updateCandidate);
@@ -41,6 +42,6 @@ router.post('/:id/photo', upload.single('photo'), uploadCandidatePhoto);
 router.delete('/:id', deleteCandidate);
 
 // Get candidate statistics
-router.get('/statistics/overview', getCandidateStatistics);
+router.get('/statistics/overview', resolveElection, getCandidateStatistics);
 
 module.exports = router;
\ No newline at end of file
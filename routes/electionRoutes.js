@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission, requireCountyScope } = require('../middlewares/authMiddleware');
+const { resolveElection } = require('../middlewares/electionMiddleware');
+const auditLogMiddleware = require('../middlewares/auditMiddleware');
+
+const {
+  createElection,
+  getElections,
+  getElection,
+  updateElection,
+  setCurrentElection,
+  archiveElection
+} = require('../controllers/electionController');
+
+// Apply audit logging to all routes
+router.use(auditLogMiddleware);
+
+// Public routes (no authentication required)
+router.get('/', getElections);
+router.get('/current', resolveElection, getElection);
+router.get('/:electionId', resolveElection, getElection);
+
+// Admin routes (require authentication)
+router.use(protect);
+router.use(requirePermission('elections.manage'), requireCountyScope);
+
+router.post('/', createElection);
+router.put('/:electionId', resolveElection, updateElection);
+router.post('/:electionId/current', resolveElection, setCurrentElection);
+router.post('/:electionId/archive', resolveElection, archiveElection);
+
+module.exports = router;
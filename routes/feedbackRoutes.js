@@ -16,25 +16,25 @@ const {
 } = require('../controllers/feedbackController');
 
 // Import middleware
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission, protectVoter, identifyVoter } = require('../middlewares/authMiddleware');
 const { validateFeedback } = require('../middlewares/validationMiddleware'); // Ensure this exports a function
 
 // ======================
 // USER ROUTES
 // ======================
-router.post('/', validateFeedback, submitFeedback);               // Public
+router.post('/', identifyVoter, validateFeedback, submitFeedback); // Public (linked to a signed-in voter)
 router.get('/:id/status', getFeedbackStatus);                     // Public
-router.get('/my-feedback', protect, authorize('voter'), getMyFeedback); // Voter only
+router.get('/my-feedback', protectVoter, getMyFeedback);          // Signed-in voter
 
 // ======================
 // ADMIN ROUTES
 // ======================
-router.get('/admin/feedback', protect, authorize('admin'), getAllFeedback);
-router.get('/admin/feedback/analytics', protect, authorize('admin'), getFeedbackAnalytics);
-router.get('/admin/feedback/export', protect, authorize('admin'), exportFeedback);
-router.get('/admin/feedback/:id', protect, authorize('admin'), getFeedbackById);
-router.patch('/admin/feedback/:id/status', protect, authorize('admin'), updateFeedbackStatus);
-router.post('/admin/feedback/bulk-update', protect, authorize('admin'), bulkUpdateFeedback);
-router.delete('/admin/feedback/:id', protect, authorize('admin'), deleteFeedback);
+router.get('/admin/feedback', protect, requirePermission('feedback.manage'), getAllFeedback);
+router.get('/admin/feedback/analytics', protect, requirePermission('feedback.manage'), getFeedbackAnalytics);
+router.get('/admin/feedback/export', protect, requirePermission('feedback.manage'), exportFeedback);
+router.get('/admin/feedback/:id', protect, requirePermission('feedback.manage'), getFeedbackById);
+router.patch('/admin/feedback/:id/status', protect, requirePermission('feedback.manage'), updateFeedbackStatus);
+router.post('/admin/feedback/bulk-update', protect, requirePermission('feedback.manage'), bulkUpdateFeedback);
+router.delete('/admin/feedback/:id', protect, requirePermission('feedback.manage'), deleteFeedback);
 
 module.exports = router;
\ No newline at end of file
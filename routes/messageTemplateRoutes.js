@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission, requireCountyScope } = require('../middlewares/authMiddleware');
+const auditLogMiddleware = require('../middlewares/auditMiddleware');
+
+const {
+  getTemplates,
+  getTemplateVariables,
+  getTemplate,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate
+} = require('../controllers/messageTemplateController');
+
+// Apply audit logging to all routes
+router.use(auditLogMiddleware);
+
+// All routes require authentication and the templates.manage permission
+router.use(protect);
+router.use(requirePermission('templates.manage'), requireCountyScope);
+
+router.get('/', getTemplates);
+router.get('/variables', getTemplateVariables);
+router.post('/preview', previewTemplate);
+router.get('/:id', getTemplate);
+router.put('/:id', updateTemplate);
+router.post('/:id/reset', resetTemplate);
+
+module.exports = router;
\ No newline at end of file
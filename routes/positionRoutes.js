@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission, requireCountyScope } = require('../middlewares/authMiddleware');
+const auditLogMiddleware = require('../middlewares/auditMiddleware');
+
+const {
+  getPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition
+} = require('../controllers/positionController');
+
+// Apply audit logging to all routes
+router.use(auditLogMiddleware);
+
+// Public routes (no authentication required)
+router.get('/', getPositions);
+router.get('/:id', getPosition);
+
+// Admin routes (require authentication)
+router.use(protect);
+router.use(requirePermission('positions.manage'), requireCountyScope);
+
+router.post('/', createPosition);
+router.put('/:id', updatePosition);
+router.delete('/:id', deletePosition);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission, requireCountyScope } = require('../middlewares/authMiddleware');
 const auditLogMiddleware = require('../middlewares/auditMiddleware');
+const { resolveElection } = require('../middlewares/electionMiddleware');
 
 const {
   getLiveResults,
@@ -17,12 +18,16 @@ const {
   exportPostElectionPDF,
   getChartData,
   publishFinalResults,
-  getPublicationStatus
+  getPublicationStatus,
+  getBulletinBoard
 } = require('../controllers/resultController');
 
 // Apply audit logging to all routes
 router.use(auditLogMiddleware);
 
+// Every results route is about one election (?election=<id>, default: current)
+router.use(resolveElection);
+
 // Public routes (no authentication required)
 router.get('/live', getLiveResults);
 router.get('/position/:position', getResultsByPosition);
@@ -30,23 +35,23 @@ router.get('/constituency/:constituency', getResultsByConstituency);
 router.get('/ward/:ward', getResultsByWard);
 router.get('/constituencies', getConstituenciesList);
 router.get('/post-election/status', getPublicationStatus);
+router.get('/post-election/bulletin-board', getBulletinBoard);
 
 // Admin routes (require authentication)
 router.use(protect);
-router.use(authorize('admin', 'super_admin'));
 
 // Export routes
-router.get('/export/csv', exportResultsCSV);
-router.get('/export/pdf', exportResultsPDF);
+router.get('/export/csv', requirePermission('results.export'), exportResultsCSV);
+router.get('/export/pdf', requirePermission('results.export'), exportResultsPDF);
 
 // Participation report
-router.get('/participation', getParticipationReport);
+router.get('/participation', requirePermission('results.read'), getParticipationReport);
 
 // Post-election routes
-router.get('/post-election/full-report', getFullElectionReport);
-router.get('/post-election/export/csv', exportPostElectionCSV);
-router.get('/post-election/export/pdf', exportPostElectionPDF);
-router.get('/post-election/charts', getChartData);
-router.post('/post-election/publish', publishFinalResults);
+router.get('/post-election/full-report', requirePermission('results.read'), getFullElectionReport);
+router.get('/post-election/export/csv', requirePermission('results.export'), exportPostElectionCSV);
+router.get('/post-election/export/pdf', requirePermission('results.export'), exportPostElectionPDF);
+router.get('/post-election/charts', requirePermission('results.read'), getChartData);
+router.post('/post-election/publish', requirePermission('results.publish'), requireCountyScope, publishFinalResults);
 
 module.exports = router;
\ No newline at end of file
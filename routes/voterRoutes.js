@@ -2,9 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission, protectVoter } = require('../middlewares/authMiddleware');
 const { validateVoterRegistration } = require('../middlewares/validationMiddleware');
 const auditLogMiddleware = require('../middlewares/auditMiddleware');
+const { resolveElection } = require('../middlewares/electionMiddleware');
 
 // Import all controller functions
 const {
@@ -18,12 +19,24 @@ const {
   getTodaysRegistrationsCount,
   checkNationalId,
   checkEmail,
+  updateNotificationPreferences,
+  resendVotingNumber,
   // Self-registration functions
   uploadIDForSelfRegistration,
   selfRegisterVoter,
   updateTempVoterName,
   upload   // multer instance from controller
 } = require('../controllers/voterController');
+const { getVoterMessages } = require('../controllers/outboundMessageController');
+const {
+  requestLoginCode,
+  verifyLoginCode,
+  getMyRegistration,
+  getMyPollingArea,
+  getMyVotingStatus,
+  updateMyContact,
+  verifyMyContact
+} = require('../controllers/voterPortalController');
 
 // Apply audit logging to all routes
 router.use(auditLogMiddleware);
@@ -59,6 +72,24 @@ router.post(
 // Complete self-registration (JSON)
 router.post('/self/register', registerLimiter, selfRegisterVoter);
 
+// ========== VOTER PORTAL (voter sign-in) ==========
+const portalLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 sign-in attempts per IP
+  message: { success: false, error: 'Too many sign-in attempts, please try again later.' }
+});
+
+// Sign in with national ID and a one-time code
+router.post('/portal/login', portalLoginLimiter, requestLoginCode);
+router.post('/portal/verify', portalLoginLimiter, verifyLoginCode);
+
+// The signed-in voter's own registration
+router.get('/me', protectVoter, getMyRegistration);
+router.get('/me/polling-area', protectVoter, getMyPollingArea);
+router.get('/me/voting-status', protectVoter, resolveElection, getMyVotingStatus);
+router.put('/me/contact', portalLoginLimiter, protectVoter, updateMyContact);
+router.post('/me/contact/verify', portalLoginLimiter, protectVoter, verifyMyContact);
+
 // ========== PROTECTED ROUTES (require authentication) ==========
 // All routes below this line require authentication
 router.use(protect);
@@ -66,36 +97,49 @@ router.use(protect);
 // Register new voter (admin only) - WITH SIGNATURE ONLY
 router.post(
   '/register',
-  authorize('admin', 'super_admin'),
+  requirePermission('voters.register'),
   validateVoterRegistration,
   registerVoter
 );
 
 // Get voter count (admin only)
-router.get('/count', authorize('admin', 'super_admin'), getVoterCount);
+router.get('/count', requirePermission('voters.read'), getVoterCount);
 
 // Get voters who haven't voted (admin only)
-router.get('/pending', authorize('admin', 'super_admin'), getPendingVoters);
+router.get('/pending', requirePermission('voters.read'), resolveElection, getPendingVoters);
 
 // Get voters who have voted (admin only)
-router.get('/voted', authorize('admin', 'super_admin'), getVotedVoters);
+router.get('/voted', requirePermission('voters.read'), resolveElection, getVotedVoters);
 
 // Get wards by constituency (admin only)
-router.get('/wards/:constituency', authorize('admin', 'super_admin'), getWardsByConstituency);
+router.get('/wards/:constituency', requirePermission('voters.read'), getWardsByConstituency);
 
 // Get voter statistics (admin only)
-router.get('/statistics', authorize('admin', 'super_admin'), getVoterStatistics);
+router.get('/statistics', requirePermission('voters.read'), resolveElection, getVoterStatistics);
 
 // Get recent registrations (admin only)
-router.get('/recent', authorize('admin', 'super_admin'), getRecentRegistrations);
+router.get('/recent', requirePermission('voters.read'), getRecentRegistrations);
 
 // Get today's registrations count (admin only)
-router.get('/today-count', authorize('admin', 'super_admin'), getTodaysRegistrationsCount);
+router.get('/today-count', requirePermission('voters.read'), getTodaysRegistrationsCount);
 
 // Check National ID availability (admin only)
-router.get('/check-id/:nationalId', authorize('admin', 'super_admin'), checkNationalId);
+router.get('/check-id/:nationalId', requirePermission('voters.register'), checkNationalId);
 
 // Check Email availability (admin only)
-router.get('/check-email/:email', authorize('admin', 'super_admin'), checkEmail);
+router.get('/check-email/:email', requirePermission('voters.register'), checkEmail);
+
+// Set which channels (email, sms) and language a voter is notified in
+router.put('/:voterId/notification-preferences', requirePermission('voters.notify'), updateNotificationPreferences);
+
+// Delivery history, and resending a voting number that never arrived
+const resendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // 30 resends per IP
+  message: { success: false, error: 'Too many resend requests, please try again later.' }
+});
+
+router.get('/:voterId/messages', requirePermission('messages.read'), getVoterMessages);
+router.post('/:voterId/resend-voting-number', requirePermission('voters.notify'), resendLimiter, resendVotingNumber);
 
 module.exports = router;
\ No newline at end of file
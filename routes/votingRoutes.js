@@ -2,10 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { validateVote } = require('../middlewares/validationMiddleware');
 const rateLimit = require('express-rate-limit');
+const { resolveElection } = require('../middlewares/electionMiddleware');
+const { protectVoteSession } = require('../middlewares/authMiddleware');
 
 const {
+  requestVerificationCode,
+  verifyVoter,
   checkEligibility,
-  submitVote
+  submitVote,
+  verifyReceipt
 } = require('../controllers/votingController');
 
 // Rate limiting for vote submission (stricter limits)
@@ -20,21 +25,56 @@ const voteSubmissionLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Public voting routes (no authentication required)
+// Rate limiting for identity verification (codes sent and checks made)
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 verification requests per window
+  message: {
+    success: false,
+    error: 'Too many verification attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Voter verification (the second factor before the ballot opens)
+
+/**
+ * @route   POST /api/v1/voting/verify/request
+ * @desc    Send a one-time code to the voter's phone (sms) or email
+ * @access  Public (rate limited)
+ */
+router.post('/verify/request', verificationLimiter, resolveElection, requestVerificationCode);
+
+/**
+ * @route   POST /api/v1/voting/verify
+ * @desc    Verify by code, or by national ID and date of birth; returns a vote token
+ * @access  Public (rate limited)
+ */
+router.post('/verify', verificationLimiter, resolveElection, verifyVoter);
+
+// Ballot routes - need the vote token, as `Authorization: Bearer` or `X-Vote-Token`
 
 /**
  * @route   GET /api/v1/voting/eligibility/:votingNumber
  * @desc    Check voting eligibility and get voter info
- * @access  Public
+ * @access  Verified voter
  */
-router.get('/eligibility/:votingNumber', checkEligibility);
+router.get('/eligibility/:votingNumber', resolveElection, protectVoteSession, checkEligibility);
 
 /**
  * @route   POST /api/v1/voting/submit
  * @desc    Submit vote
- * @access  Public (rate limited)
+ * @access  Verified voter (rate limited)
+ */
+router.post('/submit', voteSubmissionLimiter, validateVote, resolveElection, protectVoteSession, submitVote);
+
+/**
+ * @route   GET /api/v1/voting/receipt/:code
+ * @desc    Confirm that the ballot behind a receipt was counted
+ * @access  Public
  */
-router.post('/submit', voteSubmissionLimiter, validateVote, submitVote);
+router.get('/receipt/:code', verifyReceipt);
 
 // Optional: Add a route to check voting status (if needed)
 /**
@@ -42,16 +82,21 @@ router.post('/submit', voteSubmissionLimiter, validateVote, submitVote);
  * @desc    Check if voting is currently open
  * @access  Public
  */
-router.get('/status', async (req, res) => {
+router.get('/status', resolveElection, async (req, res) => {
   try {
     const SystemSetting = require('../models/SystemSetting');
-    const portalStatus = await SystemSetting.findOne({ key: 'voting_portal_open' });
+    const { getPortalState } = require('../utils/votingPortal');
+    const portalState = getPortalState(req.election);
     const deadline = await SystemSetting.findOne({ key: 'voting_deadline' });
     
     res.status(200).json({
       success: true,
       data: {
-        isOpen: portalStatus ? portalStatus.value : false,
+        electionId: req.election._id,
+        election: req.election.name,
+        isOpen: portalState.isOpen,
+        withinSchedule: portalState.withinSchedule,
+        schedule: portalState.schedule,
         deadline: deadline ? deadline.value : null,
         timestamp: new Date()
       }
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { verifyWebhookToken } = require('../middlewares/webhookMiddleware');
+
+const {
+  handleBrevoEvent,
+  handleAfricasTalkingReport
+} = require('../controllers/webhookController');
+
+// Delivery events from the email and SMS providers
+router.use(verifyWebhookToken);
+
+router.post('/brevo', handleBrevoEvent);
+router.post('/africastalking', handleAfricasTalkingReport);
+
+module.exports = router;
\ No newline at end of file
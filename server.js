@@ -14,6 +14,10 @@ console.log("🚀 Starting Voting System Server...");
 const config = require('./config');
 const connectDB = require('./config/database');
 const errorHandler = require('./middlewares/errorMiddleware');
+const votingScheduler = require('./utils/votingScheduler');
+const jobQueue = require('./utils/jobQueue');
+const auditLogger = require('./utils/auditLogger');
+const { verifyAdminToken } = require('./middlewares/authMiddleware');
 
 // Import routes
 const voterRoutes = require('./routes/voterRoutes');
@@ -22,6 +26,11 @@ const votingRoutes = require('./routes/votingRoutes');
 const resultsRoutes = require('./routes/resultRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const authRoutes = require('./routes/authRoutes');
+const electionRoutes = require('./routes/electionRoutes');
+const administrativeUnitRoutes = require('./routes/administrativeUnitRoutes');
+const positionRoutes = require('./routes/positionRoutes');
+const messageTemplateRoutes = require('./routes/messageTemplateRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 // ===== ADD FEEDBACK ROUTES =====
 const feedbackRoutes = require('./routes/feedbackRoutes');
@@ -54,6 +63,12 @@ console.log("🗄️ Attempting MongoDB connection...");
 connectDB();
 mongoose.connection.on("connected", () => {
   console.log("✅ MongoDB connected successfully");
+  // Open/close the portal automatically from the voting schedule
+  votingScheduler.start(io);
+  // Run queued background jobs (voter announcements)
+  jobQueue.start(io);
+  // Link new audit entries into the hash chain
+  auditLogger.start();
 });
 mongoose.connection.on("error", (err) => {
   console.log("❌ MongoDB connection error:", err.message);
@@ -73,7 +88,9 @@ app.set('trust proxy', 1);
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100
+  max: 100,
+  // Provider delivery webhooks arrive in bursts from a few addresses
+  skip: (req) => req.originalUrl.startsWith('/api/v1/webhooks')
 });
 app.use('/api', limiter);
 
@@ -108,6 +125,11 @@ app.use('/api/v1/candidates', candidateRoutes);
 app.use('/api/v1/voting', votingRoutes);
 app.use('/api/v1/results', resultsRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/elections', electionRoutes);
+app.use('/api/v1/units', administrativeUnitRoutes);
+app.use('/api/v1/positions', positionRoutes);
+app.use('/api/v1/templates', messageTemplateRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
 
 // Feedback routes
 app.use('/api/v1/admin/feedback', adminFeedbackRoutes);
@@ -150,7 +172,13 @@ app.use(errorHandler);
 io.on('connection', (socket) => {
   console.log(`🔗 New client connected: ${socket.id}`);
   
-  socket.on('subscribe', (room) => {
+  // The 'admin' room carries job progress and needs an admin token, passed
+  // with the subscribe event or in the handshake auth
+  socket.on('subscribe', async (room, token) => {
+    if (room === 'admin' && !(await verifyAdminToken(token || (socket.handshake.auth && socket.handshake.auth.token)))) {
+      socket.emit('subscribeError', { room, error: 'Not authorized to join this room' });
+      return;
+    }
     socket.join(room);
     console.log(`📡 Client ${socket.id} subscribed to room: ${room}`);
   });
@@ -0,0 +1,56 @@
+const Admin = require('../models/Admin');
+const config = require('../config');
+
+// Admin records read by protect on every request, cached briefly in this
+// process. Entries are dropped when the admin is saved or updated here (see
+// the Admin save and query hooks); changes made by other processes show
+// within the TTL.
+const entries = new Map();
+
+// Fields protect never needs
+const PROJECTION = { password: 0 };
+
+// The admin (without the password) as a fresh document, or null
+const get = async (id) => {
+  const key = String(id);
+  let entry = entries.get(key);
+
+  const ttl = config.session.adminCacheSeconds * 1000;
+
+  if (!entry || Date.now() - entry.loadedAt >= ttl) {
+    // Drop stale entries now and then so the map does not grow without bound
+    if (entries.size > 1000) {
+      for (const [staleKey, stale] of entries) {
+        if (Date.now() - stale.loadedAt >= ttl) entries.delete(staleKey);
+      }
+    }
+
+    entry = {
+      admin: await Admin.findById(id).select(PROJECTION).lean(),
+      loadedAt: Date.now()
+    };
+    entries.set(key, entry);
+  }
+  return entry.admin ? Admin.hydrate(entry.admin, PROJECTION) : null;
+};
+
+// Update a cached field in place, for writes that bypass save()
+const patch = (id, fields) => {
+  const entry = entries.get(String(id));
+  if (entry && entry.admin) Object.assign(entry.admin, fields);
+};
+
+// Drop one admin, or everything
+const invalidate = (id) => {
+  if (id === undefined) {
+    entries.clear();
+  } else {
+    entries.delete(String(id));
+  }
+};
+
+module.exports = {
+  get,
+  patch,
+  invalidate
+};
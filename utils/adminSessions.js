@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const AdminSession = require('../models/AdminSession');
+const SystemSetting = require('../models/SystemSetting');
+const config = require('../config');
+
+const MINUTE = 60 * 1000;
+
+// The idle timeout changes rarely, so it is cached briefly
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+// Minutes a session may go without a refresh, from the session_timeout
+// setting with the config default
+const getIdleTimeout = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.minutes;
+  }
+
+  const setting = await SystemSetting.findOne({ key: 'session_timeout' }).lean();
+  const minutes = setting ? parseInt(setting.value) : NaN;
+  cache = {
+    minutes: minutes > 0 ? minutes : config.session.idleMinutes,
+    loadedAt: Date.now()
+  };
+  return cache.minutes;
+};
+
+const invalidate = () => {
+  cache = null;
+};
+
+// Sessions read by protect on every request, cached as briefly as admin
+// records (utils/adminCache). Revoking through this module drops the entry
+// at once; revocations by other processes show within the TTL.
+const sessions = new Map();
+
+const forget = (sessionId) => {
+  sessions.delete(String(sessionId));
+};
+
+const forgetAdmin = (adminId) => {
+  for (const [key, entry] of sessions) {
+    if (entry.session && String(entry.session.admin) === String(adminId)) {
+      sessions.delete(key);
+    }
+  }
+};
+
+const loadCached = async (sessionId) => {
+  const key = String(sessionId);
+  const ttl = config.session.adminCacheSeconds * 1000;
+  const entry = sessions.get(key);
+  if (entry && Date.now() - entry.loadedAt < ttl) return entry.session;
+
+  // Drop stale entries now and then so the map does not grow without bound
+  if (sessions.size > 1000) {
+    for (const [staleKey, stale] of sessions) {
+      if (Date.now() - stale.loadedAt >= ttl) sessions.delete(staleKey);
+    }
+  }
+
+  const session = await AdminSession.findById(sessionId).lean();
+  sessions.set(key, { session, loadedAt: Date.now() });
+  return session;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+// Start a session for an admin. Resolves to { session, refreshToken }; the
+// refresh token is only ever available here and in rotate().
+const create = async (admin, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await AdminSession.create({
+    admin: admin._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    expiresAt: new Date(Date.now() + config.session.maxAgeHours * 60 * MINUTE)
+  });
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. Resolves to { session, refreshToken }
+// on success, else { error, session } where error is 'invalid', 'expired'
+// or 'reused' (a replaced token came back; the session is revoked).
+const rotate = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const session = await AdminSession.findOne({ refreshTokenHash: hash });
+
+  if (!session) {
+    const replaced = await AdminSession.findOne({ previousTokenHash: hash });
+    if (replaced && replaced.isActive()) {
+      await revoke(replaced, 'token_reuse');
+      return { error: 'reused', session: replaced };
+    }
+    return { error: 'invalid', session: replaced };
+  }
+
+  if (!session.isActive()) {
+    return { error: 'expired', session };
+  }
+
+  const idleMinutes = await getIdleTimeout();
+  if (Date.now() - session.lastUsedAt > idleMinutes * MINUTE) {
+    await revoke(session, 'idle_timeout');
+    return { error: 'expired', session };
+  }
+
+  const nextToken = generateRefreshToken();
+  session.previousTokenHash = hash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  session.ipAddress = req.ip;
+  session.userAgent = req.get('User-Agent');
+  await session.save();
+  forget(session._id);
+
+  return { session, refreshToken: nextToken };
+};
+
+// The session an access token names, if it is still live and belongs to
+// the admin; null otherwise
+const findActive = async (sessionId, adminId) => {
+  if (!sessionId) return null;
+  const cached = await loadCached(sessionId);
+  if (!cached || String(cached.admin) !== String(adminId)) return null;
+
+  // The token hashes are not loaded; say so, so save() does not require them
+  const session = AdminSession.hydrate(cached, { refreshTokenHash: 0, previousTokenHash: 0 });
+  return session.isActive() ? session : null;
+};
+
+const revoke = async (session, reason, revokedBy) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  session.revokedBy = revokedBy;
+  await session.save();
+  forget(session._id);
+};
+
+// End every live session of an admin, optionally keeping one (the caller's
+// own). Resolves to the number revoked.
+const revokeAll = async (adminId, reason, revokedBy, exceptSessionId) => {
+  const filter = { admin: adminId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await AdminSession.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+    revokedBy
+  });
+  forgetAdmin(adminId);
+  return result.modifiedCount;
+};
+
+const listActive = (adminId) => {
+  return AdminSession.find({
+    admin: adminId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  getIdleTimeout,
+  create,
+  rotate,
+  findActive,
+  revoke,
+  revokeAll,
+  listActive,
+  invalidate
+};
@@ -1,20 +1,331 @@
+const os = require('os');
 const AuditLog = require('../models/AuditLog');
+const AuditChainLock = require('../models/AuditChainLock');
+const crypto = require('crypto');
+const config = require('../config');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries linked per batch while holding the chain lease
+const CHAIN_BATCH_SIZE = 500;
+
+// Identifies this process as the holder of the chain lease
+const chainerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Entries are written straight away as pending and linked into the chain
+// afterwards by whichever instance holds the lease, so writing an entry never
+// waits for other entries and the chain has one order across instances.
+let timer = null;
+let started = false;
+let chaining = false;
+let chainAgain = false;
+// Whether the entries written before the chain was keyed still need signing
+let legacyUnsigned = config.audit.signLegacyChain;
+
+// JSON with sorted keys, so the same entry always hashes the same way
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Reduce a value to what survives a JSON round trip (Dates and ObjectIds
+// become strings, undefined is dropped) so the stored copy hashes identically
+const normalize = (value) => {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+};
+
+// The fields an entry's hash covers
+const hashPayload = (entry) => {
+  return stableStringify({
+    sequence: entry.sequence,
+    prevHash: entry.prevHash,
+    adminId: entry.adminId ? entry.adminId.toString() : null,
+    action: entry.action,
+    entity: entry.entity,
+    entityId: normalize(entry.entityId),
+    details: normalize(entry.details),
+    ipAddress: entry.ipAddress || null,
+    userAgent: entry.userAgent || null,
+    timestamp: new Date(entry.timestamp).toISOString()
+  });
+};
+
+// HMAC keyed with a secret kept outside the database, so an edited entry
+// cannot be given a valid hash by recomputing the chain
+const computeHash = (entry) => {
+  if (!config.audit.hmacKey) {
+    throw new Error('AUDIT_HMAC_KEY is not set');
+  }
+  return crypto.createHmac('sha256', config.audit.hmacKey).update(hashPayload(entry)).digest('hex');
+};
+
+// Unkeyed hash of entries written before the chain was signed
+const computeLegacyHash = (entry) => {
+  return crypto.createHash('sha256').update(hashPayload(entry)).digest('hex');
+};
+
+// Sign a chain written before entries were keyed: every entry whose contents
+// and link check out under the old hash is re-hashed with the key, in order.
+// Stops at the first entry that does not check out and leaves it for
+// verifyChain to report. Only run on the operator's say-so
+// (config.audit.signLegacyChain): it trusts the unkeyed hashes. Runs under
+// the chain lease, before any pending entry is linked.
+const signLegacyChain = async () => {
+  const head = await AuditLog.findOne({ sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .lean();
+  if (!head || computeHash(head) === head.hash) return 0;
+
+  let previousHash = GENESIS_HASH;
+  let originalPreviousHash = GENESIS_HASH;
+  let signed = 0;
+
+  const cursor = AuditLog.find({ sequence: { $exists: true } })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    const intact = entry.prevHash === originalPreviousHash &&
+      (computeHash(entry) === entry.hash || computeLegacyHash(entry) === entry.hash);
+    if (!intact) {
+      console.error(`Audit chain not signed past sequence ${entry.sequence - 1}: entry ${entry.sequence} does not match its hash`);
+      break;
+    }
+
+    originalPreviousHash = entry.hash;
+    if (entry.prevHash !== previousHash || computeHash(entry) !== entry.hash) {
+      const hash = computeHash({ ...entry, prevHash: previousHash });
+      // The chain fields are immutable in the schema; write them directly
+      await AuditLog.collection.updateOne(
+        { _id: entry._id },
+        { $set: { prevHash: previousHash, hash } }
+      );
+      previousHash = hash;
+      signed++;
+    } else {
+      previousHash = entry.hash;
+    }
+  }
+
+  await cursor.close();
+  return signed;
+};
+
+// Take or renew the chain lease. Resolves false while another instance holds it.
+const acquireLease = async () => {
+  const now = new Date();
+  try {
+    const lock = await AuditChainLock.findOneAndUpdate(
+      {
+        _id: 'audit',
+        $or: [
+          { lockedBy: chainerId },
+          { lockedUntil: { $lte: now } },
+          { lockedUntil: null }
+        ]
+      },
+      { $set: { lockedBy: chainerId, lockedUntil: new Date(now.getTime() + config.audit.leaseSeconds * 1000) } },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // The lock exists and is held: the upsert tried to create it again
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releaseLease = () => {
+  return AuditChainLock.updateOne(
+    { _id: 'audit', lockedBy: chainerId },
+    { $set: { lockedUntil: null } }
+  );
+};
+
+// Run fn while holding the chain lease; resolves null if another instance
+// holds it
+const withLease = async (fn) => {
+  if (!(await acquireLease())) return null;
+  try {
+    return await fn();
+  } finally {
+    await releaseLease();
+  }
+};
+
+// Link pending entries into the chain, oldest first, a batch at a time.
+// Call only while holding the lease.
+const linkPending = async () => {
+  let linked = 0;
+
+  for (;;) {
+    const head = await AuditLog.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+    let sequence = head ? head.sequence : 0;
+    let previousHash = head ? head.hash : GENESIS_HASH;
+
+    const pending = await AuditLog.find({ pending: true })
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(CHAIN_BATCH_SIZE)
+      .lean();
+    if (pending.length === 0) return linked;
+
+    for (const entry of pending) {
+      sequence++;
+      const hash = computeHash({ ...entry, sequence, prevHash: previousHash });
+      // The chain fields are immutable in the schema; write them directly
+      const result = await AuditLog.collection.updateOne(
+        { _id: entry._id, pending: true },
+        { $set: { sequence, prevHash: previousHash, hash }, $unset: { pending: '' } }
+      );
+      // Linked by another instance after this one lost the lease
+      if (result.matchedCount === 0) return linked;
+      previousHash = hash;
+      linked++;
+    }
+
+    // Keep the lease for the next batch; stop if it was lost meanwhile
+    if (!(await acquireLease())) return linked;
+  }
+};
+
+// Link whatever is pending, if this instance can take the lease. Calls that
+// arrive while a run is going start another run once it ends.
+const chainNow = async () => {
+  if (chaining) {
+    chainAgain = true;
+    return;
+  }
+  chaining = true;
+
+  try {
+    do {
+      chainAgain = false;
+      await withLease(async () => {
+        if (legacyUnsigned) {
+          const signed = await signLegacyChain();
+          legacyUnsigned = false;
+          console.log(`Signed ${signed} audit log entries`);
+        }
+        return linkPending();
+      });
+    } while (chainAgain);
+  } catch (error) {
+    console.error('Failed to link audit entries:', error);
+  } finally {
+    chaining = false;
+  }
+
+  if (!started) return;
+
+  clearTimeout(timer);
+  timer = setTimeout(chainNow, config.audit.chainInterval);
+};
 
 const auditLogger = {
+  // Rejects when the entry could not be written, so the caller fails rather
+  // than carrying on without an audit record
   log: async (adminId, action, entity, entityId, details = {}) => {
     try {
-      await AuditLog.create({
+      const entry = await AuditLog.create({
         adminId,
         action,
         entity,
-        entityId,
-        details,
-        timestamp: new Date()
+        entityId: normalize(entityId),
+        details: normalize(details),
+        timestamp: new Date(),
+        pending: true
       });
+
+      if (started) setImmediate(chainNow);
+      return entry;
     } catch (error) {
       console.error('Failed to log audit trail:', error);
+      throw error;
     }
   },
+
+  // Link pending entries now and then every config.audit.chainInterval
+  start: () => {
+    if (started) return;
+    started = true;
+    return chainNow();
+  },
+
+  stop: () => {
+    clearTimeout(timer);
+    timer = null;
+    started = false;
+  },
+
+  // Walk the chain from the first entry and report the first broken link
+  verifyChain: async () => {
+    let expectedSequence = 1;
+    let previousHash = GENESIS_HASH;
+    let checked = 0;
+    let brokenLink = null;
+
+    const cursor = AuditLog.find({ sequence: { $exists: true } })
+      .sort({ sequence: 1 })
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      if (entry.sequence !== expectedSequence) {
+        brokenLink = {
+          sequence: expectedSequence,
+          reason: `Entries missing: expected sequence ${expectedSequence} but found ${entry.sequence}`
+        };
+      } else if (entry.prevHash !== previousHash) {
+        brokenLink = {
+          sequence: entry.sequence,
+          reason: 'Previous hash does not match the preceding entry'
+        };
+      } else if (computeHash(entry) !== entry.hash) {
+        brokenLink = {
+          sequence: entry.sequence,
+          reason: 'Entry contents do not match its hash'
+        };
+      }
+
+      if (brokenLink) {
+        brokenLink.entryId = entry._id;
+        brokenLink.action = entry.action;
+        brokenLink.timestamp = entry.timestamp;
+        break;
+      }
+
+      checked++;
+      expectedSequence++;
+      previousHash = entry.hash;
+    }
+
+    await cursor.close();
+
+    // Entries from before the chain existed, and ones not linked yet
+    const unchainedEntries = await AuditLog.countDocuments({ sequence: { $exists: false }, pending: { $ne: true } });
+    const pendingEntries = await AuditLog.countDocuments({ pending: true });
+
+    return {
+      valid: !brokenLink,
+      checkedEntries: checked,
+      brokenLink,
+      // Record the head externally: deleting entries from the end of the
+      // chain can only be detected by comparing against a known head
+      head: brokenLink ? null : { sequence: expectedSequence - 1, hash: previousHash },
+      unchainedEntries,
+      pendingEntries
+    };
+  },
   
   getLogs: async (filters = {}, page = 1, limit = 50) => {
     const skip = (page - 1) * limit;
@@ -0,0 +1,41 @@
+// Passwords that appear at the top of public breach corpora, plus local
+// variants (county, election and default-admin passwords). Compared
+// lowercased, so 'Password' and 'PASSWORD' match 'password'. A larger list
+// can be loaded from a file with PASSWORD_COMMON_LIST_FILE.
+module.exports = [
+  // Default and local passwords
+  'admin@12345', 'admin12345', 'admin@123', 'admin123', 'admin1234', 'administrator',
+  'kirinyaga', 'kirinyaga123', 'kirinyaga@123', 'kirinyaga2027', 'kerugoya', 'kutus',
+  'election', 'elections', 'election123', 'election2027', 'voting', 'voting123',
+  'iebc', 'iebc2027', 'county', 'county123', 'kenya', 'kenya123', 'kenya@123',
+  'nairobi', 'nairobi123', 'mombasa', 'changeme', 'changeme123', 'welcome',
+  'welcome1', 'welcome123', 'welcome@123', 'letmein', 'letmein123',
+
+  // Most common breached passwords
+  '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '1234',
+  '123123', '111111', '000000', '654321', '666666', '121212', '112233', '123321',
+  '123654', '159753', '987654321', '11111111', '88888888', '1q2w3e4r', '1q2w3e4r5t',
+  '1qaz2wsx', 'qwerty', 'qwerty123', 'qwertyuiop', 'qwerty1', 'qwe123', 'asdfgh',
+  'asdfghjkl', 'zxcvbnm', 'zxcvbn', 'qazwsx', 'azerty', 'abc123', 'abcd1234',
+  'abcdef', 'a1b2c3', 'aa123456', 'password', 'password1', 'password12',
+  'password123', 'password1234', 'password!', 'passw0rd', 'p@ssw0rd', 'p@ssword',
+  'pass123', 'pass1234', 'passpass', 'secret', 'secret123', 'iloveyou',
+  'iloveyou1', 'princess', 'sunshine', 'monkey', 'dragon', 'football', 'baseball',
+  'soccer', 'master', 'shadow', 'superman', 'batman', 'trustno1', 'starwars',
+  'whatever', 'freedom', 'hello', 'hello123', 'charlie', 'michael', 'jennifer',
+  'jordan', 'hunter', 'hunter2', 'ashley', 'daniel', 'andrew', 'joshua', 'thomas',
+  'jessica', 'killer', 'ginger', 'tigger', 'pepper', 'cheese', 'buster', 'summer',
+  'winter', 'spring', 'autumn', 'flower', 'lovely', 'loveme', 'mustang', 'harley',
+  'ranger', 'matrix', 'access', 'login', 'root', 'toor', 'guest', 'test', 'test123',
+  'testing', 'user', 'user123', 'default', 'system', 'computer', 'internet',
+  'google', 'samsung', 'apple', 'microsoft', 'linux', 'windows', 'q1w2e3r4',
+  'q1w2e3r4t5', 'zaq12wsx', 'zaq1zaq1', '!qaz2wsx', '1q2w3e', '123qwe', 'qwe321',
+  'asd123', 'zxc123', 'aaaaaa', 'aaaaaaaa', 'abcabc', 'blahblah', 'computer1',
+  'football1', 'baseball1', 'princess1', 'sunshine1', 'monkey1', 'dragon1',
+  'master1', 'shadow1', 'superman1', 'michael1', 'jordan23', 'letmein1',
+  'qwerty12', 'qwerty1234', 'welcome2024', 'welcome2025', 'welcome2026',
+  'password2024', 'password2025', 'password2026', 'summer2024', 'summer2025',
+  'winter2024', 'winter2025', 'spring2025', 'autumn2025', 'january', 'february',
+  'december', 'monday', 'friday', 'mother', 'father', 'family', 'jesus', 'jesus123',
+  'god', 'godisgood', 'blessed', 'blessing', 'faith', 'grace', 'angel', 'angels'
+];
@@ -1,76 +1,146 @@
-const constituencyData = {
-  // Kirinyaga County constituencies and wards
-  constituencies: [
-    'Kirinyaga Central',
-    'Kirinyaga East', 
-    'Mwea',
-    'Gichugu',
-    'Ndia'
-  ],
-  
+const AdministrativeUnit = require('../models/AdministrativeUnit');
+const SystemSetting = require('../models/SystemSetting');
+const { importRows } = require('./geographyImport');
+
+// Geography seeded into an empty database so a fresh install keeps working.
+// Other counties are loaded through the units import instead.
+const DEFAULT_GEOGRAPHY = {
+  county: 'Kirinyaga',
+  code: 'KGY',
   wardsByConstituency: {
-    'Kirinyaga Central': [
-      'Kiamuturi',
-      'Mutithi', 
-      'Kangai',
-      'Thiba',
-      'Wamumu'
-    ],
-    'Kirinyaga East': [
-      'Kanyeki-Inoi',
-      'Kerugoya',
-      'Inoi',
-      'Mutonguni',
-      'Kiamaciri'
-    ],
-    'Mwea': [
-      'Thiba',
-      'Kangai',
-      'Mutithi',
-      'Wamumu',
-      'Mwea'
-    ],
-    'Gichugu': [
-      'Ngariama',
-      'Kanyekini',
-      'Murinduko',
-      'Gathigiriri',
-      'Tebere'
-    ],
-    'Ndia': [
-      'Baragwi',
-      'Njukiini',
-      'Gichugu',
-      'Mukure',
-      'Kiaritha',
-      'Kiinie'
-    ]
+    'Kirinyaga Central': ['Kiamuturi', 'Mutithi', 'Kangai', 'Thiba', 'Wamumu'],
+    'Kirinyaga East': ['Kanyeki-Inoi', 'Kerugoya', 'Inoi', 'Mutonguni', 'Kiamaciri'],
+    'Mwea': ['Thiba', 'Kangai', 'Mutithi', 'Wamumu', 'Mwea'],
+    'Gichugu': ['Ngariama', 'Kanyekini', 'Murinduko', 'Gathigiriri', 'Tebere'],
+    'Ndia': ['Baragwi', 'Njukiini', 'Gichugu', 'Mukure', 'Kiaritha', 'Kiinie']
+  }
+};
+
+// Units change rarely, so the active county's tree is cached briefly
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+// Load the county named by the county_name setting (or the first county)
+// with its active constituencies and wards
+const load = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache;
+  }
+
+  const setting = await SystemSetting.findOne({ key: 'county_name' });
+  let county = null;
+  if (setting && setting.value) {
+    county = await AdministrativeUnit.findOne({ level: 'county', name: setting.value, isActive: true });
+  }
+  if (!county) {
+    county = await AdministrativeUnit.findOne({ level: 'county', isActive: true }).sort({ createdAt: 1 });
+  }
+
+  const wardsByConstituency = {};
+  if (county) {
+    const units = await AdministrativeUnit.find({
+      county: county.name,
+      level: { $in: ['constituency', 'ward'] },
+      isActive: true
+    }).sort({ name: 1 }).lean();
+
+    units
+      .filter(unit => unit.level === 'constituency')
+      .forEach(unit => { wardsByConstituency[unit.name] = []; });
+    units
+      .filter(unit => unit.level === 'ward' && wardsByConstituency[unit.constituency])
+      .forEach(unit => { wardsByConstituency[unit.constituency].push(unit.name); });
+  }
+
+  cache = {
+    county: county ? county.name : null,
+    countyCode: county ? county.code : null,
+    wardsByConstituency,
+    loadedAt: Date.now()
+  };
+  return cache;
+};
+
+const constituencyData = {
+  getCountyName: async () => (await load()).county,
+
+  getCountyCode: async () => (await load()).countyCode,
+
+  getConstituencies: async () => Object.keys((await load()).wardsByConstituency),
+
+  // Returns null for an unknown constituency
+  getWardsByConstituency: async (constituency) => {
+    const { wardsByConstituency } = await load();
+    return wardsByConstituency[constituency] || null;
   },
-  
-  getWardsByConstituency: (constituency) => {
-    return constituencyData.wardsByConstituency[constituency] || [];
+
+  validateConstituency: async (constituency) => {
+    const { wardsByConstituency } = await load();
+    return Object.prototype.hasOwnProperty.call(wardsByConstituency, constituency);
   },
-  
-  validateWard: (constituency, ward) => {
-    const wards = constituencyData.wardsByConstituency[constituency];
+
+  validateWard: async (constituency, ward) => {
+    const wards = await constituencyData.getWardsByConstituency(constituency);
     return wards ? wards.includes(ward) : false;
   },
-  
-  getAllWards: () => {
+
+  getAllWards: async () => {
+    const { wardsByConstituency } = await load();
     const allWards = [];
-    Object.values(constituencyData.wardsByConstituency).forEach(wards => {
+    Object.values(wardsByConstituency).forEach(wards => {
       allWards.push(...wards);
     });
     return [...new Set(allWards)]; // Remove duplicates
   },
-  
-  getConstituencyByWard: (ward) => {
-    for (const [constituency, wards] of Object.entries(constituencyData.wardsByConstituency)) {
+
+  getConstituencyByWard: async (ward) => {
+    const { wardsByConstituency } = await load();
+    for (const [constituency, wards] of Object.entries(wardsByConstituency)) {
       if (wards.includes(ward)) {
         return constituency;
       }
     }
     return null;
+  },
+
+  getPollingStations: async (constituency, ward) => {
+    const county = await constituencyData.getCountyName();
+    const stations = await AdministrativeUnit.find({
+      level: 'polling_station',
+      county,
+      constituency,
+      ward,
+      isActive: true
+    }).sort({ name: 1 });
+    return stations.map(station => station.name);
+  },
+
+  // Seed the default geography when no units exist yet
+  seedDefaults: async () => {
+    if (await AdministrativeUnit.exists({})) {
+      return null;
+    }
+
+    const rows = [];
+    Object.entries(DEFAULT_GEOGRAPHY.wardsByConstituency).forEach(([constituency, wards]) => {
+      wards.forEach(ward => {
+        rows.push({
+          county: DEFAULT_GEOGRAPHY.county,
+          county_code: DEFAULT_GEOGRAPHY.code,
+          constituency,
+          ward
+        });
+      });
+    });
+
+    const summary = await importRows(rows);
+    constituencyData.invalidate();
+    console.log(`🗺️ Seeded default geography (${summary.created} units)`);
+    return summary;
+  },
+
+  invalidate: () => {
+    cache = null;
   }
 };
 
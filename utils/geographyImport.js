@@ -0,0 +1,178 @@
+const AdministrativeUnit = require('../models/AdministrativeUnit');
+
+const LEVELS = AdministrativeUnit.LEVELS;
+
+// Column / property names accepted for each level, after normalisation
+const FIELD_ALIASES = {
+  county: 'county',
+  county_name: 'county',
+  constituency: 'constituency',
+  constituency_name: 'constituency',
+  const_name: 'constituency',
+  ward: 'ward',
+  ward_name: 'ward',
+  polling_station: 'polling_station',
+  polling_station_name: 'polling_station',
+  station: 'polling_station',
+  county_code: 'county_code',
+  constituency_code: 'constituency_code',
+  const_code: 'constituency_code',
+  ward_code: 'ward_code',
+  polling_station_code: 'polling_station_code',
+  station_code: 'polling_station_code',
+  code: 'code'
+};
+
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Map raw columns/properties onto { county, constituency, ward, polling_station, *_code }
+const normalizeRow = (raw) => {
+  const row = {};
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const field = FIELD_ALIASES[normalizeKey(key)];
+    if (field && value !== undefined && value !== null && String(value).trim() !== '') {
+      row[field] = String(value).trim();
+    }
+  });
+  return row;
+};
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(header => header.replace(/^﻿/, ''));
+  return nonEmpty.slice(1).map(values => {
+    const raw = {};
+    headers.forEach((header, index) => {
+      raw[header] = values[index];
+    });
+    return normalizeRow(raw);
+  });
+};
+
+// Rows from a GeoJSON FeatureCollection (or array of features). Only the
+// feature properties are used; geometries are not stored.
+const parseGeoJson = (input) => {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+  const features = Array.isArray(geojson) ? geojson : geojson && geojson.features;
+
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON must be a FeatureCollection');
+  }
+
+  return features.map(feature => normalizeRow(feature && feature.properties));
+};
+
+// Create every unit named in the rows, reusing units that already exist.
+// Each row describes one path, e.g. county + constituency + ward.
+const importRows = async (rows) => {
+  const summary = { created: 0, existing: 0, errors: [] };
+  const seen = new Map();
+
+  const upsertUnit = async (level, name, parent, ancestors, code) => {
+    const key = `${level}|${parent ? parent._id : ''}|${name.toLowerCase()}`;
+    if (seen.has(key) && !code) return seen.get(key);
+
+    const update = {
+      $setOnInsert: { name, level, parent: parent ? parent._id : null, ...ancestors },
+      $set: { isActive: true }
+    };
+    if (code) update.$set.code = code;
+
+    const result = await AdministrativeUnit.findOneAndUpdate(
+      {
+        level,
+        parent: parent ? parent._id : null,
+        name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+      },
+      update,
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    if (!seen.has(key)) {
+      if (result.lastErrorObject && result.lastErrorObject.updatedExisting) {
+        summary.existing++;
+      } else {
+        summary.created++;
+      }
+    }
+    seen.set(key, result.value);
+    return result.value;
+  };
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    try {
+      // Levels must be filled from the top without gaps
+      const deepest = LEVELS.reduce((last, level, i) => (row[level] ? i : last), -1);
+      if (deepest < 0) {
+        throw new Error('Row names no administrative unit');
+      }
+      const gap = LEVELS.slice(0, deepest).find(level => !row[level]);
+      if (gap) {
+        throw new Error(`Missing ${gap.replace('_', ' ')}`);
+      }
+
+      let parent = null;
+      const ancestors = {};
+      for (let i = 0; i <= deepest; i++) {
+        const level = LEVELS[i];
+        const code = row[`${level}_code`] || (i === deepest ? row.code : undefined);
+        parent = await upsertUnit(level, row[level], parent, { ...ancestors }, code);
+        if (level !== 'polling_station') {
+          ancestors[level] = parent.name;
+        }
+      }
+    } catch (error) {
+      // Row numbers are 1-based data rows (the CSV header is not counted)
+      summary.errors.push({ row: index + 1, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  parseCsv,
+  parseGeoJson,
+  importRows
+};
@@ -0,0 +1,230 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const config = require('../config');
+
+// Handler per job type. Loaded on first use so handler modules can
+// themselves enqueue jobs.
+const handlers = {
+  portalAnnouncement: () => require('./portalAnnouncement').run
+};
+
+// Identifies this process as the holder of a job's lock
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let io = null;
+let timer = null;
+let started = false;
+let running = false;
+let lastSendAt = 0;
+
+// Send a job's progress to admins subscribed to the 'admin' room
+const emitUpdate = (job) => {
+  if (io) {
+    io.to('admin').emit('jobProgress', job.getSummary());
+  }
+};
+
+const enqueue = async (type, payload = {}, { election, createdBy, runAt, maxAttempts } = {}) => {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = await Job.create({
+    type,
+    payload,
+    election,
+    createdBy,
+    runAt: runAt || new Date(),
+    maxAttempts: maxAttempts || config.jobQueue.maxAttempts
+  });
+
+  emitUpdate(job);
+  if (started) setImmediate(checkNow);
+  return job;
+};
+
+// Take the next due job, or one whose worker stopped refreshing its lock
+const claimNext = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - config.jobQueue.lockTimeout) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// What a handler gets besides the job: a way to record progress, which also
+// refreshes the lock and stops the handler if the job was cancelled, and a
+// throttle that keeps outgoing messages within the configured rate.
+const createContext = (job) => {
+  const ctx = { job };
+
+  ctx.update = async ({ total, succeeded = 0, failed = 0, state, failures = [], resolved = [] } = {}) => {
+    const filter = { _id: job._id, status: 'running', lockedBy: workerId };
+    const set = { lockedAt: new Date() };
+    if (total !== undefined) set['progress.total'] = total;
+    if (state !== undefined) set.state = state;
+
+    const update = {
+      $set: set,
+      $inc: {
+        'progress.succeeded': succeeded,
+        'progress.failed': failed,
+        'progress.processed': succeeded + failed
+      }
+    };
+    if (failures.length > 0) {
+      update.$push = { failures: { $each: failures, $slice: Job.MAX_FAILURES } };
+    }
+
+    // The same array cannot be pushed to and pulled from in one update
+    if (resolved.length > 0) {
+      await Job.updateOne(filter, { $pull: { failures: { item: { $in: resolved } } } });
+    }
+
+    const updated = await Job.findOneAndUpdate(filter, update, { new: true });
+    if (!updated) {
+      const error = new Error('Job was cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+
+    ctx.job = updated;
+    emitUpdate(updated);
+    return updated;
+  };
+
+  ctx.throttle = async () => {
+    const interval = 1000 / config.jobQueue.messagesPerSecond;
+    const wait = lastSendAt + interval - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastSendAt = Date.now();
+  };
+
+  return ctx;
+};
+
+// Run one claimed job and record how it ended. Errors are retried with
+// exponential backoff until the job runs out of attempts; an error marked
+// `permanent` fails the job straight away.
+const runJob = async (job) => {
+  if (!job.startedAt) {
+    job.startedAt = new Date();
+    await Job.updateOne({ _id: job._id }, { startedAt: job.startedAt });
+  }
+  emitUpdate(job);
+
+  const ctx = createContext(job);
+  let outcome;
+  try {
+    await handlers[job.type]()(job, ctx);
+    outcome = { status: 'completed', completedAt: new Date() };
+  } catch (error) {
+    if (error.cancelled) return;
+
+    console.error(`Job ${job.type} (${job._id}) attempt ${job.attempts} failed:`, error.message);
+    if (!error.permanent && job.attempts < job.maxAttempts) {
+      const delay = config.jobQueue.retryDelay * Math.pow(2, job.attempts - 1);
+      outcome = { status: 'queued', runAt: new Date(Date.now() + delay), lastError: error.message };
+    } else {
+      outcome = { status: 'failed', completedAt: new Date(), lastError: error.message };
+    }
+  }
+
+  const finished = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'running', lockedBy: workerId },
+    { $set: outcome, $unset: { lockedBy: 1, lockedAt: 1 } },
+    { new: true }
+  );
+  if (finished) emitUpdate(finished);
+};
+
+// Work through every due job, one at a time, then wait for the next poll
+const checkNow = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while (started && (job = await claimNext())) {
+      if (!handlers[job.type]) {
+        await Job.updateOne({ _id: job._id }, {
+          $set: { status: 'failed', lastError: `Unknown job type: ${job.type}`, completedAt: new Date() },
+          $unset: { lockedBy: 1, lockedAt: 1 }
+        });
+        continue;
+      }
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job queue error:', error.message);
+  } finally {
+    running = false;
+  }
+
+  if (!started) return;
+
+  clearTimeout(timer);
+  timer = setTimeout(checkNow, config.jobQueue.pollInterval);
+};
+
+// Stop a queued or running job. A running handler stops at its next update.
+const cancel = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'cancelled', completedAt: new Date() }, $unset: { lockedBy: 1, lockedAt: 1 } },
+    { new: true }
+  );
+  if (job) emitUpdate(job);
+  return job;
+};
+
+// Queue a failed or cancelled job again with a fresh set of attempts. Its
+// state is kept, so it resumes rather than starting over.
+const retry = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+    { $set: { status: 'queued', runAt: new Date(), attempts: 0 }, $unset: { completedAt: 1 } },
+    { new: true }
+  );
+  if (job) {
+    emitUpdate(job);
+    if (started) setImmediate(checkNow);
+  }
+  return job;
+};
+
+const start = (socketIo) => {
+  if (started) return;
+  started = true;
+  io = socketIo;
+  console.log('📬 Job queue started');
+  return checkNow();
+};
+
+const stop = () => {
+  clearTimeout(timer);
+  timer = null;
+  started = false;
+  io = null;
+};
+
+module.exports = {
+  enqueue,
+  cancel,
+  retry,
+  start,
+  stop,
+  checkNow
+};
@@ -0,0 +1,173 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const SystemSetting = require('../models/SystemSetting');
+const config = require('../config');
+
+const MINUTE = 60 * 1000;
+// How long a throttle record is kept after its last failure or lockout
+const RETENTION = 24 * 60 * MINUTE;
+
+// Settings change rarely, so they are cached briefly
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+const SETTING_KEYS = {
+  maxAttempts: 'max_login_attempts',
+  ipMaxAttempts: 'max_login_attempts_per_ip',
+  lockoutMinutes: 'lockout_duration_minutes'
+};
+
+// Attempt limits and lockout period from SystemSetting, with config defaults
+const getPolicy = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.policy;
+  }
+
+  const settings = await SystemSetting.find({ key: { $in: Object.values(SETTING_KEYS) } }).lean();
+  const valueOf = (key) => {
+    const setting = settings.find(s => s.key === SETTING_KEYS[key]);
+    const value = setting ? parseInt(setting.value) : NaN;
+    return value > 0 ? value : config.loginLockout[key];
+  };
+
+  cache = {
+    policy: {
+      maxAttempts: valueOf('maxAttempts'),
+      ipMaxAttempts: valueOf('ipMaxAttempts'),
+      lockoutMinutes: valueOf('lockoutMinutes'),
+      maxLockoutMinutes: config.loginLockout.maxLockoutMinutes
+    },
+    loadedAt: Date.now()
+  };
+  return cache.policy;
+};
+
+const invalidate = () => {
+  cache = null;
+};
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+// Lockout period for the nth lockout: the base period, doubled each time
+const lockoutDuration = (policy, lockouts) => {
+  const minutes = policy.lockoutMinutes * Math.pow(2, Math.max(lockouts - 1, 0));
+  return Math.min(minutes, policy.maxLockoutMinutes) * MINUTE;
+};
+
+// The active lockouts for an email and IP, if any. Resolves to null when
+// the login may go ahead, else { type, key, lockedUntil, retryAfter } for
+// the lockout that ends last.
+const check = async (email, ipAddress) => {
+  const throttles = await LoginThrottle.find({
+    $or: [
+      { type: 'account', key: normalizeEmail(email) },
+      { type: 'ip', key: ipAddress }
+    ],
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 });
+
+  if (throttles.length === 0) return null;
+
+  const throttle = throttles[0];
+  return {
+    type: throttle.type,
+    key: throttle.key,
+    lockedUntil: throttle.lockedUntil,
+    retryAfter: Math.ceil((throttle.lockedUntil - Date.now()) / 1000)
+  };
+};
+
+// Count a failed login against the email and the IP. Resolves to the list
+// of lockouts the failure started ({ type, key, lockouts, lockedUntil }),
+// usually empty. Every step is a single atomic update, so parallel failed
+// logins cannot lose increments or race on inserting the record.
+const recordFailure = async (email, ipAddress) => {
+  const policy = await getPolicy();
+  const targets = [
+    { type: 'account', key: normalizeEmail(email), limit: policy.maxAttempts },
+    { type: 'ip', key: ipAddress, limit: policy.ipMaxAttempts }
+  ].filter(target => target.key);
+
+  const lockedNow = [];
+  for (const target of targets) {
+    const now = new Date();
+    const filter = { type: target.type, key: target.key };
+
+    // Failures only add up within one lockout period of each other
+    await LoginThrottle.updateOne(
+      { ...filter, lastFailureAt: { $lt: new Date(now.getTime() - policy.lockoutMinutes * MINUTE) } },
+      { $set: { failures: 0 } }
+    );
+
+    const throttle = await upsertFailure(filter, now);
+
+    if (throttle.failures >= target.limit) {
+      // Only the request that crosses the limit starts the lockout
+      const locked = await LoginThrottle.findOneAndUpdate(
+        { ...filter, failures: { $gte: target.limit } },
+        { $inc: { lockouts: 1 }, $set: { failures: 0 } },
+        { new: true }
+      );
+
+      if (locked) {
+        locked.lockedUntil = new Date(now.getTime() + lockoutDuration(policy, locked.lockouts));
+        await LoginThrottle.updateOne(
+          { _id: locked._id },
+          { $set: { lockedUntil: locked.lockedUntil, expiresAt: new Date(locked.lockedUntil.getTime() + RETENTION) } }
+        );
+        lockedNow.push({
+          type: locked.type,
+          key: locked.key,
+          lockouts: locked.lockouts,
+          lockedUntil: locked.lockedUntil
+        });
+      }
+    }
+  }
+
+  return lockedNow;
+};
+
+// Add one failure to a throttle record, creating it if needed. A parallel
+// insert of the same record loses on the unique index; retry as an update.
+const upsertFailure = async (filter, now) => {
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now },
+    // Keep the record for a day after the last failure, or past a lockout
+    $max: { expiresAt: new Date(now.getTime() + RETENTION) }
+  };
+
+  try {
+    return await LoginThrottle.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return LoginThrottle.findOneAndUpdate(filter, update, { new: true });
+  }
+};
+
+// A successful login clears the account's record and the IP's failure count
+const recordSuccess = async (email, ipAddress) => {
+  await LoginThrottle.deleteOne({ type: 'account', key: normalizeEmail(email) });
+  if (ipAddress) {
+    await LoginThrottle.updateOne({ type: 'ip', key: ipAddress }, { failures: 0 });
+  }
+};
+
+// Lift a lockout. The lockout count is kept, so a new lockout is still longer.
+const unlock = async (throttle) => {
+  throttle.lockedUntil = undefined;
+  throttle.failures = 0;
+  await throttle.save();
+};
+
+const findAccount = (email) => LoginThrottle.findOne({ type: 'account', key: normalizeEmail(email) });
+
+module.exports = {
+  getPolicy,
+  check,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  findAccount,
+  invalidate
+};
@@ -0,0 +1,16 @@
+// Show where a code was sent without revealing the full phone number or
+// email address
+
+const maskPhone = (phoneNumber) => {
+  return `${phoneNumber.slice(0, 2)}${'*'.repeat(Math.max(phoneNumber.length - 4, 0))}${phoneNumber.slice(-2)}`;
+};
+
+const maskEmail = (email) => {
+  const [name, domain] = email.split('@');
+  return `${name.charAt(0)}${'*'.repeat(Math.max(name.length - 1, 2))}@${domain}`;
+};
+
+module.exports = {
+  maskPhone,
+  maskEmail
+};
@@ -0,0 +1,408 @@
+// Built-in message templates, seeded into MessageTemplate on first run and
+// used whenever a template is missing from the database. Email bodies are the
+// part inside the layout in utils/emailService.
+
+const emailHeader = '<div class="header"><h1>{{countyName}} County Electronic Voting System</h1></div>';
+const emailHeaderSw = '<div class="header"><h1>Mfumo wa Kielektroniki wa Kupiga Kura, Kaunti ya {{countyName}}</h1></div>';
+
+const emailFooter = `
+<div class="footer">
+  <p>This is an automated message from {{countyName}} County Election Commission.</p>
+  <p>© {{year}} {{countyName}} County Government. All rights reserved.</p>
+</div>`;
+const emailFooterSw = `
+<div class="footer">
+  <p>Huu ni ujumbe wa kiotomatiki kutoka Tume ya Uchaguzi ya Kaunti ya {{countyName}}.</p>
+  <p>© {{year}} Serikali ya Kaunti ya {{countyName}}. Haki zote zimehifadhiwa.</p>
+</div>`;
+
+module.exports = [
+  // ===== Registration =====
+  {
+    key: 'registration',
+    channel: 'email',
+    language: 'en',
+    subject: 'Voter Registration Confirmation - {{countyName}} County Elections',
+    body: `${emailHeader}
+<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>Your voter registration has been successfully completed.</p>
+  <div class="highlight">Your Voting Number: {{votingNumber}}</div>
+  <h3>Voting Instructions:</h3>
+  <ol>
+    <li><strong>Keep your voting number confidential</strong> - Do not share it with anyone</li>
+    <li>On election day, visit the voting portal: <a href="{{portalUrl}}" target="_blank">{{portalUrl}}</a></li>
+    <li>Log in using your voting number</li>
+    <li>Follow the on-screen instructions to cast your vote</li>
+    <li>Voting portal will be open during specified hours only</li>
+    <li>Each voting number can only be used once</li>
+  </ol>
+  <p><strong>Your Voting Details:</strong></p>
+  <ul>
+    <li>County: {{county}}</li>
+    <li>Constituency: {{constituency}}</li>
+    <li>Ward: {{ward}}</li>
+  </ul>
+  <p class="warning"><strong>Important:</strong> If you did not register for voting, please contact the election commission immediately.</p>
+</div>${emailFooter}`
+  },
+  {
+    key: 'registration',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Uthibitisho wa Usajili wa Mpiga Kura - Uchaguzi wa Kaunti ya {{countyName}}',
+    body: `${emailHeaderSw}
+<div class="content">
+  <h2>Mpendwa {{fullName}},</h2>
+  <p>Usajili wako kama mpiga kura umekamilika.</p>
+  <div class="highlight">Nambari Yako ya Kupiga Kura: {{votingNumber}}</div>
+  <h3>Maelekezo ya Kupiga Kura:</h3>
+  <ol>
+    <li><strong>Weka nambari yako ya kupiga kura kuwa siri</strong> - Usimpe mtu yeyote</li>
+    <li>Siku ya uchaguzi, tembelea tovuti ya kupiga kura: <a href="{{portalUrl}}" target="_blank">{{portalUrl}}</a></li>
+    <li>Ingia kwa kutumia nambari yako ya kupiga kura</li>
+    <li>Fuata maelekezo kwenye skrini ili kupiga kura yako</li>
+    <li>Tovuti ya kupiga kura itakuwa wazi kwa saa zilizotangazwa pekee</li>
+    <li>Kila nambari ya kupiga kura inaweza kutumika mara moja tu</li>
+  </ol>
+  <p><strong>Maelezo Yako ya Kupiga Kura:</strong></p>
+  <ul>
+    <li>Kaunti: {{county}}</li>
+    <li>Eneo Bunge: {{constituency}}</li>
+    <li>Wadi: {{ward}}</li>
+  </ul>
+  <p class="warning"><strong>Muhimu:</strong> Ikiwa hukujisajili kupiga kura, tafadhali wasiliana na tume ya uchaguzi mara moja.</p>
+</div>${emailFooterSw}`
+  },
+  {
+    key: 'registration',
+    channel: 'sms',
+    language: 'en',
+    body: 'Dear {{fullName}}, your voter registration is complete. Your voting number is {{votingNumber}}. Keep it confidential.'
+  },
+  {
+    key: 'registration',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Mpendwa {{fullName}}, usajili wako wa kupiga kura umekamilika. Nambari yako ya kupiga kura ni {{votingNumber}}. Iweke siri.'
+  },
+
+  // ===== Vote confirmation =====
+  {
+    key: 'voteConfirmation',
+    channel: 'email',
+    language: 'en',
+    subject: 'Vote Confirmation - {{countyName}} County Elections',
+    body: `${emailHeader}
+<div class="content">
+  <div class="success-icon">✓</div>
+  <h2>Thank You for Voting, {{fullName}}!</h2>
+  <p>Your vote has been successfully recorded in the {{countyName}} County elections.</p>
+  <p><strong>Voting Details:</strong></p>
+  <ul>
+    <li>Time of Vote: {{votedAt}}</li>
+    <li>County: {{county}}</li>
+    <li>Constituency: {{constituency}}</li>
+    <li>Ward: {{ward}}</li>
+  </ul>
+  <p><strong>Your Receipt Code:</strong> {{receiptCode}}</p>
+  <p>Keep this code. You can use it on the voting portal to confirm your ballot was counted, and it will appear on the public bulletin board once results are published. It does not reveal how you voted.</p>
+  <p>You can now view live election results on the results page. Your voting number has been disabled and cannot be used again.</p>
+</div>${emailFooter}`
+  },
+  {
+    key: 'voteConfirmation',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Uthibitisho wa Kura - Uchaguzi wa Kaunti ya {{countyName}}',
+    body: `${emailHeaderSw}
+<div class="content">
+  <div class="success-icon">✓</div>
+  <h2>Asante kwa Kupiga Kura, {{fullName}}!</h2>
+  <p>Kura yako imerekodiwa katika uchaguzi wa Kaunti ya {{countyName}}.</p>
+  <p><strong>Maelezo ya Kura:</strong></p>
+  <ul>
+    <li>Wakati wa Kura: {{votedAt}}</li>
+    <li>Kaunti: {{county}}</li>
+    <li>Eneo Bunge: {{constituency}}</li>
+    <li>Wadi: {{ward}}</li>
+  </ul>
+  <p><strong>Nambari ya Risiti Yako:</strong> {{receiptCode}}</p>
+  <p>Hifadhi nambari hii. Unaweza kuitumia kwenye tovuti ya kupiga kura kuthibitisha kwamba kura yako ilihesabiwa, na itaonekana kwenye ubao wa matangazo wa umma matokeo yatakapochapishwa. Haionyeshi ulivyopiga kura.</p>
+  <p>Sasa unaweza kuona matokeo ya uchaguzi moja kwa moja kwenye ukurasa wa matokeo. Nambari yako ya kupiga kura imezimwa na haiwezi kutumika tena.</p>
+</div>${emailFooterSw}`
+  },
+  {
+    key: 'voteConfirmation',
+    channel: 'sms',
+    language: 'en',
+    body: 'Thank you for voting, {{fullName}}. Your receipt code is {{receiptCode}}. Use it to confirm your ballot was counted.'
+  },
+  {
+    key: 'voteConfirmation',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Asante kwa kupiga kura, {{fullName}}. Nambari ya risiti yako ni {{receiptCode}}. Itumie kuthibitisha kura yako ilihesabiwa.'
+  },
+
+  // ===== Portal open =====
+  {
+    key: 'portalOpen',
+    channel: 'email',
+    language: 'en',
+    subject: 'Voting Portal Now Open - {{countyName}} County Elections',
+    body: `<h2>Dear {{fullName}},</h2>
+<p>The voting portal is now open. You can now cast your vote using your voting number.</p>
+<p>Visit the voting portal at: <a href="{{portalUrl}}">{{portalUrl}}</a></p>
+<p>Thank you for participating in the {{countyName}} County elections.</p>
+<hr>
+<p class="note">This is an automated message from {{countyName}} County Election Commission.</p>`
+  },
+  {
+    key: 'portalOpen',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Tovuti ya Kupiga Kura Imefunguliwa - Uchaguzi wa Kaunti ya {{countyName}}',
+    body: `<h2>Mpendwa {{fullName}},</h2>
+<p>Tovuti ya kupiga kura sasa imefunguliwa. Unaweza kupiga kura yako kwa kutumia nambari yako ya kupiga kura.</p>
+<p>Tembelea tovuti ya kupiga kura: <a href="{{portalUrl}}">{{portalUrl}}</a></p>
+<p>Asante kwa kushiriki katika uchaguzi wa Kaunti ya {{countyName}}.</p>
+<hr>
+<p class="note">Huu ni ujumbe wa kiotomatiki kutoka Tume ya Uchaguzi ya Kaunti ya {{countyName}}.</p>`
+  },
+  {
+    key: 'portalOpen',
+    channel: 'sms',
+    language: 'en',
+    body: 'The {{countyName}} County voting portal is now open. Cast your vote using your voting number at {{portalUrl}}'
+  },
+  {
+    key: 'portalOpen',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Tovuti ya kupiga kura ya Kaunti ya {{countyName}} sasa iko wazi. Piga kura kwa nambari yako ya kupiga kura kupitia {{portalUrl}}'
+  },
+
+  // ===== Portal close =====
+  {
+    key: 'portalClose',
+    channel: 'email',
+    language: 'en',
+    subject: 'Voting Portal Now Closed - {{countyName}} County Elections',
+    body: `<h2>Dear {{fullName}},</h2>
+<p>The voting portal is now closed. Thank you for participating in the elections.</p>
+<p>Visit the voting portal at: <a href="{{portalUrl}}">{{portalUrl}}</a></p>
+<p>Thank you for participating in the {{countyName}} County elections.</p>
+<hr>
+<p class="note">This is an automated message from {{countyName}} County Election Commission.</p>`
+  },
+  {
+    key: 'portalClose',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Tovuti ya Kupiga Kura Imefungwa - Uchaguzi wa Kaunti ya {{countyName}}',
+    body: `<h2>Mpendwa {{fullName}},</h2>
+<p>Tovuti ya kupiga kura sasa imefungwa. Asante kwa kushiriki katika uchaguzi.</p>
+<p>Tembelea tovuti ya kupiga kura: <a href="{{portalUrl}}">{{portalUrl}}</a></p>
+<p>Asante kwa kushiriki katika uchaguzi wa Kaunti ya {{countyName}}.</p>
+<hr>
+<p class="note">Huu ni ujumbe wa kiotomatiki kutoka Tume ya Uchaguzi ya Kaunti ya {{countyName}}.</p>`
+  },
+  {
+    key: 'portalClose',
+    channel: 'sms',
+    language: 'en',
+    body: 'The {{countyName}} County voting portal is now closed. Thank you for participating in the elections.'
+  },
+  {
+    key: 'portalClose',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Tovuti ya kupiga kura ya Kaunti ya {{countyName}} sasa imefungwa. Asante kwa kushiriki katika uchaguzi.'
+  },
+
+  // ===== Vote-time verification code =====
+  {
+    key: 'verificationCode',
+    channel: 'email',
+    language: 'en',
+    subject: 'Your Voting Verification Code',
+    body: `<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>Use this code on the voting portal to confirm it is you before casting your vote:</p>
+  <div class="highlight code">{{code}}</div>
+  <p>The code expires in {{minutes}} minutes and can only be used once.</p>
+  <p>If you did not request this code, do not share it with anyone. Someone may be trying to use your voting number.</p>
+</div>`
+  },
+  {
+    key: 'verificationCode',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Nambari Yako ya Uthibitisho wa Kupiga Kura',
+    body: `<div class="content">
+  <h2>Mpendwa {{fullName}},</h2>
+  <p>Tumia nambari hii kwenye tovuti ya kupiga kura kuthibitisha kwamba ni wewe kabla ya kupiga kura:</p>
+  <div class="highlight code">{{code}}</div>
+  <p>Nambari hii itaisha muda baada ya dakika {{minutes}} na inaweza kutumika mara moja tu.</p>
+  <p>Ikiwa hukuomba nambari hii, usimpe mtu yeyote. Huenda mtu anajaribu kutumia nambari yako ya kupiga kura.</p>
+</div>`
+  },
+  {
+    key: 'verificationCode',
+    channel: 'sms',
+    language: 'en',
+    body: 'Your voting verification code is {{code}}. It expires in {{minutes}} minutes. Do not share it.'
+  },
+  {
+    key: 'verificationCode',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Nambari yako ya uthibitisho wa kupiga kura ni {{code}}. Itaisha muda baada ya dakika {{minutes}}. Usimpe mtu.'
+  },
+
+  // ===== Voter portal sign-in code =====
+  {
+    key: 'loginCode',
+    channel: 'email',
+    language: 'en',
+    subject: 'Your Voter Portal Sign-in Code',
+    body: `<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>Use this code to sign in to the voter portal and view your registration:</p>
+  <div class="highlight code">{{code}}</div>
+  <p>The code expires in {{minutes}} minutes and can only be used once.</p>
+  <p>If you did not request this code, do not share it with anyone.</p>
+</div>`
+  },
+  {
+    key: 'loginCode',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Nambari Yako ya Kuingia kwenye Tovuti ya Mpiga Kura',
+    body: `<div class="content">
+  <h2>Mpendwa {{fullName}},</h2>
+  <p>Tumia nambari hii kuingia kwenye tovuti ya mpiga kura na kuona usajili wako:</p>
+  <div class="highlight code">{{code}}</div>
+  <p>Nambari hii itaisha muda baada ya dakika {{minutes}} na inaweza kutumika mara moja tu.</p>
+  <p>Ikiwa hukuomba nambari hii, usimpe mtu yeyote.</p>
+</div>`
+  },
+  {
+    key: 'loginCode',
+    channel: 'sms',
+    language: 'en',
+    body: 'Your voter portal sign-in code is {{code}}. It expires in {{minutes}} minutes. Do not share it.'
+  },
+  {
+    key: 'loginCode',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Nambari yako ya kuingia kwenye tovuti ya mpiga kura ni {{code}}. Itaisha muda baada ya dakika {{minutes}}. Usimpe mtu.'
+  },
+
+  // ===== New contact details: code sent to the new address =====
+  {
+    key: 'contactCode',
+    channel: 'email',
+    language: 'en',
+    subject: 'Confirm Your New Email Address',
+    body: `<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>Enter this code on the voter portal to confirm this email address for your voter registration:</p>
+  <div class="highlight code">{{code}}</div>
+  <p>The code expires in {{minutes}} minutes and can only be used once.</p>
+  <p>If you did not request this change, ignore this email.</p>
+</div>`
+  },
+  {
+    key: 'contactCode',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Thibitisha Anwani Yako Mpya ya Barua Pepe',
+    body: `<div class="content">
+  <h2>Mpendwa {{fullName}},</h2>
+  <p>Weka nambari hii kwenye tovuti ya mpiga kura kuthibitisha anwani hii ya barua pepe kwa usajili wako:</p>
+  <div class="highlight code">{{code}}</div>
+  <p>Nambari hii itaisha muda baada ya dakika {{minutes}} na inaweza kutumika mara moja tu.</p>
+  <p>Ikiwa hukuomba mabadiliko haya, puuza barua pepe hii.</p>
+</div>`
+  },
+  {
+    key: 'contactCode',
+    channel: 'sms',
+    language: 'en',
+    body: 'Your code to confirm this phone number for your voter registration is {{code}}. It expires in {{minutes}} minutes. Do not share it.'
+  },
+  {
+    key: 'contactCode',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Nambari yako ya kuthibitisha nambari hii ya simu kwa usajili wako wa mpiga kura ni {{code}}. Itaisha muda baada ya dakika {{minutes}}. Usimpe mtu.'
+  },
+
+  // ===== New contact details: notice to the old address =====
+  {
+    key: 'contactChange',
+    channel: 'email',
+    language: 'en',
+    subject: 'Change to Your Voter Contact Details',
+    body: `<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>A change to the contact details of your voter registration was requested on the voter portal.</p>
+  <p class="warning">If this was not you, contact the {{countyName}} County election office immediately.</p>
+</div>`
+  },
+  {
+    key: 'contactChange',
+    channel: 'email',
+    language: 'sw',
+    subject: 'Mabadiliko ya Mawasiliano Yako ya Mpiga Kura',
+    body: `<div class="content">
+  <h2>Mpendwa {{fullName}},</h2>
+  <p>Ombi la kubadilisha mawasiliano ya usajili wako wa mpiga kura limefanywa kwenye tovuti ya mpiga kura.</p>
+  <p class="warning">Ikiwa si wewe, wasiliana na ofisi ya uchaguzi ya Kaunti ya {{countyName}} mara moja.</p>
+</div>`
+  },
+  {
+    key: 'contactChange',
+    channel: 'sms',
+    language: 'en',
+    body: 'A change to your voter contact details was requested. If this was not you, contact the {{countyName}} County election office immediately.'
+  },
+  {
+    key: 'contactChange',
+    channel: 'sms',
+    language: 'sw',
+    body: 'Ombi la kubadilisha mawasiliano yako ya mpiga kura limefanywa. Ikiwa si wewe, wasiliana na ofisi ya uchaguzi ya Kaunti ya {{countyName}} mara moja.'
+  },
+
+  // ===== Admin password reset (admin emails are English only) =====
+  {
+    key: 'passwordReset',
+    channel: 'email',
+    language: 'en',
+    subject: 'Reset your {{countyName}} County Elections admin password',
+    body: `${emailHeader}
+<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>We received a request to reset the password of your administrator account.</p>
+  <p><a href="{{resetLink}}">{{resetLink}}</a></p>
+  <p>Open the link above, or enter this reset code on the password reset page:</p>
+  <div class="highlight code">{{code}}</div>
+  <p class="warning">The link and code can be used once and expire in {{minutes}} minutes. If you did not ask for a reset, ignore this email; your password will not change.</p>
+</div>${emailFooter}`
+  },
+  {
+    key: 'passwordChanged',
+    channel: 'email',
+    language: 'en',
+    subject: 'Your {{countyName}} County Elections admin password was reset',
+    body: `${emailHeader}
+<div class="content">
+  <h2>Dear {{fullName}},</h2>
+  <p>The password of your administrator account was just reset, and you have been signed out everywhere.</p>
+  <p class="warning">If this was not you, contact the system administrator immediately.</p>
+</div>${emailFooter}`
+  }
+];
@@ -0,0 +1,159 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const DEFAULT_TEMPLATES = require('./messageTemplateDefaults');
+const constituencyData = require('./constituencyData');
+const config = require('../config');
+
+// Templates change rarely, so they are cached briefly
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+// Values used when previewing a template
+const SAMPLE_VARIABLES = {
+  fullName: 'Jane Wanjiku Muthoni',
+  votingNumber: 'KGY-NDI-3F9A1C-7B2E',
+  county: 'Kirinyaga',
+  constituency: 'Ndia',
+  ward: 'Kiinie',
+  receiptCode: 'VN-4C1D9E2F7A3B8C6D',
+  code: '482913',
+  resetLink: 'https://admin.example.org/reset-password?token=3f9a1c7b2e',
+  minutes: 5
+};
+
+const PLACEHOLDER = /{{\s*(\w+)\s*}}/g;
+
+const templateId = ({ key, channel, language }) => `${key}:${channel}:${language}`;
+
+const load = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.templates;
+  }
+
+  const templates = await MessageTemplate.find().lean();
+  cache = {
+    templates: new Map(templates.map(template => [templateId(template), template])),
+    loadedAt: Date.now()
+  };
+  return cache.templates;
+};
+
+const invalidate = () => {
+  cache = null;
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Variable names a template text uses
+const placeholders = (text) => {
+  return [...new Set([...(text || '').matchAll(PLACEHOLDER)].map(match => match[1]))];
+};
+
+// Variables in a subject or body that the message type does not provide
+const unknownVariables = (key, ...texts) => {
+  const allowed = MessageTemplate.VARIABLES[key] || [];
+  return texts.flatMap(placeholders).filter(name => !allowed.includes(name));
+};
+
+// Fill in {{variables}}, HTML-escaping values for HTML text (email bodies).
+// Unknown variables are left empty.
+const fill = (text, variables, html) => {
+  return (text || '').replace(PLACEHOLDER, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) return '';
+    return html ? escapeHtml(value) : String(value);
+  });
+};
+
+const getDefault = (key, channel, language) => {
+  return DEFAULT_TEMPLATES.find(template =>
+    template.key === key && template.channel === channel && template.language === language
+  );
+};
+
+// The template for a message in the given language, falling back to English.
+// Stored templates win over the built-in ones.
+const resolve = async (key, channel, language) => {
+  const stored = await load();
+  const languages = [...new Set([language, MessageTemplate.DEFAULT_LANGUAGE].filter(Boolean))];
+
+  for (const lang of languages) {
+    const template = stored.get(templateId({ key, channel, language: lang })) || getDefault(key, channel, lang);
+    if (template) return template;
+  }
+
+  throw new Error(`No ${channel} template for ${key}`);
+};
+
+// Variables every message gets, plus the voter's details and message data
+const buildVariables = async (voter, data = {}) => {
+  return {
+    fullName: voter.fullName,
+    votingNumber: voter.votingNumber,
+    county: voter.county,
+    constituency: voter.constituency,
+    ward: voter.ward,
+    countyName: await constituencyData.getCountyName(),
+    portalUrl: config.portalUrl,
+    year: new Date().getFullYear(),
+    ...data
+  };
+};
+
+// Render a message for a channel in a language: { subject, body, language }
+const render = async (key, channel, language, variables) => {
+  const template = await resolve(key, channel, language);
+  return {
+    subject: fill(template.subject, variables, false),
+    body: fill(template.body, variables, channel === 'email'),
+    language: template.language
+  };
+};
+
+// Render template text with sample values, for checking before it is used
+const preview = async ({ key, channel, subject, body }, variables = {}) => {
+  const values = {
+    ...(await buildVariables(SAMPLE_VARIABLES)),
+    ...SAMPLE_VARIABLES,
+    votedAt: new Date().toLocaleString(),
+    ...variables
+  };
+  return {
+    subject: fill(subject, values, false),
+    body: fill(body, values, channel === 'email'),
+    variables: values,
+    unknownVariables: unknownVariables(key, subject, body)
+  };
+};
+
+// Store any built-in template that is not in the database yet
+const seedDefaults = async () => {
+  const result = await MessageTemplate.bulkWrite(DEFAULT_TEMPLATES.map(template => ({
+    updateOne: {
+      filter: { key: template.key, channel: template.channel, language: template.language },
+      update: { $setOnInsert: template },
+      upsert: true
+    }
+  })));
+
+  if (result.upsertedCount > 0) {
+    console.log(`✉️ Seeded ${result.upsertedCount} message template(s)`);
+  }
+  invalidate();
+};
+
+module.exports = {
+  getDefault,
+  buildVariables,
+  render,
+  preview,
+  unknownVariables,
+  seedDefaults,
+  invalidate
+};
@@ -0,0 +1,182 @@
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const messageTemplates = require('./messageTemplates');
+const MessageTemplate = require('../models/MessageTemplate');
+const OutboundMessage = require('../models/OutboundMessage');
+const config = require('../config');
+const crypto = require('crypto');
+
+// Channels a voter can be reached on
+const CHANNELS = ['email', 'sms'];
+
+// Messages sent through the stub transport, newest last (for local testing)
+const stubOutbox = [];
+const STUB_OUTBOX_LIMIT = 500;
+
+// Stub transport: records the message instead of sending it
+const stubSend = (channel) => async (voter, message) => {
+  const record = {
+    channel,
+    to: channel === 'sms' ? voter.phoneNumber : voter.email,
+    type: message.type,
+    language: message.language,
+    subject: message.subject,
+    text: message.body,
+    messageId: `stub-${crypto.randomBytes(8).toString('hex')}`,
+    sentAt: new Date()
+  };
+  stubOutbox.push(record);
+  if (stubOutbox.length > STUB_OUTBOX_LIMIT) stubOutbox.shift();
+  console.log(`📭 [stub ${channel}] ${record.to}: ${record.subject || record.text}`);
+  return { success: true, messageId: record.messageId };
+};
+
+// Transports per channel; config.notifications picks one for each. Each
+// takes the voter and a rendered message ({ type, subject, body, language })
+// and resolves to { success, messageId } or { success: false, error }.
+const transports = {
+  email: {
+    ...Object.fromEntries(emailService.TRANSPORTS.map(name => [
+      name,
+      (voter, message) => emailService.sendEmail(voter, message, name)
+    ])),
+    stub: stubSend('email')
+  },
+  sms: {
+    africastalking: (voter, message) => smsService.sendSms(voter.phoneNumber, message.body),
+    stub: stubSend('sms')
+  }
+};
+
+const getTransport = (channel) => {
+  const name = config.notifications[`${channel}Transport`];
+  if (!transports[channel][name]) {
+    throw new Error(`Unknown ${channel} transport: ${name}`);
+  }
+  return { name, send: transports[channel][name] };
+};
+
+// Channels a voter has opted into; voters without a preference get both
+const channelsFor = (voter) => {
+  const preferred = (voter.notificationChannels || []).filter(channel => CHANNELS.includes(channel));
+  return preferred.length > 0 ? preferred : CHANNELS;
+};
+
+// Send one notification to a voter on each of their channels (or the given
+// ones), rendered from the template in the voter's language. Each message is
+// recorded in OutboundMessage so its delivery can be followed. Resolves to
+// { sent, failed } lists of channels and the recorded `messages`; it never
+// throws for delivery problems, so they do not fail the request that
+// triggered it. `options.requestedBy` marks an admin-requested resend.
+const notify = async (voter, type, data = {}, options = {}) => {
+  if (!MessageTemplate.VARIABLES[type]) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const channels = options.channels || channelsFor(voter);
+  const sent = [];
+  const failed = [];
+  const messages = [];
+
+  let variables;
+  for (const channel of channels) {
+    let record = null;
+    try {
+      variables = variables || await messageTemplates.buildVariables(voter, data);
+      const message = await messageTemplates.render(type, channel, voter.preferredLanguage, variables);
+      const transport = getTransport(channel);
+
+      record = await OutboundMessage.create({
+        voter: voter._id,
+        type,
+        channel,
+        transport: transport.name,
+        to: channel === 'sms' ? voter.phoneNumber : voter.email,
+        language: message.language,
+        subject: message.subject || undefined,
+        requestedBy: options.requestedBy
+      });
+
+      const result = await transport.send(voter, { type, ...message });
+      record.status = result.success ? 'sent' : 'failed';
+      record.providerMessageId = result.messageId;
+      record.error = result.error;
+      if (result.success) record.sentAt = new Date();
+      await record.save();
+
+      (result.success ? sent : failed).push(channel);
+    } catch (error) {
+      console.error(`❌ ${type} ${channel} notification failed:`, error.message);
+      if (record) {
+        await OutboundMessage.updateOne({ _id: record._id }, { status: 'failed', error: error.message }).catch(() => {});
+      }
+      failed.push(channel);
+    }
+    if (record) messages.push(record);
+  }
+
+  return { sent, failed, messages };
+};
+
+// Send an email to an admin account (invitations, password resets) through
+// the configured email transport. Admin emails are English only and are not
+// recorded in OutboundMessage. Resolves to { success, messageId } or
+// { success: false, error }.
+const sendAdminEmail = async (admin, subject, body) => {
+  try {
+    const transport = getTransport('email');
+    return await transport.send(admin, { type: 'admin', subject, body, language: 'en' });
+  } catch (error) {
+    console.error(`❌ Admin email to ${admin.email} failed:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an admin email rendered from a message template (e.g. passwordReset).
+// Resolves like sendAdminEmail.
+const notifyAdmin = async (admin, type, data = {}) => {
+  if (!MessageTemplate.VARIABLES[type]) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  try {
+    const variables = await messageTemplates.buildVariables(admin, data);
+    const message = await messageTemplates.render(type, 'email', MessageTemplate.DEFAULT_LANGUAGE, variables);
+    return await sendAdminEmail(admin, message.subject, message.body);
+  } catch (error) {
+    console.error(`❌ Admin ${type} email to ${admin.email} failed:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Which transport each channel uses and whether it has credentials
+const getStatus = () => {
+  const { emailTransport, smsTransport } = config.notifications;
+  return {
+    email: {
+      transport: emailTransport,
+      configured: emailTransport === 'stub' || emailService.isConfigured(emailTransport)
+    },
+    sms: {
+      transport: smsTransport,
+      configured: smsTransport === 'stub' || !!(config.sms.apiKey && config.sms.username)
+    }
+  };
+};
+
+const getStubOutbox = () => [...stubOutbox];
+
+const clearStubOutbox = () => {
+  stubOutbox.length = 0;
+};
+
+module.exports = {
+  CHANNELS,
+  channelsFor,
+  notify,
+  sendAdminEmail,
+  notifyAdmin,
+  getStatus,
+  getStubOutbox,
+  clearStubOutbox
+};
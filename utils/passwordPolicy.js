@@ -0,0 +1,126 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const Admin = require('../models/Admin');
+const config = require('../config');
+const commonPasswords = require('./commonPasswords');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Common passwords, with the optional larger list from disk
+let common = null;
+const getCommonPasswords = () => {
+  if (common) return common;
+
+  common = new Set(commonPasswords);
+  const file = config.passwordPolicy.commonPasswordsFile;
+  if (file) {
+    try {
+      fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+        const word = line.trim().toLowerCase();
+        if (word) common.add(word);
+      });
+    } catch (error) {
+      console.error(`❌ Could not read common passwords list ${file}:`, error.message);
+    }
+  }
+  return common;
+};
+
+// Whether a password is on the common list, also after removing the digits
+// and symbols people tack onto a word ('Password123!' -> 'password')
+const isCommon = (password) => {
+  const lowered = String(password).toLowerCase();
+  const core = lowered.replace(/^[^a-z]+|[^a-z]+$/g, '');
+  const list = getCommonPasswords();
+  return list.has(lowered) || (core.length >= 4 && list.has(core));
+};
+
+// The rules, for showing next to a password field
+const describe = () => {
+  const policy = config.passwordPolicy;
+  return {
+    minLength: policy.minLength,
+    requireUppercase: policy.requireUppercase,
+    requireLowercase: policy.requireLowercase,
+    requireDigit: policy.requireDigit,
+    requireSymbol: policy.requireSymbol,
+    historySize: policy.historySize,
+    maxAgeDays: policy.maxAgeDays
+  };
+};
+
+// Problems with a new password for an admin, as messages; empty when the
+// password is acceptable. Checks complexity, the common list, the admin's
+// own name and email, and the last historySize passwords.
+const validate = async (password, admin) => {
+  const policy = config.passwordPolicy;
+  const value = String(password || '');
+  const problems = [];
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(value)) {
+    problems.push('Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (isCommon(value)) {
+    problems.push('Password is too common. Choose one that is harder to guess');
+  }
+
+  if (admin) {
+    const lowered = value.toLowerCase();
+    const personal = [
+      String(admin.email || '').split('@')[0],
+      ...String(admin.fullName || '').split(/\s+/)
+    ].map(part => part.toLowerCase()).filter(part => part.length >= 3);
+    if (personal.some(part => lowered.includes(part))) {
+      problems.push('Password must not contain your name or email address');
+    }
+
+    if (problems.length === 0 && await isReused(admin, value)) {
+      problems.push(`Password must not be one of your last ${policy.historySize} passwords`);
+    }
+  }
+
+  return problems;
+};
+
+// Whether a password matches one of the admin's recent passwords
+const isReused = async (admin, password) => {
+  if (!admin._id || config.passwordPolicy.historySize === 0) return false;
+
+  const stored = await Admin.findById(admin._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  const hashes = [...new Set([stored.password, ...(stored.passwordHistory || [])])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Whether the admin's password is older than the maximum age
+const isExpired = (admin) => {
+  const { maxAgeDays } = config.passwordPolicy;
+  if (!maxAgeDays) return false;
+
+  const changedAt = admin.passwordChangedAt || admin.createdAt;
+  return !!changedAt && Date.now() - changedAt.getTime() > maxAgeDays * DAY;
+};
+
+module.exports = {
+  describe,
+  validate,
+  isCommon,
+  isReused,
+  isExpired
+};
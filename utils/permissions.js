@@ -0,0 +1,112 @@
+const Role = require('../models/Role');
+
+const ALL_PERMISSIONS = Object.keys(Role.PERMISSIONS);
+
+// Built-in roles. 'admin' and 'super_admin' keep what the two hard-coded
+// roles could do before; the others are least-privilege roles for election
+// staff. Seeded once; after that they are edited through /admin/roles.
+const DEFAULT_ROLES = [
+  {
+    name: Role.SUPER_ADMIN,
+    displayName: 'Super Admin',
+    description: 'Full access to the system',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    name: 'admin',
+    displayName: 'Admin',
+    description: 'Day-to-day election administration',
+    permissions: [
+      'dashboard.view', 'settings.read', 'voters.register', 'voters.read', 'voters.notify',
+      'candidates.manage', 'results.read', 'results.export', 'results.publish',
+      'reports.generate', 'jobs.read', 'messages.read', 'feedback.manage'
+    ]
+  },
+  {
+    name: 'returning_officer',
+    displayName: 'Returning Officer',
+    description: 'Runs registration, candidates and results for their area',
+    permissions: [
+      'dashboard.view', 'voters.register', 'voters.read', 'voters.notify',
+      'candidates.manage', 'results.read', 'results.export', 'reports.generate',
+      'jobs.read', 'messages.read'
+    ]
+  },
+  {
+    name: 'clerk',
+    displayName: 'Registration Clerk',
+    description: 'Registers voters',
+    permissions: ['dashboard.view', 'voters.register', 'voters.read']
+  },
+  {
+    name: 'observer',
+    displayName: 'Observer',
+    description: 'Read-only view of progress, results and the audit trail',
+    // audit.read lets observers check the audit hash chain for themselves
+    permissions: ['dashboard.view', 'results.read', 'reports.generate', 'audit.read']
+  }
+];
+
+// Roles change rarely, so they are cached briefly
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+const load = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.roles;
+  }
+
+  const roles = await Role.find().lean();
+  cache = {
+    roles: new Map(roles.map(role => [role.name, role.permissions])),
+    loadedAt: Date.now()
+  };
+  return cache.roles;
+};
+
+const invalidate = () => {
+  cache = null;
+};
+
+// Permissions of a role; super_admin always has all of them, and an unknown
+// role has none
+const getPermissions = async (roleName) => {
+  if (roleName === Role.SUPER_ADMIN) return ALL_PERMISSIONS;
+  const roles = await load();
+  return roles.get(roleName) || [];
+};
+
+const roleExists = async (roleName) => {
+  const roles = await load();
+  return roles.has(roleName);
+};
+
+// Names in a list that are not known permissions
+const unknownPermissions = (permissions) => {
+  return permissions.filter(permission => !Role.PERMISSIONS[permission]);
+};
+
+// Store the built-in roles that do not exist yet
+const seedDefaults = async () => {
+  const result = await Role.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: { ...role, isSystem: true } },
+      upsert: true
+    }
+  })));
+
+  if (result.upsertedCount > 0) {
+    console.log(`🔑 Seeded ${result.upsertedCount} admin role(s)`);
+  }
+  invalidate();
+};
+
+module.exports = {
+  ALL_PERMISSIONS,
+  getPermissions,
+  roleExists,
+  unknownPermissions,
+  seedDefaults,
+  invalidate
+};
@@ -0,0 +1,137 @@
+const Election = require('../models/Election');
+const Voter = require('../models/Voter');
+const Participation = require('../models/Participation');
+const notificationService = require('./notificationService');
+const jobQueue = require('./jobQueue');
+const config = require('../config');
+
+const VOTER_FIELDS = 'fullName email phoneNumber notificationChannels preferredLanguage';
+
+// Queue the announcement that an election's portal opened or closed
+const enqueue = (election, open, { adminId = null } = {}) => {
+  return jobQueue.enqueue('portalAnnouncement', {
+    notificationType: open ? 'portalOpen' : 'portalClose'
+  }, {
+    election: election._id,
+    createdBy: adminId
+  });
+};
+
+// Job handler. The first pass walks the election's voters in _id order,
+// saving a cursor after every batch so a restarted job resumes where it
+// stopped. Voters that could not be reached are kept and retried on later
+// attempts; once attempts run out the job completes with them reported.
+const run = async (job, ctx) => {
+  const election = await Election.findById(job.election);
+  if (!election) {
+    const error = new Error('Election not found');
+    error.permanent = true;
+    throw error;
+  }
+
+  const { notificationType } = job.payload;
+  const state = { cursor: null, passComplete: false, retryIds: [], ...job.state };
+
+  // The portal-open announcement is only for voters yet to vote; those who
+  // already did are dropped batch by batch rather than listed up front
+  const skipVoted = notificationType === 'portalOpen';
+  const baseFilter = election.voterFilter({ isActive: true });
+
+  if (!state.passComplete) {
+    if (!state.cursor) {
+      const total = skipVoted
+        ? await countNotVoted(election, baseFilter)
+        : await Voter.countDocuments(baseFilter);
+      await ctx.update({ total });
+    }
+
+    let batch;
+    do {
+      const filter = state.cursor ? { ...baseFilter, _id: { $gt: state.cursor } } : baseFilter;
+      batch = await Voter.find(filter)
+        .select(VOTER_FIELDS)
+        .sort({ _id: 1 })
+        .limit(config.jobQueue.batchSize);
+
+      const recipients = skipVoted ? await withoutVoted(election, batch) : batch;
+      const result = await sendBatch(recipients, notificationType, ctx);
+      state.retryIds.push(...result.failedIds);
+      if (batch.length > 0) state.cursor = batch[batch.length - 1]._id.toString();
+      state.passComplete = batch.length < config.jobQueue.batchSize;
+
+      await ctx.update({
+        succeeded: result.succeeded,
+        failed: result.failedIds.length,
+        failures: result.failures,
+        state
+      });
+    } while (!state.passComplete);
+  } else if (state.retryIds.length > 0) {
+    const voters = await Voter.find({ _id: { $in: state.retryIds }, isActive: true }).select(VOTER_FIELDS);
+    const result = await sendBatch(voters, notificationType, ctx);
+    const reached = voters.map(voter => voter._id.toString()).filter(id => !result.failedIds.includes(id));
+
+    // Reached voters move from failed to succeeded; voters deactivated since
+    // stay reported as failed but are not retried
+    state.retryIds = result.failedIds;
+    await ctx.update({
+      succeeded: reached.length,
+      failed: -reached.length,
+      resolved: reached,
+      state
+    });
+  }
+
+  if (state.retryIds.length > 0 && ctx.job.attempts < ctx.job.maxAttempts) {
+    throw new Error(`${state.retryIds.length} voter(s) could not be notified; retrying`);
+  }
+};
+
+// Helper function to count an election's voters who have not voted yet
+const countNotVoted = async (election, voterFilter) => {
+  const [row] = await Voter.aggregate([
+    { $match: voterFilter },
+    ...Participation.lookupStages(election._id),
+    { $match: { hasVoted: false } },
+    { $count: 'total' }
+  ]);
+  return row ? row.total : 0;
+};
+
+// Helper function to drop the voters of a batch who have already voted
+const withoutVoted = async (election, voters) => {
+  if (voters.length === 0) return voters;
+
+  const voted = await Participation.find({
+    election: election._id,
+    voter: { $in: voters.map(voter => voter._id) }
+  }).select('voter').lean();
+  const votedIds = new Set(voted.map(participation => participation.voter.toString()));
+
+  return voters.filter(voter => !votedIds.has(voter._id.toString()));
+};
+
+// Helper function to notify a batch of voters at the queue's sending rate
+const sendBatch = async (voters, notificationType, ctx) => {
+  let succeeded = 0;
+  const failedIds = [];
+  const failures = [];
+
+  for (const voter of voters) {
+    await ctx.throttle();
+    const { sent, failed } = await notificationService.notify(voter, notificationType);
+    if (sent.length > 0) {
+      succeeded++;
+    } else {
+      failedIds.push(voter._id.toString());
+      failures.push({ item: voter._id.toString(), error: `Not delivered by ${failed.join(', ') || 'any channel'}` });
+    }
+  }
+
+  return { succeeded, failedIds, failures };
+};
+
+module.exports = {
+  enqueue,
+  run
+};
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const config = require('../config');
+
+// Africa's Talking messaging endpoint; the 'sandbox' username uses the test API
+const messagingUrl = () => {
+  return config.sms.username === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com/version1/messaging'
+    : 'https://api.africastalking.com/version1/messaging';
+};
+
+// Convert a local number (0712345678) to international format (+254712345678)
+const toInternational = (phoneNumber) => {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  if (digits.startsWith('254')) return `+${digits}`;
+  if (digits.startsWith('0')) return `+254${digits.slice(1)}`;
+  return `+${digits}`;
+};
+
+// Send an SMS. Resolves to { success, messageId } or { success: false, error }.
+const sendSms = async (phoneNumber, message) => {
+  try {
+    if (!config.sms.apiKey || !config.sms.username) {
+      console.error('❌ SMS is not configured (AFRICASTALKING_API_KEY / AFRICASTALKING_USERNAME)');
+      return { success: false, error: 'SMS is not configured' };
+    }
+
+    const params = new URLSearchParams({
+      username: config.sms.username,
+      to: toInternational(phoneNumber),
+      message
+    });
+    if (config.sms.senderId) params.append('from', config.sms.senderId);
+
+    const { data } = await axios.post(messagingUrl(), params.toString(), {
+      headers: {
+        apiKey: config.sms.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 10000
+    });
+
+    const recipient = data.SMSMessageData && data.SMSMessageData.Recipients && data.SMSMessageData.Recipients[0];
+    if (!recipient || recipient.status !== 'Success') {
+      console.error('❌ SMS not accepted by Africa\'s Talking:', recipient ? recipient.status : data);
+      return { success: false, error: recipient ? recipient.status : 'No recipient in response' };
+    }
+
+    console.log(`✅ SMS sent to ${recipient.number}. Message ID: ${recipient.messageId}`);
+    return { success: true, messageId: recipient.messageId };
+  } catch (error) {
+    console.error('❌ Error sending SMS via Africa\'s Talking:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  sendSms,
+  toInternational
+};
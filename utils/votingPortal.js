@@ -0,0 +1,67 @@
+const Election = require('../models/Election');
+const auditLogger = require('./auditLogger');
+
+// Voting window of an election; null when no complete schedule is set
+const getVotingSchedule = (election) => {
+  if (!election.hasSchedule()) {
+    return null;
+  }
+
+  return {
+    start: new Date(election.schedule.start),
+    end: new Date(election.schedule.end)
+  };
+};
+
+// Current portal state of an election. The portal only counts as open when
+// the election is open and, if it has a schedule, the current time falls
+// inside it.
+const getPortalState = (election, now = new Date()) => {
+  const schedule = getVotingSchedule(election);
+
+  const flagOpen = election.status === 'open';
+  const withinSchedule = !schedule || (now >= schedule.start && now < schedule.end);
+
+  return {
+    isOpen: flagOpen && withinSchedule,
+    flagOpen,
+    withinSchedule,
+    schedule
+  };
+};
+
+// Open or close voting for an election, audit it and broadcast the change.
+// Resolves to the updated election, or null when it was already in that
+// state (checked in the update itself, so two callers cannot both change it).
+const setPortalOpen = async (election, open, { adminId = null, io = null, trigger = 'manual' } = {}) => {
+  const status = open ? 'open' : 'closed';
+  const updated = await Election.findOneAndUpdate(
+    { _id: election._id, status: { $ne: status } },
+    { status },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await auditLogger.log(adminId, 'UPDATE', 'VotingPortal', election._id, {
+    action: open ? 'opened' : 'closed',
+    election: election.name,
+    trigger,
+    timestamp: new Date()
+  });
+
+  if (io) {
+    io.emit('portalStatus', {
+      electionId: election._id,
+      status: open ? 'open' : 'closed',
+      timestamp: new Date()
+    });
+  }
+
+  return updated;
+};
+
+module.exports = {
+  getVotingSchedule,
+  getPortalState,
+  setPortalOpen
+};
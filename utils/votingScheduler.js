@@ -0,0 +1,130 @@
+const Election = require('../models/Election');
+const { getVotingSchedule, setPortalOpen } = require('./votingPortal');
+const portalAnnouncement = require('./portalAnnouncement');
+const config = require('../config');
+
+let io = null;
+let timer = null;
+let started = false;
+let running = false;
+
+// Claim a transition of an election's schedule. The applied flags live on the
+// election, so only one caller (and only one server instance) can flip each
+// one and a restart neither repeats nor skips a transition. Matching on the
+// schedule itself means a claim fails if the schedule changed meanwhile.
+const claimTransition = async (election, schedule, transition) => {
+  const claimed = await Election.findOneAndUpdate(
+    {
+      _id: election._id,
+      status: { $ne: 'archived' },
+      'schedule.start': schedule.start,
+      'schedule.end': schedule.end,
+      [`scheduleApplied.${transition}`]: { $ne: true }
+    },
+    { $set: { [`scheduleApplied.${transition}`]: true } }
+  );
+  return !!claimed;
+};
+
+const applySchedule = async (election, now) => {
+  const schedule = getVotingSchedule(election);
+
+  if (now >= schedule.start && now < schedule.end) {
+    if (await claimTransition(election, schedule, 'opened')) {
+      // Announced only if an admin had not opened it already
+      if (await setPortalOpen(election, true, { io, trigger: 'schedule' })) {
+        await portalAnnouncement.enqueue(election, true);
+      }
+      console.log(`🗓️ Voting opened by schedule: ${election.name}`);
+    }
+  } else if (now >= schedule.end) {
+    // Never open a window that has already passed
+    await claimTransition(election, schedule, 'opened');
+    if (await claimTransition(election, schedule, 'closed')) {
+      if (await setPortalOpen(election, false, { io, trigger: 'schedule' })) {
+        await portalAnnouncement.enqueue(election, false);
+      }
+      console.log(`🗓️ Voting closed by schedule: ${election.name}`);
+    }
+  }
+
+  return schedule;
+};
+
+// Apply every election schedule that still has transitions pending and
+// return the schedules, so the next check can be planned
+const tick = async () => {
+  const elections = await Election.find({
+    status: { $ne: 'archived' },
+    'schedule.start': { $ne: null },
+    'schedule.end': { $ne: null },
+    $or: [
+      { 'scheduleApplied.opened': { $ne: true } },
+      { 'scheduleApplied.closed': { $ne: true } }
+    ]
+  });
+
+  const now = new Date();
+  const schedules = [];
+  for (const election of elections) {
+    try {
+      schedules.push(await applySchedule(election, now));
+    } catch (error) {
+      console.error(`Voting scheduler error (${election.name}):`, error.message);
+    }
+  }
+
+  return schedules;
+};
+
+// Check the schedules now and plan the next check: at the next boundary if it
+// is sooner than the regular interval
+const checkNow = async () => {
+  if (running) return;
+  running = true;
+
+  let schedules = [];
+  try {
+    schedules = await tick();
+  } catch (error) {
+    console.error('Voting scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+
+  if (!started) return;
+
+  clearTimeout(timer);
+  let delay = config.votingSchedulerInterval;
+  const now = Date.now();
+  schedules.forEach(schedule => {
+    [schedule.start, schedule.end].forEach(boundary => {
+      const untilBoundary = boundary.getTime() - now;
+      if (untilBoundary > 0 && untilBoundary < delay) {
+        delay = untilBoundary + 50;
+      }
+    });
+  });
+  timer = setTimeout(checkNow, delay);
+};
+
+const start = (socketIo) => {
+  if (started) return;
+  started = true;
+  io = socketIo;
+  console.log('🗓️ Voting scheduler started');
+  return checkNow();
+};
+
+const stop = () => {
+  clearTimeout(timer);
+  timer = null;
+  started = false;
+  io = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  checkNow
+};